@@ -0,0 +1,138 @@
+const fs = require("fs");
+const path = require("path");
+const { stayNights } = require("./dates");
+const properties = require("./properties");
+
+// Add-on catalog: extras sold with a stay (golf cart, beach setup, bikes, early
+// check-in...). Loaded from config/add-ons.json (or ADD_ONS_FILE).
+//   { id, label, pricing, taxCategory, maxQuantity, inventory, uses, standalone, enabled }
+//   pricing:     { per: "stay", amount } | { per: "night", amount }
+//                | { per: "tiered", tiers: [{ maxNights, amount }, ..., { amount }] }  (stay price by length)
+//   taxCategory: a lib/fees category ("addOns", "lodging") or "none"
+//   inventory:   units available per date (omit for unlimited); `uses` says which
+//                dates a booking takes one on: "nights" (default), "checkin" or "checkout"
+//   standalone:  may be booked without a stay (off-site guests), like the golf cart
+//   properties:  limit the item to some properties (default: all); inventory is per property
+// Prices are per unit; the guest picks a quantity up to maxQuantity (default 1).
+const DEFAULT_FILE = path.join(__dirname, "..", "config", "add-ons.json");
+const PER = ["stay", "night", "tiered"];
+const USES = ["nights", "checkin", "checkout"];
+const TAX_CATEGORIES = ["addOns", "lodging", "none"];
+
+function r2(n) { return Math.round((Number(n) || 0) * 100) / 100; }
+
+function validate(cfg) {
+  if (!cfg || !Array.isArray(cfg.addOns)) return ["addOns: must be a list"];
+  const errors = [];
+  const ids = new Set();
+  cfg.addOns.forEach((a, i) => {
+    const at = "addOns[" + i + "]";
+    if (!a.id || ids.has(a.id)) errors.push(at + ".id: missing or repeated");
+    ids.add(a.id);
+    if (!a.label) errors.push(at + ".label: required");
+    const p = a.pricing || {};
+    if (!PER.includes(p.per)) errors.push(at + ".pricing.per: must be one of " + PER.join(", "));
+    if (p.per === "tiered") {
+      const tiers = p.tiers || [];
+      if (!tiers.length || tiers.some((t) => !(typeof t.amount === "number" && t.amount >= 0)))
+        errors.push(at + ".pricing.tiers: each tier needs an amount");
+      else if (tiers[tiers.length - 1].maxNights != null) errors.push(at + ".pricing.tiers: the last tier must have no maxNights");
+      else if (tiers.slice(0, -1).some((t, k) => !(t.maxNights >= 1) || (k > 0 && t.maxNights <= tiers[k - 1].maxNights)))
+        errors.push(at + ".pricing.tiers: maxNights must increase");
+    } else if (!(typeof p.amount === "number" && p.amount >= 0)) errors.push(at + ".pricing.amount: must be 0 or more");
+    if (!TAX_CATEGORIES.includes(a.taxCategory || "addOns")) errors.push(at + ".taxCategory: must be one of " + TAX_CATEGORIES.join(", "));
+    if (a.maxQuantity != null && !(Number.isInteger(a.maxQuantity) && a.maxQuantity >= 1)) errors.push(at + ".maxQuantity: must be a whole number");
+    if (a.inventory != null && !(Number.isInteger(a.inventory) && a.inventory >= 0)) errors.push(at + ".inventory: must be a whole number");
+    if (a.uses != null && !USES.includes(a.uses)) errors.push(at + ".uses: must be one of " + USES.join(", "));
+  });
+  return errors;
+}
+
+let cache = null;
+function config() {
+  if (!cache) {
+    const cfg = JSON.parse(fs.readFileSync(process.env.ADD_ONS_FILE || DEFAULT_FILE, "utf8"));
+    const errors = validate(cfg);
+    if (errors.length) throw new Error("Invalid add-on catalog: " + errors.join("; "));
+    cache = cfg;
+  }
+  return cache;
+}
+
+function offered(a, property) { return a.enabled !== false && (!property || properties.appliesTo(a, property)); }
+
+function get(id, property) { return config().addOns.find((a) => a.id === id && offered(a, property)) || null; }
+
+function unitPrice(a, nights) {
+  const p = a.pricing;
+  if (p.per === "night") return p.amount * nights;
+  if (p.per === "tiered") return p.tiers.find((t) => t.maxNights == null || nights <= t.maxNights).amount;
+  return p.amount;
+}
+
+// What the site shows next to each checkbox.
+function catalog(property) {
+  return config().addOns.filter((a) => offered(a, property)).map((a) => ({
+    id: a.id, label: a.label, description: a.description || "", pricing: a.pricing,
+    maxQuantity: a.maxQuantity || 1, standalone: !!a.standalone,
+  }));
+}
+
+// The guest's picks as [{ id, quantity }]. Accepts { id: qty }, [id, ...] or
+// [{ id, quantity }], and the older golfCart / golfCartOnly booleans.
+function selection(input) {
+  const raw = input.addOns;
+  let picks = [];
+  if (Array.isArray(raw)) picks = raw.map((x) => (typeof x === "string" ? { id: x, quantity: 1 } : { id: x && x.id, quantity: x && x.quantity }));
+  else if (raw && typeof raw === "object") picks = Object.keys(raw).map((id) => ({ id, quantity: raw[id] === true ? 1 : raw[id] }));
+  if ((input.golfCart || input.golfCartOnly) && !picks.some((p) => p.id === "golf-cart")) picks.push({ id: "golf-cart", quantity: 1 });
+  return picks
+    .map((p) => ({ id: String(p.id || ""), quantity: p.quantity == null ? 1 : parseInt(p.quantity, 10) || 0 }))
+    .filter((p) => p.quantity > 0);
+}
+
+// Price the picks for a stay of `nights`. opts.standalone: only items sellable
+// without a stay are allowed; opts.property: only items offered there. Returns { ok, addOns: [{ id, label, quantity, amount, taxCategory }] } | { ok: false, error }.
+function quote(picks, nights, opts) {
+  const standalone = !!(opts && opts.standalone);
+  const out = [];
+  for (const p of picks) {
+    const a = get(p.id, opts && opts.property);
+    if (!a) return { ok: false, error: "Unknown add-on: " + p.id + "." };
+    if (standalone && !a.standalone) return { ok: false, error: a.label + " can only be added to a stay." };
+    const max = a.maxQuantity || 1;
+    if (p.quantity > max) return { ok: false, error: a.label + ": up to " + max + " per booking." };
+    out.push({ id: a.id, label: a.label, quantity: p.quantity, amount: r2(unitPrice(a, nights) * p.quantity), taxCategory: a.taxCategory || "addOns" });
+  }
+  if (standalone && !out.length) return { ok: false, error: "Please choose an add-on to book." };
+  return { ok: true, addOns: out };
+}
+
+function datesUsed(a, checkin, checkout) {
+  if (a.uses === "checkin") return [checkin];
+  if (a.uses === "checkout") return [checkout];
+  return stayNights(checkin, checkout);
+}
+
+// Dates where the requested add-ons would exceed inventory, given the stays
+// already holding them at the same property ([{ checkin, checkout, addOns }]). Returns [] when they fit,
+// else [{ id, label, date, left }].
+function shortages(addOns, checkin, checkout, stays) {
+  const out = [];
+  for (const want of addOns) {
+    const a = get(want.id);
+    if (!a || a.inventory == null) continue;
+    const used = {};
+    for (const s of stays) {
+      const held = (s.addOns || []).filter((x) => x.id === a.id).reduce((n, x) => n + x.quantity, 0);
+      if (held) for (const d of datesUsed(a, s.checkin, s.checkout)) used[d] = (used[d] || 0) + held;
+    }
+    for (const d of datesUsed(a, checkin, checkout)) {
+      const left = a.inventory - (used[d] || 0);
+      if (want.quantity > left) out.push({ id: a.id, label: a.label, date: d, left: Math.max(0, left) });
+    }
+  }
+  return out;
+}
+
+module.exports = { TAX_CATEGORIES, validate, get, catalog, selection, quote, shortages };
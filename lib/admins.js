@@ -0,0 +1,96 @@
+const crypto = require("crypto");
+const store = require("./store");
+
+// Admin credentials and audit trail. Each admin gets a named API token with a
+// role; only a SHA-256 of the token's secret is stored, and the token itself is
+// shown once, at creation. Tokens look like "cte_<id>.<secret>" and are sent as
+// "Authorization: Bearer <token>". GIVEAWAY_ADMIN_KEY still works as a
+// bootstrap owner credential (x-admin-key header) so the first token can be made.
+//   tokens: { <id>: { id, name, role, hash, createdAt, createdBy, lastUsedAt, revokedAt } }
+//   audit:  { at, actor, adminId, role, action, permission, status, ip } per line
+//           of admin-audit.jsonl (entries from before that are in admin-audit.json)
+const TOKENS = "admin-tokens";
+const AUDIT = "admin-audit";
+
+// What each role may do. Routes ask for one permission.
+const ROLES = {
+  owner: ["read", "bookings", "giveaway", "settings", "admins"],
+  "giveaway-operator": ["read", "giveaway"],
+  "read-only": ["read"],
+};
+
+function sha256(s) { return crypto.createHash("sha256").update(String(s)).digest(); }
+
+// Compares digests, so lengths always match and timing says nothing about the secret.
+function sameSecret(a, b) { return crypto.timingSafeEqual(sha256(a), sha256(b)); }
+
+function can(role, permission) { return !!ROLES[role] && ROLES[role].includes(permission); }
+
+function credential(req) {
+  const auth = req.header("authorization") || "";
+  const m = auth.match(/^Bearer\s+(\S+)$/i);
+  if (m) return { token: m[1] };
+  const key = req.header("x-admin-key");
+  return key ? { key } : null;
+}
+
+// Returns { id, name, role } for valid header credentials, else null.
+function identify(req) {
+  const c = credential(req);
+  if (!c) return null;
+  if (c.key) {
+    const env = process.env.GIVEAWAY_ADMIN_KEY;
+    return env && sameSecret(c.key, env) ? { id: "env", name: "GIVEAWAY_ADMIN_KEY", role: "owner" } : null;
+  }
+  const m = c.token.match(/^cte_([0-9a-f]+)\.(.+)$/);
+  const t = m && store.load(TOKENS, {})[m[1]];
+  const hash = sha256(m ? m[2] : c.token);
+  if (!t || t.revokedAt || !crypto.timingSafeEqual(hash, Buffer.from(t.hash, "hex"))) return null;
+  const now = new Date();
+  // only touch the file every few minutes, not on every request
+  if (!t.lastUsedAt || now - new Date(t.lastUsedAt) > 5 * 60 * 1000)
+    store.update(TOKENS, {}, (all) => { if (all[t.id]) all[t.id].lastUsedAt = now.toISOString(); });
+  return { id: t.id, name: t.name, role: t.role };
+}
+
+function create({ name, role, createdBy }) {
+  if (!name) return { ok: false, error: "name required" };
+  if (!ROLES[role]) return { ok: false, error: "role must be one of " + Object.keys(ROLES).join(", ") };
+  const id = crypto.randomBytes(4).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const t = { id, name, role, hash: sha256(secret).toString("hex"), createdAt: new Date().toISOString(), createdBy: createdBy || "", lastUsedAt: "", revokedAt: "" };
+  store.update(TOKENS, {}, (all) => { all[id] = t; });
+  return { ok: true, token: "cte_" + id + "." + secret, admin: view(t) };
+}
+
+function view(t) {
+  return { id: t.id, name: t.name, role: t.role, createdAt: t.createdAt, createdBy: t.createdBy, lastUsedAt: t.lastUsedAt, revokedAt: t.revokedAt };
+}
+
+function list() {
+  return Object.values(store.load(TOKENS, {})).map(view).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function revoke(id) {
+  return store.update(TOKENS, {}, (all) => {
+    if (!all[id]) return null;
+    if (!all[id].revokedAt) all[id].revokedAt = new Date().toISOString();
+    return view(all[id]);
+  });
+}
+
+// Appended, not rewritten: every admin request lands here.
+function audit(entry) {
+  store.append(AUDIT, { at: new Date().toISOString(), ...entry });
+}
+
+// Newest first.
+function auditLog(filter) {
+  const f = filter || {};
+  return store.load(AUDIT, []).concat(store.readLines(AUDIT))
+    .filter((e) => (!f.actor || e.actor === f.actor) && (!f.from || e.at >= f.from) && (!f.to || e.at < f.to))
+    .reverse()
+    .slice(0, f.limit || 200);
+}
+
+module.exports = { ROLES, can, identify, create, list, revoke, audit, auditLog };
@@ -0,0 +1,125 @@
+const crypto = require("crypto");
+const store = require("./store");
+const { stayNights } = require("./dates");
+const properties = require("./properties");
+
+// Occupied ranges. Each entry covers the nights [start, end): `end` is the
+// checkout date, so back-to-back stays (one out, next in) don't collide.
+//   { id, kind: "booking" | "block" | "import", propertyId, start, end, ref, note, createdAt }
+// Imported entries also carry the feed `source` and the event `uid`. Each
+// property has its own calendar; entries without one are the default property's.
+const FILE = "availability";
+
+// All entries, or one property's.
+function list(propertyId) {
+  const all = store.load(FILE, []);
+  return propertyId ? all.filter((e) => properties.of(e) === propertyId) : all;
+}
+
+// opts: { propertyId, ignoreRef }
+function nightIndex(entries, opts) {
+  const ignoreRef = opts && opts.ignoreRef;
+  const propertyId = (opts && opts.propertyId) || properties.defaultId();
+  const taken = new Map();
+  for (const e of entries) {
+    if (properties.of(e) !== propertyId) continue;
+    if (ignoreRef && e.ref === ignoreRef) continue;
+    for (const n of stayNights(e.start, e.end)) if (!taken.has(n)) taken.set(n, e);
+  }
+  return taken;
+}
+
+// Nights of the requested stay that are already taken, in date order.
+function conflicts(checkin, checkout, opts) {
+  const taken = nightIndex(list(), opts);
+  return stayNights(checkin, checkout).filter((n) => taken.has(n));
+}
+
+// Every taken night as a Set of ISO dates (for pricing rules that look at neighbours).
+function takenNights(opts) { return new Set(nightIndex(list(), opts).keys()); }
+
+// Per-night status for the booking widget. Deliberately doesn't expose who
+// holds a night, only whether it's open.
+function calendar(from, to, propertyId) {
+  const taken = nightIndex(list(), { propertyId });
+  return stayNights(from, to).map((date) => ({ date, status: taken.has(date) ? "blocked" : "open" }));
+}
+
+// Confirmed stays come in from the webhook. Keyed by booking ref so a
+// redelivered payment event updates the same entry instead of adding another.
+function recordBooking({ ref, checkin, checkout, paymentId, propertyId }) {
+  return store.update(FILE, [], (entries) => {
+    let e = entries.find((x) => x.kind === "booking" && x.ref === ref);
+    if (!e) {
+      e = { id: "bk_" + crypto.randomBytes(6).toString("hex"), kind: "booking", ref, createdAt: new Date().toISOString() };
+      entries.push(e);
+    }
+    Object.assign(e, { propertyId: propertyId || properties.defaultId(), start: checkin, end: checkout, paymentId: paymentId || e.paymentId || "" });
+    return e;
+  });
+}
+
+// Free the nights held by a booking (cancelled or refunded stays).
+function releaseBooking(ref) {
+  return store.update(FILE, [], (entries) => {
+    const i = entries.findIndex((e) => e.kind === "booking" && e.ref === ref);
+    return i < 0 ? null : entries.splice(i, 1)[0];
+  });
+}
+
+function addBlock({ start, end, note, propertyId }) {
+  return store.update(FILE, [], (entries) => {
+    const e = {
+      id: "blk_" + crypto.randomBytes(6).toString("hex"), kind: "block", propertyId: propertyId || properties.defaultId(),
+      start, end, note: note || "", createdAt: new Date().toISOString(),
+    };
+    entries.push(e);
+    return e;
+  });
+}
+
+// Replace everything previously imported from `source` into `propertyId`'s
+// calendar with `events`. Matching is by UID, so a re-sync moves an existing
+// block rather than adding a duplicate, and events dropped from the feed are released.
+function syncImported(source, events, propertyId) {
+  const prop = propertyId || properties.defaultId();
+  const fromFeed = (e) => e.kind === "import" && e.source === source && properties.of(e) === prop;
+  return store.update(FILE, [], (entries) => {
+    const existing = new Map();
+    for (const e of entries) if (fromFeed(e)) existing.set(e.uid, e);
+    const seen = new Set();
+    let added = 0, updated = 0;
+    for (const ev of events) {
+      if (!ev.uid || seen.has(ev.uid)) continue;
+      seen.add(ev.uid);
+      const e = existing.get(ev.uid);
+      if (e) {
+        if (e.start !== ev.start || e.end !== ev.end || e.note !== ev.summary) updated++;
+        Object.assign(e, { start: ev.start, end: ev.end, note: ev.summary || "" });
+      } else {
+        entries.push({
+          id: "imp_" + crypto.randomBytes(6).toString("hex"), kind: "import", propertyId: prop, source, uid: ev.uid,
+          start: ev.start, end: ev.end, note: ev.summary || "", createdAt: new Date().toISOString(),
+        });
+        added++;
+      }
+    }
+    let removed = 0;
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const e = entries[i];
+      if (fromFeed(e) && !seen.has(e.uid)) { entries.splice(i, 1); removed++; }
+    }
+    return { source, propertyId: prop, events: seen.size, added, updated, removed };
+  });
+}
+
+// Only owner blocks: bookings are released by cancelling them, imports by the feed.
+function removeBlock(id) {
+  return store.update(FILE, [], (entries) => {
+    const i = entries.findIndex((e) => e.id === id && e.kind === "block");
+    if (i < 0) return null;
+    return entries.splice(i, 1)[0];
+  });
+}
+
+module.exports = { list, conflicts, takenNights, calendar, recordBooking, releaseBooking, addBlock, syncImported, removeBlock };
@@ -0,0 +1,118 @@
+const crypto = require("crypto");
+const store = require("./store");
+const properties = require("./properties");
+
+// Local booking ledger, keyed by bookingRef. Square remains the record of
+// money; this is the record of where each reservation is in its lifecycle.
+//
+//   quoted → link_created → paid → checked_in → completed
+//                       └→ deposit_paid → paid   (deposit now, balance link later)
+//   quoted/link_created/deposit_paid/paid → cancelled
+//   paid/deposit_paid/checked_in/completed/cancelled → refunded
+const FILE = "bookings";
+
+const TRANSITIONS = {
+  quoted: ["quoted", "link_created", "deposit_paid", "paid", "cancelled"],
+  link_created: ["link_created", "deposit_paid", "paid", "cancelled"], // a new link can replace an unpaid one
+  deposit_paid: ["paid", "cancelled", "refunded"],
+  paid: ["checked_in", "cancelled", "refunded"],
+  checked_in: ["completed", "refunded"],
+  completed: ["refunded"],
+  cancelled: ["refunded"],
+  refunded: [],
+};
+const STATES = Object.keys(TRANSITIONS);
+
+function canTransition(from, to) { return (TRANSITIONS[from] || []).includes(to); }
+
+function get(ref) { return store.load(FILE, {})[ref] || null; }
+
+// Every Square payment recorded against the booking (deposit and balance, or one full payment).
+function payments(b) {
+  if (b.payments && b.payments.length) return b.payments;
+  return b.paymentId ? [{ installment: "full", paymentId: b.paymentId, amount: b.amountPaid || 0 }] : [];
+}
+
+// A new booking ref that isn't in the ledger yet, e.g. CTE-3F9A61C2.
+function newRef() {
+  const all = store.load(FILE, {});
+  let ref;
+  do ref = "CTE-" + crypto.randomBytes(4).toString("hex").toUpperCase(); while (all[ref]);
+  return ref;
+}
+
+function find(pred) { return Object.values(store.load(FILE, {})).find(pred) || null; }
+
+function list(filter) {
+  const f = filter || {};
+  return Object.values(store.load(FILE, {}))
+    .filter((b) => !f.state || b.state === f.state)
+    .filter((b) => !f.propertyId || properties.of(b) === f.propertyId)
+    .sort((a, b) => String(a.checkin).localeCompare(String(b.checkin)));
+}
+
+// Create the booking in `state` (or move an existing one there), merging
+// `patch` into the record. Returns { ok, booking } | { ok: false, error }.
+function transition(ref, state, patch, note) {
+  if (!ref) return { ok: false, error: "booking ref required" };
+  if (!TRANSITIONS[state]) return { ok: false, error: "unknown state " + state };
+  return store.update(FILE, {}, (all) => {
+    const now = new Date().toISOString();
+    let b = all[ref];
+    if (b && !canTransition(b.state, state))
+      return { ok: false, error: "Booking " + ref + " is " + b.state + " and can't move to " + state + "." };
+    if (!b) b = all[ref] = { ref, state: null, history: [], createdAt: now };
+    Object.assign(b, patch || {});
+    b.history.push({ from: b.state, to: state, at: now, note: note || "" });
+    b.state = state;
+    b.updatedAt = now;
+    return { ok: true, booking: b };
+  });
+}
+
+// Update fields without changing state (e.g. a late-arriving payment id).
+function patch(ref, fields) {
+  return store.update(FILE, {}, (all) => {
+    const b = all[ref];
+    if (!b) return null;
+    Object.assign(b, fields, { updatedAt: new Date().toISOString() });
+    return b;
+  });
+}
+
+// Move stays along once their dates arrive: paid → checked_in on the check-in
+// date, checked_in → completed on the checkout date. `today` is "YYYY-MM-DD",
+// or a function giving it for a booking (each property counts its own days).
+function advanceByDate(todayFor) {
+  const moved = [];
+  for (const b of list()) {
+    const today = typeof todayFor === "function" ? todayFor(b) : todayFor;
+    let state = b.state;
+    if (state === "paid" && b.checkin && b.checkin <= today) {
+      transition(b.ref, "checked_in", null, "check-in date reached");
+      moved.push({ ref: b.ref, to: (state = "checked_in") });
+    }
+    if (state === "checked_in" && b.checkout && b.checkout <= today) {
+      transition(b.ref, "completed", null, "checkout date reached");
+      moved.push({ ref: b.ref, to: "completed" });
+    }
+  }
+  return moved;
+}
+
+// Guest-safe view for the public lookup route.
+function publicView(b) {
+  return {
+    ref: b.ref, state: b.state, propertyId: properties.of(b),
+    checkin: b.checkin, checkout: b.checkout, nights: b.nights, guests: b.guests,
+    total: b.pricing ? b.pricing.total : undefined,
+    amountPaid: b.amountPaid || 0,
+    balanceDue: b.schedule && b.state === "deposit_paid" ? b.schedule.balanceAmount : 0,
+    balanceDueDate: b.schedule ? b.schedule.balanceDueDate : undefined,
+    addOnsOnly: !!(b.pricing && (b.pricing.addOnsOnly || b.pricing.golfCartOnly)),
+    addOns: b.pricing && b.pricing.addOns ? b.pricing.addOns.map((x) => ({ id: x.id, label: x.label, quantity: x.quantity })) : [],
+    updatedAt: b.updatedAt,
+  };
+}
+
+module.exports = { STATES, canTransition, get, newRef, find, list, payments, transition, patch, advanceByDate, publicView };
@@ -0,0 +1,46 @@
+const fs = require("fs");
+const path = require("path");
+
+// Giveaway campaigns, from config/giveaway-campaigns.json (GIVEAWAY_CAMPAIGNS_FILE
+// to override). Each campaign has its own tiers, beneficiary, dates, email
+// template, Sheet tab and ticket sequence (the ledger is keyed by campaign id).
+//   opensAt / closesAt / drawAt: ISO date-times with offset; drawLabel is the
+//   human wording used in emails. Orders from before campaigns existed carry no
+//   campaign id and belong to defaultCampaign.
+const DEFAULT_FILE = path.join(__dirname, "..", "config", "giveaway-campaigns.json");
+
+let cache = null;
+function config() {
+  if (!cache) cache = JSON.parse(fs.readFileSync(process.env.GIVEAWAY_CAMPAIGNS_FILE || DEFAULT_FILE, "utf8"));
+  return cache;
+}
+
+function get(id) {
+  const c = config().campaigns[id];
+  return c ? { id, ...c } : null;
+}
+
+function defaultId() { return config().defaultCampaign; }
+
+function list() { return Object.keys(config().campaigns).map(get); }
+
+// "upcoming" | "open" | "closed"
+function status(c, now) {
+  const t = (now || new Date()).getTime();
+  if (c.opensAt && t < new Date(c.opensAt).getTime()) return "upcoming";
+  if (c.closesAt && t >= new Date(c.closesAt).getTime()) return "closed";
+  return "open";
+}
+
+// Sheet range on the campaign's tab, e.g. range(c, "A2:J") → "'Entries'!A2:J".
+function range(c, cells) { return "'" + (c.sheetTab || "Entries").replace(/'/g, "''") + "'!" + cells; }
+
+function publicView(c, now) {
+  return {
+    id: c.id, name: c.name, beneficiary: c.beneficiary, status: status(c, now),
+    opensAt: c.opensAt, closesAt: c.closesAt, drawAt: c.drawAt, drawLabel: c.drawLabel,
+    tiers: Object.keys(c.tiers).map((k) => ({ tier: k, ...c.tiers[k] })),
+  };
+}
+
+module.exports = { get, defaultId, list, status, range, publicView };
@@ -0,0 +1,69 @@
+const fs = require("fs");
+const path = require("path");
+const { parseDate, nightsBetween } = require("./dates");
+
+// Cancellation policy: lodging is refunded by how far out the guest cancels;
+// the cleaning fee and golf cart have their own rules since neither has been
+// used (or paid out) until the stay starts. See config/cancellation-policy.json.
+//   cleaning.refund: "full" (always, before check-in) | "tiered" (same % as lodging) | "none";
+//     applies to all stay fees (cleaning, pet, extra guest — see lib/fees)
+//   addOns: { default, <add-on id>: ... } each { fullRefundMinDaysOut, pct }: full refund
+//     at >= fullRefundMinDaysOut days out, otherwise `pct` percent
+const DEFAULT_FILE = path.join(__dirname, "..", "config", "cancellation-policy.json");
+
+let cache = null;
+function policy() {
+  if (!cache) cache = JSON.parse(fs.readFileSync(process.env.CANCELLATION_POLICY_FILE || DEFAULT_FILE, "utf8"));
+  return cache;
+}
+
+function r2(n) { return Math.round((Number(n) || 0) * 100) / 100; }
+
+function tierFor(p, daysOut) {
+  const tiers = p.tiers.slice().sort((a, b) => b.minDaysOut - a.minDaysOut);
+  return tiers.find((t) => daysOut >= t.minDaysOut) || { minDaysOut: 0, lodgingPct: 0, label: "No refund" };
+}
+
+// Split what the guest paid into refundable parts using the computeBooking
+// breakdown `b`, then apply the policy. `today` is a calendar Date (see lib/dates).
+// `alreadyRefunded` caps the result so a second cancel can't double-refund.
+function quoteRefund(b, today, opts) {
+  const o = opts || {};
+  const p = policy();
+  const ci = parseDate(b.checkin);
+  const daysOut = ci ? nightsBetween(today, ci) : 0;
+  const tier = tierFor(p, daysOut);
+  const lines = [];
+
+  const preTax = Number(b.lodgingPreTaxTotal) || 0;
+  if (preTax > 0) {
+    // discounts/promos reduce lodging, rule adjustments and fees proportionally;
+    // bookings priced before the fee model only have b.cleaning
+    const feeTotal = b.fees ? b.fees.reduce((sum, f) => sum + f.amount, 0) : Number(b.cleaning) || 0;
+    const adjusted = (b.adjustments || []).reduce((sum, a) => sum + a.amount, 0);
+    const gross = (Number(b.lodging) || 0) + adjusted + feeTotal;
+    const cleaningNet = gross > 0 && !b.promoOverride ? r2(preTax * (feeTotal / gross)) : 0;
+    const lodgingNet = r2(preTax - cleaningNet);
+    const taxRate = preTax > 0 ? (Number(b.lodgingTaxAmount) || 0) / preTax : 0;
+    const cleaningRule = (p.cleaning && p.cleaning.refund) || "full";
+    const cleaningPct = daysOut < 0 ? 0 : cleaningRule === "full" ? 100 : cleaningRule === "tiered" ? tier.lodgingPct : 0;
+    lines.push({ item: "lodging", paid: r2(lodgingNet * (1 + taxRate)), pct: tier.lodgingPct });
+    if (cleaningNet > 0) lines.push({ item: "cleaning", paid: r2(cleaningNet * (1 + taxRate)), pct: cleaningPct });
+  }
+  // add-ons included in an older special rate are part of lodgingPreTaxTotal already
+  const addOns = b.promoOverride && !b.addOnsTotal ? [] : b.addOns
+    || (b.golfCartBase ? [{ id: "golf-cart", amount: b.golfCartBase, taxRate: (Number(b.golfCartTax) || 0) / b.golfCartBase }] : []);
+  for (const a of addOns) {
+    const rule = (p.addOns || {})[a.id] || (p.addOns || {}).default || {};
+    const pct = daysOut >= (rule.fullRefundMinDaysOut || 0) ? 100 : (rule.pct || 0);
+    if (a.amount > 0) lines.push({ item: a.id, paid: r2(a.amount * (1 + (a.taxRate || 0))), pct });
+  }
+  for (const l of lines) l.refund = r2(l.paid * l.pct / 100);
+
+  const computed = r2(lines.reduce((sum, l) => sum + l.refund, 0));
+  const paid = o.amountPaid != null ? Number(o.amountPaid) : Number(b.total) || 0;
+  const refundable = Math.max(0, r2(Math.min(computed, paid - (o.alreadyRefunded || 0))));
+  return { daysOut, tier: tier.label || (tier.lodgingPct + "% lodging"), lines, computed, paid: r2(paid), refundable };
+}
+
+module.exports = { policy, quoteRefund };
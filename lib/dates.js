@@ -0,0 +1,87 @@
+// Calendar-date helpers shared by pricing, availability, messages and the webhook.
+// A stay is made of plain calendar dates at the property, not instants, so dates
+// are held as Dates at UTC midnight and only ever read with the UTC getters:
+// adding a day is always 24 hours and the server's own TZ never enters into it.
+// Keys are "YYYY-MM-DD" strings. Where the clock matters ("today", a message's
+// send time) it's read in the property's timezone: properties.timezone(), which
+// defaults to ZONE (PROPERTY_TIMEZONE, or America/Chicago for Panama City Beach).
+const ZONE = process.env.PROPERTY_TIMEZONE || "America/Chicago";
+
+function pad2(n) { return String(n).padStart(2, "0"); }
+function mdKey(d) { return pad2(d.getUTCMonth() + 1) + "-" + pad2(d.getUTCDate()); }
+function isoKey(d) { return d.getUTCFullYear() + "-" + pad2(d.getUTCMonth() + 1) + "-" + pad2(d.getUTCDate()); }
+
+function parseDate(v) {
+  if (!v) return null;
+  const parts = String(v).split("-");
+  if (parts.length !== 3) return null;
+  const y = parseInt(parts[0], 10), m = parseInt(parts[1], 10), d = parseInt(parts[2], 10);
+  if (!y || !m || !d) return null;
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return (dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d) ? dt : null;
+}
+
+function nightsBetween(ci, co) { return (co.getTime() - ci.getTime()) / 86400000; }
+function weekday(d) { return d.getUTCDay(); }
+function isWeekend(date) { const day = weekday(date); return day === 5 || day === 6; }
+function addDays(d, n) { return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + n)); }
+
+// ISO keys for every night of a stay: checkin inclusive, checkout exclusive.
+function stayNights(checkin, checkout) {
+  const ci = parseDate(checkin), co = parseDate(checkout);
+  if (!ci || !co) return [];
+  const out = [];
+  for (let d = ci; d < co; d = addDays(d, 1)) out.push(isoKey(d));
+  return out;
+}
+
+// Wall-clock fields of an instant in a timezone.
+function wallClock(instant, zone) {
+  const parts = {};
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone: zone || ZONE, hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+  });
+  for (const p of fmt.formatToParts(instant)) parts[p.type] = p.value;
+  return parts;
+}
+
+// The calendar date an instant falls on in the timezone, e.g. a payment made at
+// 9pm on Jan 31 in Chicago is "2026-01-31" even though it's Feb 1 in UTC.
+function dateIn(instant, zone) {
+  const p = wallClock(new Date(instant), zone);
+  return p.year + "-" + p.month + "-" + p.day;
+}
+
+function today(zone) { return dateIn(new Date(), zone); }
+
+// The instant it's hour:00 on a calendar date in the timezone (whole hours that
+// exist that day; the 2am of a DST change isn't one to schedule for).
+function zonedTime(dateIso, hour, zone) {
+  const d = parseDate(dateIso);
+  if (!d) return null;
+  const wanted = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), hour || 0);
+  const offsetAt = (t) => {
+    const p = wallClock(new Date(t), zone);
+    return Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second) - t;
+  };
+  let t = wanted - offsetAt(wanted);
+  t = wanted - offsetAt(t); // a second pass settles guesses that straddled the change
+  return new Date(t);
+}
+
+// A date sent to us as text (order metadata, a form) as a "YYYY-MM-DD" key:
+// plain dates pass through; a full timestamp is read in the timezone rather
+// than cut at the "T", which would give the UTC date. "" when it isn't a date.
+function plainDate(v, zone) {
+  const s = String(v == null ? "" : v).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return parseDate(s) ? s : "";
+  if (!/^\d{4}-\d{2}-\d{2}T/.test(s) || isNaN(Date.parse(s))) return "";
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(s)) return dateIn(Date.parse(s), zone);
+  return parseDate(s.slice(0, 10)) ? s.slice(0, 10) : ""; // no offset: already wall-clock
+}
+
+module.exports = {
+  ZONE, pad2, mdKey, isoKey, parseDate, nightsBetween, weekday, isWeekend, addDays, stayNights,
+  dateIn, today, zonedTime, plainDate,
+};
@@ -0,0 +1,123 @@
+const crypto = require("crypto");
+const store = require("./store");
+
+// Giveaway drawings, done in two steps so anyone can check the result:
+//   create  — freezes the ticket numbers issued up to a cutoff, publishes the
+//             SHA-256 of that list and the SHA-256 commitment of a secret seed.
+//   run     — reveals the seed (optionally mixed with a public beacon value
+//             announced in advance) and derives winners + alternates from it.
+// Records: { id, campaign, label, cutoff, createdAt, prizes, alternates, tickets: [n...],
+//   entriesHash, seedCommitment, seed, beacon, status: committed|drawn, drawnAt, results }
+const FILE = "giveaway-draws";
+
+const ALGORITHM =
+  "entriesHash = sha256(ticket numbers in ascending order, joined by \"\\n\"). " +
+  "seedCommitment = sha256(seed). finalSeed = beacon ? sha256(seed + \":\" + beacon) : seed. " +
+  "Random stream: for counter c = 0, 1, 2, ... take HMAC-SHA256(key = finalSeed as UTF-8, message = \"cte-draw:\" + c) " +
+  "and read it as eight big-endian uint32 values. uniform(bound): take the next value u, skip it while " +
+  "u >= 2^32 - (2^32 mod bound), return u mod bound. Selection: partial Fisher-Yates over the ticket list; " +
+  "for i = 0 .. prizes+alternates-1 swap position i with i + uniform(n - i). Positions 0..prizes-1 are winners " +
+  "in prize order, the rest are alternates in order.";
+
+function sha256(s) { return crypto.createHash("sha256").update(s).digest("hex"); }
+
+function entriesHash(ticketNumbers) { return sha256(ticketNumbers.join("\n")); }
+
+function finalSeed(seed, beacon) { return beacon ? sha256(seed + ":" + beacon) : seed; }
+
+function stream(seed) {
+  let counter = 0, buf = Buffer.alloc(0), pos = 0;
+  return function next() {
+    if (pos >= buf.length) {
+      buf = crypto.createHmac("sha256", seed).update("cte-draw:" + counter++).digest();
+      pos = 0;
+    }
+    const v = buf.readUInt32BE(pos);
+    pos += 4;
+    return v;
+  };
+}
+
+// Deterministic: same ticket list + seed + beacon always gives the same picks.
+function select(ticketNumbers, seed, beacon, prizes, alternates) {
+  const next = stream(finalSeed(seed, beacon));
+  const uniform = (bound) => {
+    const limit = 0x100000000 - (0x100000000 % bound);
+    let u;
+    do u = next(); while (u >= limit);
+    return u % bound;
+  };
+  const pool = ticketNumbers.slice();
+  const k = Math.min(prizes + alternates, pool.length);
+  for (let i = 0; i < k; i++) {
+    const j = i + uniform(pool.length - i);
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, k).map((ticket, i) => (i < prizes
+    ? { role: "winner", place: i + 1, ticket }
+    : { role: "alternate", place: i - prizes + 1, ticket }));
+}
+
+function all() { return store.load(FILE, {}); }
+function get(id) { return all()[id] || null; }
+function list() { return Object.values(all()).sort((a, b) => a.createdAt.localeCompare(b.createdAt)); }
+
+// ledger: [{ ticket, createdAt }] from lib/tickets for the campaign. cutoff may
+// not be in the future, otherwise the frozen list could still grow after it was published.
+function create(campaign, ledger, opts) {
+  const now = new Date();
+  const cutoff = opts.cutoff ? new Date(opts.cutoff) : now;
+  if (isNaN(cutoff.getTime())) return { ok: false, error: "cutoff must be an ISO date/time" };
+  if (cutoff > now) return { ok: false, error: "cutoff can't be in the future" };
+  const prizes = opts.prizes == null ? 1 : Number(opts.prizes);
+  const alternates = opts.alternates == null ? 2 : Number(opts.alternates);
+  if (!Number.isInteger(prizes) || prizes < 1) return { ok: false, error: "prizes must be a whole number of at least 1" };
+  if (!Number.isInteger(alternates) || alternates < 0) return { ok: false, error: "alternates must be a whole number" };
+
+  const frozen = [...new Set(ledger.filter((t) => new Date(t.createdAt) <= cutoff).map((t) => t.ticket))].sort((a, b) => a - b);
+  if (frozen.length < prizes) return { ok: false, error: "only " + frozen.length + " tickets were issued before the cutoff" };
+  const seed = crypto.randomBytes(32).toString("hex");
+  const d = {
+    id: "draw-" + now.toISOString().slice(0, 10) + "-" + crypto.randomBytes(3).toString("hex"),
+    campaign, label: opts.label || "", cutoff: cutoff.toISOString(), createdAt: now.toISOString(),
+    prizes, alternates, tickets: frozen, entriesHash: entriesHash(frozen),
+    seedCommitment: sha256(seed), seed, beacon: "", status: "committed", drawnAt: "", results: [],
+  };
+  store.update(FILE, {}, (drawsById) => { drawsById[d.id] = d; });
+  return { ok: true, draw: d };
+}
+
+function run(id, beacon) {
+  return store.update(FILE, {}, (drawsById) => {
+    const d = drawsById[id];
+    if (!d) return { ok: false, error: "not found" };
+    if (d.status === "drawn") return { ok: false, error: "already drawn", draw: d };
+    d.beacon = beacon ? String(beacon) : "";
+    d.results = select(d.tickets, d.seed, d.beacon, d.prizes, d.alternates);
+    d.status = "drawn";
+    d.drawnAt = new Date().toISOString();
+    return { ok: true, draw: d };
+  });
+}
+
+// What a third party needs to recompute the result. The seed stays hidden
+// until the draw has run.
+function publicRecord(d) {
+  const out = {
+    id: d.id, campaign: d.campaign, label: d.label, status: d.status, cutoff: d.cutoff, createdAt: d.createdAt,
+    prizes: d.prizes, alternates: d.alternates, ticketCount: d.tickets.length, tickets: d.tickets,
+    entriesHash: d.entriesHash, seedCommitment: d.seedCommitment, algorithm: ALGORITHM,
+  };
+  if (d.status !== "drawn") return out;
+  const recomputed = select(d.tickets, d.seed, d.beacon, d.prizes, d.alternates);
+  return {
+    ...out, seed: d.seed, beacon: d.beacon, drawnAt: d.drawnAt, results: d.results,
+    checks: {
+      entriesHash: entriesHash(d.tickets) === d.entriesHash,
+      seedCommitment: sha256(d.seed) === d.seedCommitment,
+      results: JSON.stringify(recomputed) === JSON.stringify(d.results),
+    },
+  };
+}
+
+module.exports = { ALGORITHM, entriesHash, select, get, list, create, run, publicRecord };
@@ -0,0 +1,49 @@
+// The error contract every route answers with:
+//   { ok: false, code: "VALIDATION_FAILED", error: "Check-out must be after check-in.",
+//     fields: [{ field: "checkout", code: "DATE_ORDER", message: "..." }] }
+// code is stable UPPER_SNAKE_CASE for programs to branch on; error is a
+// sentence fit to show as-is (older site code only reads that); fields lists
+// each bad input when there is one. Anything else a route adds (a campaign's
+// status, a provider's own error list) rides alongside.
+const DEFAULT_CODES = {
+  400: "BAD_REQUEST", 401: "UNAUTHORIZED", 403: "FORBIDDEN", 404: "NOT_FOUND",
+  409: "CONFLICT", 410: "EXPIRED", 500: "INTERNAL_ERROR", 502: "UPSTREAM_ERROR",
+};
+
+function body(code, message, extra) {
+  return { ok: false, code, error: message, ...(extra || {}) };
+}
+
+function send(res, status, code, message, extra) {
+  return res.status(status).json(body(code || DEFAULT_CODES[status] || "ERROR", message, extra));
+}
+
+// lib validators report "path: message" strings (promos, rate plans...); as fields.
+function fromList(list) {
+  return list.map((s) => {
+    const m = String(s).match(/^([\w.[\]-]+):\s*(.*)$/);
+    return m ? { field: m[1], code: "INVALID", message: m[2] } : { field: "", code: "INVALID", message: String(s) };
+  });
+}
+
+// Anything thrown → { status, body }. Square's API errors keep their own
+// category/code/field list; body-parser's bad JSON is the caller's fault.
+// Anything else is our bug: the guest gets a generic sentence, and the caller
+// logs the error itself (its message can name files, keys or data).
+function fromError(err) {
+  if (err && err.type === "entity.parse.failed")
+    return { status: 400, body: body("INVALID_JSON", "The request body isn't valid JSON.") };
+  const provider = err && err.result && Array.isArray(err.result.errors) ? err.result.errors : null;
+  if (provider) {
+    const message = provider.map((e) => e.category + "/" + e.code + ": " + (e.detail || "") + (e.field ? " [field: " + e.field + "]" : "")).join(" | ") || err.message;
+    return {
+      status: 502,
+      body: body("PAYMENT_PROVIDER_ERROR", message, {
+        provider: provider.map((e) => ({ category: e.category, code: e.code, detail: e.detail || "", field: e.field || "" })),
+      }),
+    };
+  }
+  return { status: 500, body: body("INTERNAL_ERROR", "Something went wrong on our end. Please try again, or contact us if it keeps happening.") };
+}
+
+module.exports = { body, send, fromList, fromError };
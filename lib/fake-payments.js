@@ -0,0 +1,175 @@
+const crypto = require("crypto");
+const store = require("./store");
+const { sign, signatureMatches } = require("./payments");
+
+// A local stand-in for Square (PAYMENT_PROVIDER=fake). Nothing leaves the
+// machine: links, orders, payments and refunds live in the store, and paying a
+// link produces the same signed webhook events Square would send.
+//   createPaymentLink → a link to /fake-pay/<id> on this server (FAKE_PAY_BASE_URL,
+//                       default http://localhost:PORT), where pay() runs on submit.
+//                       Like Square, the payment note lands on the payment, not the
+//                       order, and more than 10 metadata entries are refused.
+//   pay(linkId)       → a COMPLETED payment for the order total, plus the
+//                       payment.updated and payment.completed events for it
+//   refundPayment     → a PENDING refund, then a refund.updated COMPLETED event
+//   deletePaymentLink → the link is gone, as on Square; its order stays
+// Events are signed like Square's with FAKE_WEBHOOK_SIGNATURE_KEY over
+// FAKE_WEBHOOK_URL (default http://localhost:PORT/square-webhook) and posted there.
+//   { links: { id: link }, orders: { id: order }, payments: { id: payment }, refunds: { id: refund } }
+const FILE = "fake-payments";
+const LOCATION = "FAKE-LOCATION";
+
+function port() { return process.env.PORT || 3000; }
+function baseUrl() { return (process.env.FAKE_PAY_BASE_URL || "http://localhost:" + port()).replace(/\/$/, ""); }
+function webhookUrl() { return process.env.FAKE_WEBHOOK_URL || "http://localhost:" + port() + "/square-webhook"; }
+function webhookKey() { return process.env.FAKE_WEBHOOK_SIGNATURE_KEY || "fake-webhook-signature-key"; }
+
+function newId(prefix) { return prefix + crypto.randomBytes(8).toString("hex").toUpperCase(); }
+function cents(m) { return m && m.amount != null ? Number(m.amount) : 0; }
+function load() { return store.load(FILE, { links: {}, orders: {}, payments: {}, refunds: {} }); }
+function update(fn) { return store.update(FILE, { links: {}, orders: {}, payments: {}, refunds: {} }, fn); }
+
+// Square-shaped order; money as plain numbers since BigInt doesn't survive JSON.
+function orderFrom(body, orderId) {
+  const o = body.order || {};
+  if (Object.keys(o.metadata || {}).length > 10) throw new Error("Fake payments: order metadata has more than 10 entries");
+  const lineItems = (o.lineItems || []).map((li) => ({
+    name: li.name, quantity: li.quantity,
+    basePriceMoney: { amount: cents(li.basePriceMoney), currency: (li.basePriceMoney || {}).currency || "USD" },
+  }));
+  const discounts = (o.discounts || []).map((d) => ({ name: d.name, amountMoney: { amount: cents(d.amountMoney), currency: "USD" } }));
+  const total = lineItems.reduce((sum, li) => sum + cents(li.basePriceMoney) * (Number(li.quantity) || 1), 0)
+    - discounts.reduce((sum, d) => sum + cents(d.amountMoney), 0);
+  return {
+    id: orderId, locationId: o.locationId || LOCATION, referenceId: o.referenceId || "",
+    metadata: o.metadata || {},
+    lineItems, discounts, totalMoney: { amount: Math.max(total, 0), currency: "USD" },
+    state: "OPEN", createdAt: new Date().toISOString(),
+  };
+}
+
+async function createPaymentLink(body) {
+  const id = newId("FAKELINK"), orderId = newId("FAKEORDER");
+  const order = orderFrom(body, orderId);
+  const link = {
+    id, orderId, url: baseUrl() + "/fake-pay/" + id,
+    redirectUrl: (body.checkoutOptions || {}).redirectUrl || "",
+    buyerEmail: (body.prePopulatedData || {}).buyerEmail || "",
+    paymentNote: body.paymentNote || "",
+    status: "open", createdAt: order.createdAt,
+  };
+  update((db) => { db.links[id] = link; db.orders[orderId] = order; });
+  return { id, url: link.url, orderId };
+}
+
+async function retrieveOrder(orderId) { return load().orders[orderId] || null; }
+
+function getLink(id) {
+  const db = load();
+  const link = db.links[id];
+  return link ? { ...link, order: db.orders[link.orderId] } : null;
+}
+
+async function listPayments(opts) {
+  const from = opts && opts.beginTime ? Date.parse(opts.beginTime) : 0;
+  const payments = Object.values(load().payments).filter((p) => Date.parse(p.createdAt) >= from);
+  return { payments, cursor: undefined };
+}
+
+// Square's webhook envelope, with the object in snake_case as Square sends it.
+function event(type, objectType, object) {
+  const body = JSON.stringify({
+    merchant_id: "FAKE-MERCHANT", type, event_id: crypto.randomUUID(), created_at: new Date().toISOString(),
+    data: { type: objectType, id: object.id, object: { [objectType]: object } },
+  });
+  return { type, body, signature: sign(webhookKey(), webhookUrl(), body) };
+}
+
+function paymentObject(p) {
+  return {
+    id: p.id, order_id: p.orderId, status: p.status, location_id: p.locationId,
+    amount_money: { amount: p.amountMoney.amount, currency: p.amountMoney.currency },
+    buyer_email_address: p.buyerEmailAddress || "", note: p.note || "", created_at: p.createdAt, updated_at: p.createdAt,
+  };
+}
+
+// Pays a link in full. Returns { payment, redirectUrl, events } | null for an
+// unknown link; an already-paid link returns its payment with no new events.
+function pay(linkId) {
+  return update((db) => {
+    const link = db.links[linkId];
+    if (!link) return null;
+    if (link.status === "paid") return { payment: db.payments[link.paymentId], redirectUrl: link.redirectUrl, events: [] };
+    const order = db.orders[link.orderId];
+    const payment = {
+      id: newId("FAKEPAY"), orderId: order.id, status: "COMPLETED", locationId: order.locationId,
+      amountMoney: { amount: order.totalMoney.amount, currency: "USD" },
+      buyerEmailAddress: link.buyerEmail, note: link.paymentNote || "", createdAt: new Date().toISOString(),
+    };
+    db.payments[payment.id] = payment;
+    order.state = "COMPLETED";
+    link.status = "paid";
+    link.paymentId = payment.id;
+    const obj = paymentObject(payment);
+    return { payment, redirectUrl: link.redirectUrl, events: [event("payment.updated", "payment", obj), event("payment.completed", "payment", obj)] };
+  });
+}
+
+async function refundPayment(body) {
+  const refund = {
+    id: newId("FAKEREFUND"), status: "PENDING", paymentId: body.paymentId,
+    amountMoney: { amount: cents(body.amountMoney), currency: "USD" }, reason: body.reason || "",
+    createdAt: new Date().toISOString(),
+  };
+  const known = update((db) => {
+    if (!db.payments[body.paymentId]) return false;
+    db.refunds[refund.id] = refund;
+    return true;
+  });
+  if (!known) throw new Error("Fake payments: no payment " + body.paymentId);
+  // Square settles refunds a moment later and says so by webhook
+  setImmediate(() => {
+    const done = update((db) => { db.refunds[refund.id].status = "COMPLETED"; return db.refunds[refund.id]; });
+    deliver([event("refund.updated", "refund", {
+      id: done.id, payment_id: done.paymentId, status: done.status,
+      amount_money: done.amountMoney, reason: done.reason, created_at: done.createdAt,
+    })]).catch((err) => console.error("Fake refund webhook failed:", err.message));
+  });
+  return refund;
+}
+
+async function deletePaymentLink(id) {
+  const found = update((db) => {
+    if (!db.links[id]) return false;
+    delete db.links[id];
+    return true;
+  });
+  if (!found) throw new Error("Fake payments: no payment link " + id);
+}
+
+// Posts signed events to the webhook URL, in order. Returns each HTTP status.
+async function deliver(events) {
+  const fetchFn = (await import("node-fetch")).default;
+  const out = [];
+  for (const e of events) {
+    const r = await fetchFn(webhookUrl(), {
+      method: "POST", body: e.body,
+      headers: { "Content-Type": "application/json", "x-square-hmacsha256-signature": e.signature },
+    });
+    out.push({ type: e.type, status: r.status });
+  }
+  return out;
+}
+
+// Always checked: the fake's key is known on both ends.
+function verifyWebhook(rawBody, signature) {
+  return { checked: true, valid: signatureMatches(webhookKey(), webhookUrl(), rawBody, signature) };
+}
+
+module.exports = {
+  name: "fake",
+  environment: "fake",
+  locationId: process.env.SQUARE_LOCATION_ID || LOCATION,
+  createPaymentLink, retrieveOrder, listPayments, refundPayment, deletePaymentLink, verifyWebhook,
+  getLink, pay, deliver,
+};
@@ -0,0 +1,178 @@
+const fs = require("fs");
+const path = require("path");
+const { dateIn } = require("./dates");
+const properties = require("./properties");
+
+// Fees and taxes for a stay, from config/fees-and-taxes.json (FEES_TAXES_FILE to override).
+//   fees:  { id, label, per: stay | night | pet | extraGuestNight, amount, taxable,
+//            maxPets (per: pet), includedGuests (per: extraGuestNight) }
+//   taxes: { id, label, rate, appliesTo: [lodging, fees, addOns] }  ("fees" = taxable fees only)
+// Any entry may carry from / to (YYYY-MM-DD, to exclusive), plans and properties; the same id
+// can appear more than once with different windows to record a rate change, and
+// the stay's check-in date picks the one in force. enabled: false switches one off.
+const DEFAULT_FILE = path.join(__dirname, "..", "config", "fees-and-taxes.json");
+const PER = ["stay", "night", "pet", "extraGuestNight"];
+const CATEGORIES = ["lodging", "fees", "addOns"];
+
+function r2(n) { return Math.round((Number(n) || 0) * 100) / 100; }
+function isIsoDate(s) { return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s); }
+
+function validate(cfg) {
+  if (!cfg || typeof cfg !== "object") return ["config must be a JSON object"];
+  const errors = [];
+  const windows = {};
+  const checkCommon = (at, e) => {
+    if (!e.id) errors.push(at + ".id: required");
+    if (!e.label) errors.push(at + ".label: required");
+    for (const k of ["from", "to"]) if (e[k] != null && !isIsoDate(e[k])) errors.push(at + "." + k + ": must be YYYY-MM-DD");
+    if (e.from && e.to && e.to <= e.from) errors.push(at + ": to must be after from");
+    const key = (e.plans || []).join(",") + "|" + (e.properties || []).join(",") + "|" + e.id;
+    for (const w of windows[key] || [])
+      if ((!e.to || !w.from || w.from < e.to) && (!w.to || !e.from || e.from < w.to)) errors.push(at + ": date window overlaps another " + e.id + " entry");
+    (windows[key] = windows[key] || []).push({ from: e.from, to: e.to });
+  };
+  (cfg.fees || []).forEach((f, i) => {
+    const at = "fees[" + i + "]";
+    checkCommon(at, f);
+    if (!PER.includes(f.per)) errors.push(at + ".per: must be one of " + PER.join(", "));
+    if (!(typeof f.amount === "number" && f.amount >= 0)) errors.push(at + ".amount: must be 0 or more");
+    if (f.per === "pet" && f.maxPets != null && !(Number.isInteger(f.maxPets) && f.maxPets >= 0)) errors.push(at + ".maxPets: must be a whole number");
+    if (f.per === "extraGuestNight" && !(Number.isInteger(f.includedGuests) && f.includedGuests >= 1)) errors.push(at + ".includedGuests: required");
+  });
+  (cfg.taxes || []).forEach((t, i) => {
+    const at = "taxes[" + i + "]";
+    checkCommon(at, t);
+    if (!(typeof t.rate === "number" && t.rate >= 0 && t.rate < 1)) errors.push(at + ".rate: must be a fraction such as 0.06");
+    if (!Array.isArray(t.appliesTo) || !t.appliesTo.length || t.appliesTo.some((c) => !CATEGORIES.includes(c)))
+      errors.push(at + ".appliesTo: list of " + CATEGORIES.join(", "));
+  });
+  return errors;
+}
+
+let cache = null;
+function config() {
+  if (!cache) {
+    const cfg = JSON.parse(fs.readFileSync(process.env.FEES_TAXES_FILE || DEFAULT_FILE, "utf8"));
+    const errors = validate(cfg);
+    if (errors.length) throw new Error("Invalid fees and taxes config: " + errors.join("; "));
+    cache = cfg;
+  }
+  return cache;
+}
+
+// Entries in force for this check-in date and plan.
+function active(entries, ctx) {
+  return entries.filter((e) => e.enabled !== false
+    && (!e.plans || e.plans.includes(ctx.plan))
+    && properties.appliesTo(e, ctx.property)
+    && (!e.from || ctx.checkin >= e.from)
+    && (!e.to || ctx.checkin < e.to));
+}
+
+// ctx: { checkin (ISO), nights, guests, pets, plan, property }
+// Returns { ok, fees: [{ id, label, amount, taxable }] } | { ok: false, error }.
+function feesFor(ctx) {
+  const fees = [];
+  const pets = Number(ctx.pets) || 0;
+  const petFee = active(config().fees, ctx).find((f) => f.per === "pet");
+  if (pets > 0 && !petFee) return { ok: false, error: "Sorry, pets aren't allowed for these dates." };
+  if (petFee && petFee.maxPets != null && pets > petFee.maxPets) return { ok: false, error: "Up to " + petFee.maxPets + " pets are allowed." };
+  for (const f of active(config().fees, ctx)) {
+    let amount = 0;
+    if (f.per === "stay") amount = f.amount;
+    if (f.per === "night") amount = f.amount * ctx.nights;
+    if (f.per === "pet") amount = f.amount * pets;
+    if (f.per === "extraGuestNight") amount = f.amount * Math.max(0, (Number(ctx.guests) || 0) - f.includedGuests) * ctx.nights;
+    if (amount > 0) fees.push({ id: f.id, label: f.label, amount: r2(amount), taxable: f.taxable !== false });
+  }
+  return { ok: true, fees };
+}
+
+// bases: { lodging, fees, addOns } — the taxable amount in each category.
+// One line per tax in force; byCategory keeps the split for reports and refunds.
+function taxesFor(bases, ctx) {
+  const out = [];
+  for (const t of active(config().taxes, ctx)) {
+    const byCategory = {};
+    let base = 0;
+    for (const c of t.appliesTo) {
+      if (!(bases[c] > 0)) continue;
+      byCategory[c] = r2(bases[c] * t.rate);
+      base += bases[c];
+    }
+    const amount = r2(Object.values(byCategory).reduce((s, v) => s + v, 0));
+    if (amount > 0) out.push({ id: t.id, label: t.label, rate: t.rate, base: r2(base), amount, byCategory });
+  }
+  return out;
+}
+
+// Merges tax lists computed on separate bases (e.g. the stay and its add-ons)
+// into one line per tax.
+function combine(...lists) {
+  const byId = {};
+  for (const t of [].concat(...lists)) {
+    const c = byId[t.id];
+    if (!c) { byId[t.id] = { ...t, byCategory: { ...t.byCategory } }; continue; }
+    c.base = r2(c.base + t.base);
+    c.amount = r2(c.amount + t.amount);
+    for (const k of Object.keys(t.byCategory)) c.byCategory[k] = r2((c.byCategory[k] || 0) + t.byCategory[k]);
+  }
+  return Object.values(byId);
+}
+
+// Combined rate on one category, e.g. for "Lodging Tax (7%)" style summaries.
+function rateFor(category, ctx) {
+  const rate = active(config().taxes, ctx).filter((t) => t.appliesTo.includes(category)).reduce((s, t) => s + t.rate, 0);
+  return Math.round(rate * 1e6) / 1e6;
+}
+
+// Taxes for one month, for filing. A tax is collected when a payment lands
+// (a deposit collects its share of every tax line) and given back when a
+// refund completes, both in proportion to the booking total.
+// stays: [{ ref, timezone, pricing, payments: [{ amount, paidAt }], refunds: [{ amount, status, updatedAt }] }]
+// month: "YYYY-MM", by the calendar at the stay's property (its timezone): a
+// payment at 9pm on the 31st counts in that month, not the next one UTC puts
+// it in. Stays priced before this model report their combined lodging / golf
+// cart tax as-is.
+function monthOf(at, zone) { return at && !isNaN(Date.parse(at)) ? dateIn(at, zone).slice(0, 7) : ""; }
+
+function report(stays, month) {
+  const byTax = {};
+  const details = [];
+  const line = (t) => byTax[t.id] = byTax[t.id] || { id: t.id, label: t.label, rate: t.rate == null ? null : t.rate, taxableBase: 0, collected: 0, refunded: 0, net: 0 };
+  for (const s of stays) {
+    const p = s.pricing;
+    if (!p || !(p.total > 0)) continue;
+    const taxes = p.taxes || legacyTaxes(p);
+    if (!taxes.length) continue;
+    const events = [];
+    for (const pay of s.payments || [])
+      if (monthOf(pay.paidAt, s.timezone) === month) events.push({ kind: "collected", at: pay.paidAt, amount: pay.amount });
+    for (const r of s.refunds || [])
+      if (r.status === "COMPLETED" && monthOf(r.updatedAt, s.timezone) === month) events.push({ kind: "refunded", at: r.updatedAt, amount: r.amount });
+    for (const e of events) {
+      const share = Math.min(1, e.amount / p.total);
+      const taxesShare = {};
+      for (const t of taxes) {
+        const l = line(t);
+        const amount = r2(t.amount * share);
+        l[e.kind] = r2(l[e.kind] + amount);
+        l.taxableBase = r2(l.taxableBase + (e.kind === "collected" ? 1 : -1) * (t.base || 0) * share);
+        taxesShare[t.id] = amount;
+      }
+      details.push({ ref: s.ref, kind: e.kind, at: e.at, amount: e.amount, taxes: taxesShare });
+    }
+  }
+  const taxes = Object.values(byTax).map((l) => ({ ...l, net: r2(l.collected - l.refunded) }));
+  const sum = (k) => r2(taxes.reduce((n, l) => n + l[k], 0));
+  return { month, taxes, totals: { collected: sum("collected"), refunded: sum("refunded"), net: sum("net") }, details };
+}
+
+function legacyTaxes(p) {
+  const out = [];
+  if (p.lodgingTaxAmount > 0) out.push({ id: "legacy-lodging-tax", label: "Lodging Tax (combined, priced before the fee/tax model)", rate: p.lodgingTaxRate, base: p.lodgingPreTaxTotal, amount: p.lodgingTaxAmount });
+  if (p.golfCartTax > 0) out.push({ id: "legacy-golf-cart-tax", label: "Golf Cart Tax (combined, priced before the fee/tax model)", rate: p.golfCartTaxRate, base: p.golfCartBase, amount: p.golfCartTax });
+  return out;
+}
+
+module.exports = { CATEGORIES, validate, feesFor, taxesFor, combine, rateFor, report };
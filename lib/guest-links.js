@@ -0,0 +1,54 @@
+const crypto = require("crypto");
+const { parseDate, addDays, isoKey, today } = require("./dates");
+
+// Signed "manage my booking" links. The token names the booking and an expiry
+// and is HMAC-SHA256 signed with GUEST_LINK_SECRET, so there's nothing to store
+// and no guest account: whoever holds the link (the guest's inbox) can manage
+// that one booking until it expires, GUEST_LINK_DAYS (default 14) after checkout.
+//   token = base64url(ref) "." expiry (unix seconds, base 36) "." signature
+// The page itself is MANAGE_BOOKING_URL (e.g. https://.../manage/), opened with ?t=<token>.
+const PURPOSE = "cte-manage:";
+
+function secret() { return process.env.GUEST_LINK_SECRET || ""; }
+
+function enabled() { return !!(secret() && process.env.MANAGE_BOOKING_URL); }
+
+function sign(payload) {
+  return crypto.createHmac("sha256", secret()).update(PURPOSE + payload).digest("base64url");
+}
+
+// Expires at midnight UTC GUEST_LINK_DAYS after checkout.
+function expiryFor(checkout) {
+  const days = parseInt(process.env.GUEST_LINK_DAYS, 10) || 14;
+  const co = parseDate(checkout);
+  const last = co ? isoKey(addDays(co, days)) : isoKey(addDays(parseDate(today()), days));
+  return Math.floor(Date.parse(last + "T00:00:00Z") / 1000);
+}
+
+function create(ref, checkout) {
+  if (!secret()) throw new Error("GUEST_LINK_SECRET is not set");
+  const payload = Buffer.from(String(ref)).toString("base64url") + "." + expiryFor(checkout).toString(36);
+  return payload + "." + sign(payload);
+}
+
+function url(ref, checkout) {
+  if (!enabled()) return "";
+  const base = process.env.MANAGE_BOOKING_URL;
+  return base + (base.includes("?") ? "&" : "?") + "t=" + create(ref, checkout);
+}
+
+// { ok, ref, expiresAt } | { ok: false, expired, error }
+function verify(token, now) {
+  if (!secret()) return { ok: false, error: "Booking links are not enabled." };
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return { ok: false, error: "This link isn't valid." };
+  const payload = parts[0] + "." + parts[1];
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(parts[2]);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return { ok: false, error: "This link isn't valid." };
+  const exp = parseInt(parts[1], 36) * 1000;
+  if (!(exp > (now || new Date()).getTime())) return { ok: false, expired: true, error: "This link has expired. Reply to your confirmation email and we'll help." };
+  return { ok: true, ref: Buffer.from(parts[0], "base64url").toString(), expiresAt: new Date(exp).toISOString() };
+}
+
+module.exports = { enabled, create, url, verify };
@@ -0,0 +1,112 @@
+const fs = require("fs");
+const { isoKey, parseDate, addDays } = require("./dates");
+
+// Minimal iCalendar (RFC 5545) support: enough to read the all-day VEVENTs
+// that Airbnb/VRBO/FloridaRentals publish, and to write our own feed.
+
+function unfold(text) {
+  return String(text || "").replace(/\r\n/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+}
+
+// "20260610" or "20260610T150000Z" → "2026-06-10". Times are dropped: every
+// channel we sync with treats a stay as whole nights.
+function icalDate(value) {
+  const m = String(value || "").match(/^(\d{4})(\d{2})(\d{2})/);
+  const iso = m ? m[1] + "-" + m[2] + "-" + m[3] : "";
+  return parseDate(iso) ? iso : "";
+}
+
+function unescapeText(v) {
+  return String(v).replace(/\\n/gi, "\n").replace(/\\([,;\\])/g, "$1");
+}
+function escapeText(v) {
+  return String(v == null ? "" : v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/([,;])/g, "\\$1");
+}
+
+// Returns [{ uid, start, end, summary }] with start/end as ISO dates (end exclusive).
+function parseEvents(text) {
+  const events = [];
+  let cur = null;
+  for (const line of unfold(text)) {
+    if (line === "BEGIN:VEVENT") { cur = {}; continue; }
+    if (line === "END:VEVENT") {
+      if (cur && cur.start) {
+        if (!cur.end || cur.end <= cur.start) cur.end = isoKey(addDays(parseDate(cur.start), 1)); // single-day event
+        events.push({ uid: cur.uid || "", start: cur.start, end: cur.end, summary: cur.summary || "" });
+      }
+      cur = null;
+      continue;
+    }
+    if (!cur) continue;
+    const idx = line.indexOf(":");
+    if (idx < 0) continue;
+    const name = line.slice(0, idx).split(";")[0].toUpperCase();
+    const value = line.slice(idx + 1);
+    if (name === "UID") cur.uid = value.trim();
+    else if (name === "DTSTART") cur.start = icalDate(value);
+    else if (name === "DTEND") cur.end = icalDate(value);
+    else if (name === "SUMMARY") cur.summary = unescapeText(value);
+  }
+  return events;
+}
+
+function fold(line) {
+  if (line.length <= 75) return line;
+  const parts = [line.slice(0, 75)];
+  for (let i = 75; i < line.length; i += 74) parts.push(" " + line.slice(i, i + 74));
+  return parts.join("\r\n");
+}
+
+// events: [{ uid, start, end, summary, description }]
+function serialize(events, opts) {
+  const o = opts || {};
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Coastal Tide Escapes//Booking Backend//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:" + escapeText(o.name || "Coastal Tide Escapes"),
+  ];
+  for (const e of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      "UID:" + e.uid,
+      "DTSTAMP:" + stamp,
+      "DTSTART;VALUE=DATE:" + e.start.replace(/-/g, ""),
+      "DTEND;VALUE=DATE:" + e.end.replace(/-/g, ""),
+      "SUMMARY:" + escapeText(e.summary || "Reserved"),
+    );
+    if (e.description) lines.push("DESCRIPTION:" + escapeText(e.description));
+    lines.push("END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+// Feeds come from ICAL_FEEDS, a JSON array such as
+//   [{"source":"airbnb","url":"https://..."},{"source":"floridarentals","file":"./fr.ics"}]
+// plus an optional "propertyId" (default: the default property).
+function configuredFeeds() {
+  if (!process.env.ICAL_FEEDS) return [];
+  try {
+    const feeds = JSON.parse(process.env.ICAL_FEEDS);
+    return Array.isArray(feeds) ? feeds.filter((f) => f && f.source && (f.url || f.file)) : [];
+  } catch (err) {
+    console.error("ICAL_FEEDS is not valid JSON:", err.message);
+    return [];
+  }
+}
+
+// fetchFn is injectable so tests (and dry runs) don't need the network.
+async function readFeed(feed, fetchFn) {
+  if (feed.file) return fs.promises.readFile(feed.file, "utf8");
+  let f = fetchFn;
+  if (!f) f = (await import("node-fetch")).default;
+  const r = await f(feed.url, { headers: { Accept: "text/calendar" } });
+  if (!r.ok) throw new Error("HTTP " + r.status + " from " + feed.url);
+  return r.text();
+}
+
+module.exports = { parseEvents, serialize, configuredFeeds, readFeed };
@@ -0,0 +1,125 @@
+const crypto = require("crypto");
+const store = require("./store");
+
+// Durable inbox for Square webhook events, keyed by Square's event_id.
+// The route records the verified event before answering 200; processing runs
+// after, with retry and backoff. A crash mid-handler leaves the event
+// "processing", which is put back to "pending" on the next start.
+//   { id, type, status: pending|processing|done|failed, attempts, nextAttemptAt,
+//     lastError, receivedAt, processedAt, result, event }
+const FILE = "webhook-events";
+const BACKOFF_MINUTES = [1, 5, 15, 60, 180];
+const MAX_ATTEMPTS = 6;
+const KEEP_DONE_DAYS = 90;
+
+function eventId(event, raw) {
+  if (event && event.event_id) return String(event.event_id);
+  // manual/test posts without an id: same body → same id, so duplicates still collapse
+  return "body-" + crypto.createHash("sha256").update(raw || JSON.stringify(event || {})).digest("hex").slice(0, 32);
+}
+
+// Returns { id, duplicate }. Throws if the event couldn't be persisted, so the
+// route can answer non-2xx and Square redelivers it.
+function record(event, raw) {
+  const id = eventId(event, raw);
+  const now = new Date();
+  return store.update(FILE, {}, (all) => {
+    if (all[id]) return { id, duplicate: true };
+    all[id] = {
+      id, type: (event && event.type) || "", status: "pending", attempts: 0,
+      receivedAt: now.toISOString(), nextAttemptAt: now.toISOString(),
+      createdAt: (event && event.created_at) || "", event,
+    };
+    const cutoff = now.getTime() - KEEP_DONE_DAYS * 86400000;
+    for (const k of Object.keys(all))
+      if (all[k].status === "done" && new Date(all[k].receivedAt).getTime() < cutoff) delete all[k];
+    return { id, duplicate: false };
+  });
+}
+
+function get(id) { return store.load(FILE, {})[id] || null; }
+
+function list(filter) {
+  const f = filter || {};
+  return Object.values(store.load(FILE, {}))
+    .filter((e) => (!f.status || e.status === f.status) && (!f.type || e.type === f.type))
+    .filter((e) => (!f.from || e.receivedAt >= f.from) && (!f.to || e.receivedAt < f.to))
+    .sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+}
+
+function setFields(id, fields) {
+  return store.update(FILE, {}, (all) => {
+    if (all[id]) Object.assign(all[id], fields);
+    return all[id] || null;
+  });
+}
+
+// Queue events for another run. ids: one id, or every event matching filter.
+function replay(ids) {
+  const now = new Date().toISOString();
+  return store.update(FILE, {}, (all) => {
+    const queued = [];
+    for (const id of ids) {
+      const e = all[id];
+      if (!e || e.status === "processing") continue;
+      Object.assign(e, { status: "pending", attempts: 0, lastError: "", nextAttemptAt: now, replayedAt: now });
+      queued.push(id);
+    }
+    return queued;
+  });
+}
+
+// Anything still "processing" at startup was interrupted by a crash or deploy.
+function recoverInterrupted() {
+  return store.update(FILE, {}, (all) => {
+    let n = 0;
+    for (const e of Object.values(all)) if (e.status === "processing") { e.status = "pending"; n++; }
+    return n;
+  });
+}
+
+// Run handler(event) for everything due, oldest first. handler resolves to a
+// small result object; a throw schedules a retry until MAX_ATTEMPTS, then "failed".
+// A call while a run is going on returns [] and has that run go round again
+// once it's done, so an event recorded mid-run isn't left until the next sweep.
+let running = false;
+let rerunAt = null;
+async function processDue(now, handler) {
+  if (running) { rerunAt = now; return []; }
+  running = true;
+  const results = [];
+  try {
+    for (let at = now; at; at = rerunAt) {
+      rerunAt = null;
+      results.push(...(await processPass(at, handler)));
+    }
+  } finally {
+    running = false;
+    rerunAt = null;
+  }
+  return results;
+}
+
+async function processPass(now, handler) {
+  const results = [];
+  const due = list({ status: "pending" }).filter((e) => new Date(e.nextAttemptAt) <= now);
+  for (const e of due) {
+    setFields(e.id, { status: "processing" });
+    try {
+      const result = await handler(e.event);
+      setFields(e.id, { status: "done", processedAt: new Date().toISOString(), lastError: "", result: result || null });
+      results.push({ id: e.id, status: "done" });
+    } catch (err) {
+      const attempts = (e.attempts || 0) + 1;
+      const wait = BACKOFF_MINUTES[Math.min(attempts - 1, BACKOFF_MINUTES.length - 1)];
+      setFields(e.id, attempts >= MAX_ATTEMPTS
+        ? { status: "failed", attempts, lastError: err.message }
+        : { status: "pending", attempts, lastError: err.message, nextAttemptAt: new Date(now.getTime() + wait * 60 * 1000).toISOString() });
+      console.error("Webhook event " + e.id + " (" + e.type + ") failed, attempt " + attempts + ":", err.message);
+      results.push({ id: e.id, status: "error", error: err.message });
+    }
+  }
+  return results;
+}
+
+module.exports = { eventId, record, get, list, replay, recoverInterrupted, processDue };
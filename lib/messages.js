@@ -0,0 +1,140 @@
+const fs = require("fs");
+const path = require("path");
+const store = require("./store");
+const properties = require("./properties");
+const { isoKey, parseDate, addDays, zonedTime } = require("./dates");
+
+// Guest message outbox. Each booking gets its messages queued up front with a
+// send time; a timer delivers whatever is due. The queue lives in the store,
+// so a restart just picks up where it left off. Timing and the check-in
+// details used by the templates come from config/guest-messages.json.
+//   { id: "<ref>:<kind>", ref, kind, template, sendAt, status: pending|sent|failed|cancelled,
+//     attempts, lastError, sentAt }
+const FILE = "messages";
+const DEFAULT_CONFIG = path.join(__dirname, "..", "config", "guest-messages.json");
+
+let cfgCache = null;
+function config() {
+  if (!cfgCache) cfgCache = JSON.parse(fs.readFileSync(process.env.GUEST_MESSAGES_FILE || DEFAULT_CONFIG, "utf8"));
+  return cfgCache;
+}
+
+// sendHour is the hour at the property, whatever TZ the server runs in.
+function at(dateIso, dayOffset, hour, zone) {
+  return zonedTime(isoKey(addDays(parseDate(dateIso), dayOffset)), hour, zone).toISOString();
+}
+
+function planFor(bk, now) {
+  const c = config();
+  const hour = c.sendHour || 10;
+  const zone = properties.timezone(properties.get(properties.of(bk)));
+  return [
+    { kind: "confirmation", template: "guest/confirmation", sendAt: (now || new Date()).toISOString() },
+    { kind: "pre_arrival", template: "guest/pre-arrival", sendAt: at(bk.checkin, -(c.preArrivalDays || 3), hour, zone) },
+    { kind: "checkout_reminder", template: "guest/checkout-reminder", sendAt: at(bk.checkout, -(c.checkoutReminderDays || 1), hour + 7, zone) },
+    { kind: "review_request", template: "guest/review-request", sendAt: at(bk.checkout, c.reviewRequestDaysAfter || 1, hour, zone) },
+  ];
+}
+
+// Queue the standard sequence for a paid booking (opts.only limits it to some
+// kinds). Safe to call again: an existing message, sent or not, is left alone.
+function scheduleForBooking(bk, opts) {
+  const o = opts || {};
+  const plan = planFor(bk, o.now);
+  return store.update(FILE, [], (msgs) => {
+    const added = [];
+    for (const p of plan) {
+      if (o.only && !o.only.includes(p.kind)) continue;
+      const id = bk.ref + ":" + p.kind;
+      if (msgs.some((m) => m.id === id)) continue;
+      const m = { id, ref: bk.ref, ...p, status: "pending", attempts: 0, createdAt: new Date().toISOString() };
+      msgs.push(m);
+      added.push(m);
+    }
+    return added;
+  });
+}
+
+// Move the booking's unsent date-based messages to its new dates (after a date change).
+function rescheduleForBooking(bk) {
+  const plan = planFor(bk);
+  return store.update(FILE, [], (msgs) => {
+    let n = 0;
+    for (const m of msgs) {
+      const p = plan.find((x) => x.kind === m.kind);
+      if (m.ref !== bk.ref || m.status !== "pending" || !p || m.kind === "confirmation") continue;
+      m.sendAt = p.sendAt;
+      n++;
+    }
+    return n;
+  });
+}
+
+function cancelForBooking(ref) {
+  return store.update(FILE, [], (msgs) => {
+    let n = 0;
+    for (const m of msgs) if (m.ref === ref && m.status === "pending") { m.status = "cancelled"; n++; }
+    return n;
+  });
+}
+
+function list(filter) {
+  const f = filter || {};
+  return store.load(FILE, []).filter((m) => (!f.status || m.status === f.status) && (!f.ref || m.ref === f.ref));
+}
+
+function setStatus(id, fields) {
+  return store.update(FILE, [], (msgs) => {
+    const m = msgs.find((x) => x.id === id);
+    if (m) Object.assign(m, fields);
+    return m || null;
+  });
+}
+
+function retry(id) { return setStatus(id, { status: "pending", attempts: 0, lastError: "", sendAt: new Date().toISOString() }); }
+
+// Deliver everything due by `now`. `deliver(msg)` sends it and resolves to
+// true, or false when the message no longer applies (e.g. booking cancelled).
+// Failures back off 15 min, 30 min, 1 h ... until maxAttempts, then "failed".
+// A call while a run is going on returns [] and has that run go round again
+// once it's done, as in lib/inbox: a confirmation queued mid-run goes out now.
+let running = false;
+let rerunAt = null;
+async function processDue(now, deliver) {
+  if (running) { rerunAt = now; return []; }
+  running = true;
+  const results = [];
+  try {
+    for (let at = now; at; at = rerunAt) {
+      rerunAt = null;
+      results.push(...(await processPass(at, deliver)));
+    }
+  } finally {
+    running = false;
+    rerunAt = null;
+  }
+  return results;
+}
+
+async function processPass(now, deliver) {
+  const results = [];
+  const maxAttempts = config().maxAttempts || 5;
+  const due = list({ status: "pending" }).filter((m) => new Date(m.sendAt) <= now);
+  for (const m of due) {
+    try {
+      const sent = await deliver(m);
+      setStatus(m.id, sent ? { status: "sent", sentAt: new Date().toISOString() } : { status: "cancelled" });
+      results.push({ id: m.id, status: sent ? "sent" : "cancelled" });
+    } catch (err) {
+      const attempts = (m.attempts || 0) + 1;
+      const retryAt = new Date(now.getTime() + 15 * 60 * 1000 * Math.pow(2, attempts - 1)).toISOString();
+      setStatus(m.id, attempts >= maxAttempts
+        ? { status: "failed", attempts, lastError: err.message }
+        : { attempts, lastError: err.message, sendAt: retryAt });
+      results.push({ id: m.id, status: "error", error: err.message });
+    }
+  }
+  return results;
+}
+
+module.exports = { config, scheduleForBooking, rescheduleForBooking, cancelForBooking, list, retry, processDue };
@@ -0,0 +1,40 @@
+const crypto = require("crypto");
+
+// The payment provider the server charges through. PAYMENT_PROVIDER picks it:
+//   square (default)  lib/square-payments, the real thing
+//   fake              lib/fake-payments, fully local: links, payments and signed
+//                     webhooks without a network, for tests and dev mode
+// Every provider speaks Square's shapes (order and payment objects, webhook
+// events), so the routes and the webhook handler don't care which one is in use:
+//   name, environment, locationId
+//   createPaymentLink(body)        → { id, url, orderId } | null   (body: Square's CreatePaymentLink request)
+//   retrieveOrder(orderId)         → order | null
+//   listPayments({ beginTime, cursor }) → { payments, cursor }
+//   refundPayment(body)            → refund                        (body: Square's RefundPayment request)
+//   deletePaymentLink(id)          → deactivates a link so it can't be paid any more
+//   verifyWebhook(rawBody, signature) → { checked, valid }  checked is false when
+//                                    there's nothing to check against (no key set)
+const PROVIDERS = {
+  square: () => require("./square-payments"),
+  fake: () => require("./fake-payments"),
+};
+
+function name() { return String(process.env.PAYMENT_PROVIDER || "square").toLowerCase(); }
+
+function provider() {
+  const load = PROVIDERS[name()];
+  if (!load) throw new Error("Unknown PAYMENT_PROVIDER " + name() + " (use " + Object.keys(PROVIDERS).join(" or ") + ")");
+  return load();
+}
+
+// Square's webhook signature, which the fake provider signs with too: base64
+// HMAC-SHA256 of the notification URL followed by the raw body.
+function sign(key, url, rawBody) { return crypto.createHmac("sha256", key).update(url + rawBody).digest("base64"); }
+
+function signatureMatches(key, url, rawBody, signature) {
+  const expected = Buffer.from(sign(key, url, rawBody));
+  const given = Buffer.from(String(signature || ""));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = { name, provider, sign, signatureMatches };
@@ -0,0 +1,91 @@
+const fs = require("fs");
+const path = require("path");
+const { parseDate, nightsBetween, addDays, isoKey } = require("./dates");
+const properties = require("./properties");
+
+// Dynamic pricing rules layered onto the base lodging (the sum of nightly
+// rates). Every rule that applies adds one adjustment { id, label, pct, amount };
+// pct is signed (-15 = 15% off, 10 = a 10% surcharge) and each rule works off
+// the same base, so rule order doesn't change the result. Nothing here reads
+// the clock or the store: the caller passes "today" and the taken nights, so
+// the same inputs always price the same. See config/pricing-rules.json.
+//   orphanGap    { maxNights }   the stay exactly fills an open hole of at most maxNights between taken nights
+//   lastMinute   { withinDays }  check-in is 0..withinDays days from today
+//   earlyBird    { minDaysOut }  check-in is at least minDaysOut days from today
+//   lengthOfStay { tiers: [{ minNights, pct }] }  the highest tier reached
+// Any rule can be limited to some rate plans with `plans` or properties with
+// `properties`, and switched off with enabled: false.
+const DEFAULT_FILE = path.join(__dirname, "..", "config", "pricing-rules.json");
+const TYPES = ["orphanGap", "lastMinute", "earlyBird", "lengthOfStay"];
+
+function r2(n) { return Math.round((Number(n) || 0) * 100) / 100; }
+
+function validate(cfg) {
+  const errors = [];
+  const ids = new Set();
+  for (const [i, r] of ((cfg && cfg.rules) || []).entries()) {
+    const at = "rules[" + i + "]";
+    if (!r.id || ids.has(r.id)) errors.push(at + ": id missing or repeated");
+    ids.add(r.id);
+    if (!TYPES.includes(r.type)) errors.push(at + ": type must be one of " + TYPES.join(", "));
+    if (!r.label) errors.push(at + ": label required");
+    if (r.type === "lengthOfStay") {
+      if (!Array.isArray(r.tiers) || !r.tiers.length) errors.push(at + ": tiers required");
+      for (const t of r.tiers || [])
+        if (!(t.minNights >= 1) || !Number.isFinite(t.pct)) errors.push(at + ": each tier needs minNights >= 1 and a pct");
+    } else if (!Number.isFinite(r.pct)) errors.push(at + ": pct required");
+    if (r.type === "orphanGap" && !(r.maxNights >= 1)) errors.push(at + ": maxNights must be at least 1");
+    if (r.type === "lastMinute" && !(r.withinDays >= 0)) errors.push(at + ": withinDays required");
+    if (r.type === "earlyBird" && !(r.minDaysOut >= 1)) errors.push(at + ": minDaysOut required");
+  }
+  return errors;
+}
+
+let cache = null;
+function config() {
+  if (!cache) {
+    const cfg = JSON.parse(fs.readFileSync(process.env.PRICING_RULES_FILE || DEFAULT_FILE, "utf8"));
+    const errors = validate(cfg);
+    if (errors.length) throw new Error("Invalid pricing rules: " + errors.join("; "));
+    cache = cfg;
+  }
+  return cache;
+}
+
+// The pct a rule contributes for this stay, or 0 when it doesn't apply.
+function pctFor(r, ctx) {
+  const daysOut = nightsBetween(parseDate(ctx.today), parseDate(ctx.checkin));
+  switch (r.type) {
+    case "orphanGap": {
+      const before = isoKey(addDays(parseDate(ctx.checkin), -1));
+      return ctx.nights <= r.maxNights && ctx.taken.has(before) && ctx.taken.has(ctx.checkout) ? r.pct : 0;
+    }
+    case "lastMinute":
+      return daysOut >= 0 && daysOut <= r.withinDays ? r.pct : 0;
+    case "earlyBird":
+      return daysOut >= r.minDaysOut ? r.pct : 0;
+    case "lengthOfStay": {
+      const tier = r.tiers.filter((t) => ctx.nights >= t.minNights).sort((a, b) => b.minNights - a.minNights)[0];
+      return tier ? tier.pct : 0;
+    }
+    default:
+      return 0;
+  }
+}
+
+// base: lodging before fees and discounts.
+// ctx: { today, checkin, checkout (ISO dates), nights, plan (rate plan key), property, taken: Set of ISO nights }
+function apply(base, ctx, rules) {
+  const out = [];
+  for (const r of rules || config().rules) {
+    if (r.enabled === false) continue;
+    if (r.plans && !r.plans.includes(ctx.plan)) continue;
+    if (!properties.appliesTo(r, ctx.property)) continue;
+    const pct = pctFor(r, { ...ctx, taken: ctx.taken || new Set() });
+    if (!pct) continue;
+    out.push({ id: r.id, label: r.label + " (" + Math.abs(pct) + "%" + (pct > 0 ? " surcharge" : "") + ")", pct, amount: r2(base * pct / 100) });
+  }
+  return out;
+}
+
+module.exports = { TYPES, validate, apply };
@@ -0,0 +1,153 @@
+const fs = require("fs");
+const path = require("path");
+const store = require("./store");
+const { parseDate, isoKey, addDays } = require("./dates");
+
+// Promo codes, keyed by upper-case code. The store is seeded from
+// config/promo-codes.json the first time it's read; after that the admin
+// routes own it. A code may carry any of these limits:
+//   maxRedemptions, perEmailLimit, minNights,
+//   bookingWindow { start, end }  — dates the booking can be made on
+//   stayWindow    { start, end }  — every night of the stay must fall inside
+//   plans / excludePlans          — rate plan keys ("standard", "floridarentals", ...)
+//   stacking: "stack" (default, on top of the direct-booking discount)
+//           | "exclusive" (replaces it) | "best" (whichever saves the guest more)
+// Redemptions are recorded only once a payment completes.
+const FILE = "promos";
+const SEED_FILE = path.join(__dirname, "..", "config", "promo-codes.json");
+const TYPES = ["fixed", "percent", "override"];
+const STACKING = ["stack", "exclusive", "best"];
+
+function normalize(code) { return String(code == null ? "" : code).trim().toUpperCase(); }
+
+function all() {
+  const saved = store.load(FILE, null);
+  if (saved) return saved;
+  const seed = JSON.parse(fs.readFileSync(process.env.PROMO_CODES_FILE || SEED_FILE, "utf8"));
+  for (const code of Object.keys(seed)) seed[code] = { code, redemptions: [], ...seed[code] };
+  store.save(FILE, seed);
+  return seed;
+}
+
+function get(code) { return all()[normalize(code)] || null; }
+
+// ctx: { checkin, checkout, nights, plan (rate plan key), email, today (ISO), ref }
+// ref: the booking being repriced (e.g. a date change); its own redemption
+// doesn't count against the limits. Returns { ok: true, promo } | { ok: false, reason }.
+function check(code, ctx) {
+  const p = get(code);
+  if (!p || !p.active) return { ok: false, reason: "That promo code isn't valid." };
+  const others = (p.redemptions || []).filter((r) => !ctx.ref || r.ref !== ctx.ref);
+  const used = others.length;
+  if (p.maxRedemptions && used >= p.maxRedemptions) return { ok: false, reason: "That promo code has already been fully redeemed." };
+  const emailError = perEmailError(p, others, ctx.email, ctx.requireEmail);
+  if (emailError) return { ok: false, reason: emailError };
+  const bw = p.bookingWindow;
+  if (bw && ((bw.start && ctx.today < bw.start) || (bw.end && ctx.today > bw.end)))
+    return { ok: false, reason: "That promo code isn't available right now." };
+  const sw = p.stayWindow;
+  if (sw && ctx.checkin && ctx.checkout) {
+    const lastNight = isoKey(addDays(parseDate(ctx.checkout), -1));
+    if ((sw.start && ctx.checkin < sw.start) || (sw.end && lastNight > sw.end))
+      return { ok: false, reason: "That promo code is only valid for stays " + (sw.start || "") + " to " + (sw.end || "") + "." };
+  }
+  if (p.minNights && ctx.nights < p.minNights) return { ok: false, reason: "That promo code requires at least " + p.minNights + " nights." };
+  if (p.plans && p.plans.length && !p.plans.includes(ctx.plan)) return { ok: false, reason: "That promo code can't be used with this rate." };
+  if (p.excludePlans && p.excludePlans.includes(ctx.plan)) return { ok: false, reason: "That promo code can't be used with this rate." };
+  return { ok: true, promo: p };
+}
+
+function perEmailError(p, redemptions, email, requireEmail) {
+  if (!p.perEmailLimit) return "";
+  const e = String(email || "").trim().toLowerCase();
+  if (!e && requireEmail) return "Enter your email address to use this promo code.";
+  const mine = redemptions.filter((r) => r.email && r.email === e).length;
+  return e && mine >= p.perEmailLimit ? "You've already used this promo code." : "";
+}
+
+// Just the per-email limit, for a price locked before the guest's email was
+// known (see lib/quotes). Returns { ok } | { ok: false, reason }.
+function checkEmail(code, email, requireEmail) {
+  const p = get(code);
+  const reason = p ? perEmailError(p, p.redemptions || [], email, requireEmail) : "";
+  return reason ? { ok: false, reason } : { ok: true };
+}
+
+// Discount for a fixed/percent code against `base`, never more than base.
+function discountFor(p, base) {
+  const raw = p.type === "fixed" ? p.amount : Math.round(base * (p.amount / 100) * 100) / 100;
+  return Math.min(raw, base);
+}
+
+function validate(def) {
+  const errors = [];
+  if (!def || typeof def !== "object") return ["promo must be an object"];
+  if (!/^[A-Z0-9_-]{3,32}$/.test(normalize(def.code))) errors.push("code: 3-32 letters, digits, - or _");
+  if (!TYPES.includes(def.type)) errors.push("type: one of " + TYPES.join(", "));
+  if (!(typeof def.amount === "number" && def.amount > 0)) errors.push("amount: must be a positive number");
+  if (def.type === "percent" && def.amount > 100) errors.push("amount: a percent code can't exceed 100");
+  if (!def.label) errors.push("label: required");
+  for (const k of ["maxRedemptions", "perEmailLimit", "minNights"])
+    if (def[k] != null && !(Number.isInteger(def[k]) && def[k] > 0)) errors.push(k + ": must be a positive whole number");
+  for (const k of ["bookingWindow", "stayWindow"]) {
+    const w = def[k];
+    if (w == null) continue;
+    if ((w.start && !parseDate(w.start)) || (w.end && !parseDate(w.end))) errors.push(k + ": start/end must be YYYY-MM-DD");
+    else if (w.start && w.end && w.end < w.start) errors.push(k + ": end is before start");
+  }
+  for (const k of ["plans", "excludePlans"])
+    if (def[k] != null && !Array.isArray(def[k])) errors.push(k + ": must be a list of rate plan keys");
+  if (def.stacking != null && !STACKING.includes(def.stacking)) errors.push("stacking: one of " + STACKING.join(", "));
+  return errors;
+}
+
+const EDITABLE = ["type", "amount", "label", "active", "maxRedemptions", "perEmailLimit", "minNights",
+  "bookingWindow", "stayWindow", "plans", "excludePlans", "stacking"];
+
+// Create or replace a code's settings; its redemption history is kept.
+function upsert(def) {
+  const code = normalize(def.code);
+  const promos = all();
+  const prev = promos[code];
+  const next = { code, redemptions: prev ? prev.redemptions : [], createdAt: prev ? prev.createdAt : new Date().toISOString() };
+  for (const k of EDITABLE) if (def[k] != null) next[k] = def[k];
+  if (next.active == null) next.active = true;
+  next.updatedAt = new Date().toISOString();
+  promos[code] = next;
+  store.save(FILE, promos);
+  return next;
+}
+
+function remove(code) {
+  const promos = all();
+  const p = promos[normalize(code)];
+  if (!p) return null;
+  delete promos[p.code];
+  store.save(FILE, promos);
+  return p;
+}
+
+// One redemption per booking ref, so redelivered webhooks don't count twice.
+function recordRedemption(code, { ref, email, paymentId }) {
+  const promos = all();
+  const p = promos[normalize(code)];
+  if (!p || (p.redemptions || []).some((r) => r.ref === ref)) return false;
+  p.redemptions = (p.redemptions || []).concat([{
+    ref, email: String(email || "").trim().toLowerCase(), paymentId: paymentId || "", at: new Date().toISOString(),
+  }]);
+  store.save(FILE, promos);
+  return true;
+}
+
+// Give the use back when a booking is cancelled.
+function releaseRedemption(code, ref) {
+  const promos = all();
+  const p = promos[normalize(code)];
+  if (!p) return false;
+  const before = (p.redemptions || []).length;
+  p.redemptions = (p.redemptions || []).filter((r) => r.ref !== ref);
+  store.save(FILE, promos);
+  return p.redemptions.length !== before;
+}
+
+module.exports = { normalize, all, get, check, checkEmail, discountFor, validate, upsert, remove, recordRedemption, releaseRedemption };
@@ -0,0 +1,85 @@
+const fs = require("fs");
+const path = require("path");
+const { ZONE } = require("./dates");
+
+// Rental units. Each property picks its rate plans from config/rate-plans.json
+// and carries what differs per unit: guest cap, minimum stay, the Square
+// location and redirect pages, who gets the owner emails, guest message
+// details, and its iCal feeds. Loaded from config/properties.json (or
+// PROPERTIES_FILE).
+//   { name, stayLabel, maxGuests, minStay, defaultPlan, ratePlans: [names],
+//     squareLocationId, redirectUrl, addOnsRedirectUrl, notifyEmails: [..],
+//     messages: { propertyAddress, propertyLocation, accessInstructions, ... }, icalName, icalFeeds: [{ source, url | file }],
+//     timezone (IANA name; "today" and message send times are read there) }
+// Fees, taxes, pricing rules and add-ons apply to every property unless the
+// entry lists `properties`. Records saved before there was more than one
+// property (bookings, calendar entries) have no property id and belong to
+// defaultProperty.
+const DEFAULT_FILE = path.join(__dirname, "..", "config", "properties.json");
+
+function validZone(zone) {
+  try { new Intl.DateTimeFormat("en-US", { timeZone: String(zone) }); return true; } catch (_) { return false; }
+}
+
+function validate(cfg) {
+  if (!cfg || typeof cfg !== "object" || !cfg.properties || !Object.keys(cfg.properties).length) return ["properties: at least one property is required"];
+  const errors = [];
+  if (!cfg.properties[cfg.defaultProperty]) errors.push("defaultProperty: must name one of the properties");
+  for (const id of Object.keys(cfg.properties)) {
+    const p = cfg.properties[id], at = "properties." + id;
+    if (!/^[a-z0-9-]+$/.test(id)) errors.push(at + ": id may only use a-z, 0-9 and -");
+    if (!p.name) errors.push(at + ".name: required");
+    if (!(Number.isInteger(p.maxGuests) && p.maxGuests >= 1)) errors.push(at + ".maxGuests: required");
+    if (p.minStay != null && !(Number.isInteger(p.minStay) && p.minStay >= 1)) errors.push(at + ".minStay: must be a whole number of nights");
+    if (!Array.isArray(p.ratePlans) || !p.ratePlans.length) errors.push(at + ".ratePlans: list at least one rate plan");
+    if (!(p.ratePlans || []).includes(p.defaultPlan)) errors.push(at + ".defaultPlan: must be one of its ratePlans");
+    if (p.notifyEmails != null && !Array.isArray(p.notifyEmails)) errors.push(at + ".notifyEmails: must be a list");
+    if (p.timezone != null && !validZone(p.timezone)) errors.push(at + ".timezone: not a known timezone (e.g. America/Chicago)");
+  }
+  return errors;
+}
+
+let cache = null;
+function config() {
+  if (!cache) {
+    const cfg = JSON.parse(fs.readFileSync(process.env.PROPERTIES_FILE || DEFAULT_FILE, "utf8"));
+    const errors = validate(cfg);
+    if (errors.length) throw new Error("Invalid properties config: " + errors.join("; "));
+    cache = cfg;
+  }
+  return cache;
+}
+
+function defaultId() { return config().defaultProperty; }
+
+// The property for an id; a blank id means the default property. Unknown ids give null.
+function get(id) {
+  const key = id || defaultId();
+  const p = config().properties[key];
+  return p ? { id: key, ...p } : null;
+}
+
+function list() { return Object.keys(config().properties).map(get); }
+
+// Which property a stored record belongs to.
+function of(record) { return (record && record.propertyId) || defaultId(); }
+
+// Does a fee / tax / rule / add-on entry apply at this property?
+function appliesTo(entry, propertyId) {
+  return !entry.properties || entry.properties.includes(propertyId || defaultId());
+}
+
+// Owner notification recipients (comma-separated for nodemailer).
+function notifyTo(p) {
+  return (p && p.notifyEmails && p.notifyEmails.length ? p.notifyEmails.join(", ") : process.env.NOTIFY_EMAIL_TO) || "";
+}
+
+// The timezone a property's calendar days are counted in.
+function timezone(p) { return (p && p.timezone) || ZONE; }
+
+// What the site may show about each property.
+function publicView(p) {
+  return { id: p.id, name: p.name, maxGuests: p.maxGuests, minStay: p.minStay || 1, ratePlans: p.ratePlans, defaultPlan: p.defaultPlan };
+}
+
+module.exports = { validate, defaultId, get, list, of, appliesTo, notifyTo, timezone, publicView };
@@ -0,0 +1,89 @@
+const crypto = require("crypto");
+const store = require("./store");
+
+// Locked quotes. /quote saves the full computeBooking result and hands back a
+// quote id; /create-checkout charges exactly that, even if rates or a promo
+// change in between. The id is signed over its expiry and a digest of the
+// saved breakdown, so an edited id, an edited record or an expired quote is
+// refused.
+//   id     = "q_" + nonce "." expiry (unix seconds, base 36) "." signature
+//   record = { nonce, booking, bookingRef, createdAt, expiresAt }
+// Signed with QUOTE_SECRET, or a random secret kept in the store when that
+// isn't set. Quotes last QUOTE_TTL_MINUTES (default 30).
+const FILE = "quotes";
+const PURPOSE = "cte-quote:";
+
+function secret() {
+  if (process.env.QUOTE_SECRET) return process.env.QUOTE_SECRET;
+  return store.update("quote-secret", {}, (s) => {
+    if (!s.secret) s.secret = crypto.randomBytes(32).toString("hex");
+    return s.secret;
+  });
+}
+
+function digest(booking) { return crypto.createHash("sha256").update(JSON.stringify(booking)).digest("base64url"); }
+
+function sign(payload, booking) {
+  return crypto.createHmac("sha256", secret()).update(PURPOSE + payload + "." + digest(booking)).digest("base64url");
+}
+
+function ttlMs() { return (parseInt(process.env.QUOTE_TTL_MINUTES, 10) || 30) * 60 * 1000; }
+
+// Saves the priced booking; bookingRef is the ledger entry it's for, if any.
+// Returns { quoteId, expiresAt }.
+function create(booking, bookingRef, now) {
+  const at = (now || new Date()).getTime();
+  const exp = Math.floor((at + ttlMs()) / 1000);
+  const nonce = crypto.randomBytes(9).toString("base64url");
+  const payload = nonce + "." + exp.toString(36);
+  store.update(FILE, {}, (all) => {
+    // expired quotes are no use to anyone
+    for (const k of Object.keys(all)) if (Date.parse(all[k].expiresAt) < at) delete all[k];
+    all[nonce] = { nonce, booking, bookingRef: bookingRef || "", createdAt: new Date(at).toISOString(), expiresAt: new Date(exp * 1000).toISOString() };
+  });
+  return { quoteId: "q_" + payload + "." + sign(payload, booking), expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+// { ok, quote } | { ok: false, expired, error }
+function verify(quoteId, now) {
+  const parts = String(quoteId || "").replace(/^q_/, "").split(".");
+  const bad = { ok: false, expired: false, error: "This quote isn't valid. Please get a new quote." };
+  if (parts.length !== 3 || !String(quoteId).startsWith("q_")) return bad;
+  const payload = parts[0] + "." + parts[1];
+  const exp = parseInt(parts[1], 36) * 1000;
+  const expired = { ok: false, expired: true, error: "This quote has expired. Please get a new quote." };
+  const q = store.load(FILE, {})[parts[0]];
+  if (!q) return exp < (now || new Date()).getTime() ? expired : bad;
+  const expected = Buffer.from(sign(payload, q.booking));
+  const given = Buffer.from(parts[2]);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return bad;
+  if (!(exp > (now || new Date()).getTime())) return expired;
+  return { ok: true, quote: q };
+}
+
+function nonceOf(quoteId) { return String(quoteId).replace(/^q_/, "").split(".")[0]; }
+
+// Claim a quote for one checkout. The check and the claim are one store
+// update, so of two checkouts racing with the same quote only one gets it;
+// the other gets false. The booking is remembered too, so a retry after a
+// failed checkout (see release) reuses it instead of making another.
+function claim(quoteId, bookingRef) {
+  return store.update(FILE, {}, (all) => {
+    const q = all[nonceOf(quoteId)];
+    if (!q || q.claimedBy) return false;
+    Object.assign(q, { claimedBy: bookingRef, bookingRef });
+    return true;
+  });
+}
+
+// Give a claim back when the checkout holding it failed before making a link.
+function release(quoteId, bookingRef) {
+  return store.update(FILE, {}, (all) => {
+    const q = all[nonceOf(quoteId)];
+    if (!q || q.claimedBy !== bookingRef) return false;
+    q.claimedBy = "";
+    return true;
+  });
+}
+
+module.exports = { create, verify, claim, release };
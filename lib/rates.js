@@ -0,0 +1,175 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const store = require("./store");
+const { mdKey, isoKey, parseDate, addDays, weekday } = require("./dates");
+const { validateSchedule } = require("./schedule");
+
+// Rate plans: seasons, weekend nights, weekly/monthly rules, min-stay and
+// per-date overrides for each named plan. Fees and taxes live in lib/fees.
+// Loaded from config/rate-plans.json (or RATE_PLANS_FILE); an update made
+// through the admin routes is saved to the local store and wins over the file.
+const STORE_NAME = "rate-plans";
+const DEFAULT_FILE = path.join(__dirname, "..", "config", "rate-plans.json");
+const MD = /^\d{2}-\d{2}$/;
+
+let cache = null;
+
+function load() {
+  if (cache) return cache;
+  const saved = store.load(STORE_NAME, null);
+  if (saved && saved.config) {
+    cache = { config: saved.config, source: "store", updatedAt: saved.updatedAt };
+  } else {
+    const file = process.env.RATE_PLANS_FILE || DEFAULT_FILE;
+    cache = { config: JSON.parse(fs.readFileSync(file, "utf8")), source: file };
+  }
+  return cache;
+}
+
+function isMonthDay(v) { return MD.test(String(v)) && !!parseDate("2000-" + v); } // 2000: leap year, so 02-29 is valid
+function isIsoDate(v) { return /^\d{4}-\d{2}-\d{2}$/.test(String(v)) && !!parseDate(v); }
+
+// MM-DD ranges repeat every year and may wrap over New Year ("12-15" → "01-05").
+function inMonthDayRange(md, start, end) {
+  return start <= end ? (md >= start && md <= end) : (md >= start || md <= end);
+}
+
+// Dated seasons first, then every-year (MM-DD) seasons. With rollForward, a
+// date past the configured calendar reuses the most recent year's season for
+// the same day, so next year still quotes before the new rates are loaded.
+function findSeason(plan, date) {
+  const iso = isoKey(date), md = mdKey(date);
+  const seasons = plan.seasons || [];
+  for (const s of seasons) if (isIsoDate(s.start) && iso >= s.start && iso <= s.end) return s;
+  for (const s of seasons) if (isMonthDay(s.start) && inMonthDayRange(md, s.start, s.end)) return s;
+  if (plan.rollForward) {
+    const rolled = md === "02-29" ? "02-28" : md;
+    const dated = seasons.filter((s) => isIsoDate(s.start)).sort((a, b) => b.start.localeCompare(a.start));
+    for (const s of dated) if (inMonthDayRange(rolled, s.start.slice(5), s.end.slice(5))) return s;
+  }
+  return plan.default || null;
+}
+
+// Returns the plan to price with. Unknown or empty names get the default plan,
+// which is reported as ratePlan "" to keep the existing quote shape. `property`
+// (lib/properties) limits the choice to its ratePlans and brings its own default.
+function getPlan(name, property) {
+  const { config } = load();
+  const allowed = property ? property.ratePlans.filter((n) => config.plans[n]) : Object.keys(config.plans);
+  const def = property && config.plans[property.defaultPlan] ? property.defaultPlan : config.defaultPlan;
+  const key = name && allowed.includes(name) ? name : def;
+  const plan = config.plans[key];
+  return {
+    key, plan,
+    ratePlan: key === def ? "" : key,
+  };
+}
+
+// A plan as it stands now, kept so a booking can be repriced later (e.g. a date
+// change) at the rates it was booked under. Each distinct plan is stored once;
+// returns the snapshot id to keep on the booking.
+const SNAPSHOTS = "rate-snapshots";
+function snapshot(key) {
+  const plan = load().config.plans[key];
+  if (!plan) return "";
+  const id = key + ":" + crypto.createHash("sha256").update(JSON.stringify(plan)).digest("hex").slice(0, 16);
+  if (!store.load(SNAPSHOTS, {})[id]) store.update(SNAPSHOTS, {}, (all) => { all[id] = { key, plan, savedAt: new Date().toISOString() }; });
+  return id;
+}
+
+// { key, plan } for a snapshot id, or null.
+function snapshotPlan(id) { return (id && store.load(SNAPSHOTS, {})[id]) || null; }
+
+// { ok, rate, minStay } | { ok: false, reason }
+function nightlyRate(plan, date, stayNights) {
+  const override = (plan.overrides || {})[isoKey(date)];
+  const season = findSeason(plan, date);
+  if (!season && !override) return { ok: false, reason: plan.label + " pricing is not configured for at least one date in this range." };
+  const s = season || {};
+  const wknd = (plan.weekendDays || [5, 6]).includes(weekday(date));
+  let rate;
+  if (override && (override.nightly || override.weekend)) {
+    // a holiday price is deliberate, so weekly/monthly caps don't touch it
+    rate = wknd && override.weekend ? override.weekend : (override.nightly || override.weekend);
+  } else {
+    rate = wknd && s.weekend ? s.weekend : s.nightly;
+    if (stayNights >= 28 && s.monthly) rate = Math.min(rate, s.monthly / 30);
+    else if (stayNights >= 7 && s.weekly) rate = Math.min(rate, s.weekly / 7);
+  }
+  const minStay = (override && override.minStay) || s.minStay || plan.minStay || 1;
+  return { ok: true, rate, minStay };
+}
+
+// Direct-booking discount rate for this stay, or 0 when it doesn't qualify.
+// With a window, the stay qualifies if any night falls inside it.
+function directDiscountRate(plan, ci, nights) {
+  const dd = plan.directDiscount;
+  if (!dd || !dd.rate || nights < (dd.minNights || 1)) return 0;
+  if (!dd.window) return dd.rate;
+  for (let j = 0; j < nights; j++)
+    if (inMonthDayRange(mdKey(addDays(ci, j)), dd.window.start, dd.window.end)) return dd.rate;
+  return 0;
+}
+
+function checkRates(at, r, errors, requireNightly) {
+  for (const k of ["nightly", "weekend", "weekly", "monthly"])
+    if (r[k] != null && !(typeof r[k] === "number" && r[k] > 0)) errors.push(at + "." + k + ": must be a positive number");
+  if (requireNightly && r.nightly == null) errors.push(at + ".nightly: required");
+  if (r.minStay != null && !(Number.isInteger(r.minStay) && r.minStay >= 1)) errors.push(at + ".minStay: must be a whole number of nights");
+}
+
+// Returns a list of problems; empty means the config can be saved.
+function validate(cfg) {
+  if (!cfg || typeof cfg !== "object") return ["config must be a JSON object"];
+  const errors = [];
+  const plans = cfg.plans;
+  if (!plans || typeof plans !== "object" || !Object.keys(plans).length) return ["plans: at least one plan is required"];
+  if (!plans[cfg.defaultPlan]) errors.push("defaultPlan: must name one of the plans");
+
+  for (const name of Object.keys(plans)) {
+    const p = plans[name], at = "plans." + name;
+    if (!p || typeof p !== "object") { errors.push(at + ": must be an object"); continue; }
+    if (!p.label) errors.push(at + ".label: required");
+    if (p.weekendDays != null && (!Array.isArray(p.weekendDays) || p.weekendDays.some((d) => !Number.isInteger(d) || d < 0 || d > 6)))
+      errors.push(at + ".weekendDays: use day numbers 0 (Sun) to 6 (Sat)");
+    if (p.minStay != null && !(Number.isInteger(p.minStay) && p.minStay >= 1)) errors.push(at + ".minStay: must be a whole number of nights");
+    if (p.default) checkRates(at + ".default", p.default, errors, true);
+    if (!Array.isArray(p.seasons || [])) errors.push(at + ".seasons: must be a list");
+    else (p.seasons || []).forEach((s, i) => {
+      const sat = at + ".seasons[" + i + "]";
+      const dated = isIsoDate(s.start) && isIsoDate(s.end);
+      if (!dated && !(isMonthDay(s.start) && isMonthDay(s.end)))
+        errors.push(sat + ": start and end must both be YYYY-MM-DD, or both MM-DD for every year");
+      else if (dated && s.end < s.start) errors.push(sat + ": end is before start");
+      checkRates(sat, s, errors, true);
+    });
+    for (const d of Object.keys(p.overrides || {})) {
+      if (!isIsoDate(d)) errors.push(at + ".overrides." + d + ": key must be a YYYY-MM-DD date");
+      checkRates(at + ".overrides." + d, p.overrides[d], errors, false);
+    }
+    const dd = p.directDiscount;
+    if (dd) {
+      if (!(typeof dd.rate === "number" && dd.rate > 0 && dd.rate < 1)) errors.push(at + ".directDiscount.rate: must be a fraction such as 0.10");
+      if (dd.window && !(isMonthDay(dd.window.start) && isMonthDay(dd.window.end))) errors.push(at + ".directDiscount.window: start and end must be MM-DD");
+    }
+    if (p.paymentSchedule) validateSchedule(at + ".paymentSchedule", p.paymentSchedule, errors);
+  }
+  return errors;
+}
+
+function save(cfg) {
+  const updatedAt = new Date().toISOString();
+  store.save(STORE_NAME, { config: cfg, updatedAt });
+  cache = null;
+  return load();
+}
+
+// Drop the admin-saved plans and go back to the file.
+function reset() {
+  store.save(STORE_NAME, null);
+  cache = null;
+  return load();
+}
+
+module.exports = { load, getPlan, snapshot, snapshotPlan, nightlyRate, directDiscountRate, validate, save, reset };
@@ -0,0 +1,35 @@
+const { isoKey, parseDate, addDays, nightsBetween } = require("./dates");
+
+// Deposit + balance split for stays booked far ahead, set per rate plan:
+//   paymentSchedule: { depositPct: 30, balanceDueDays: 30, minDaysOut: 60, linkLeadDays: 7 }
+// A stay qualifies when check-in is at least minDaysOut days away. The balance
+// is due balanceDueDays before check-in; its payment link goes out
+// linkLeadDays before that.
+
+function r2(n) { return Math.round((Number(n) || 0) * 100) / 100; }
+
+// Returns the schedule for booking breakdown `b`, or null when it must be paid in full.
+function depositSchedule(b, cfg, today) {
+  if (!cfg || !cfg.depositPct || b.addOnsOnly) return null;
+  const ci = parseDate(b.checkin);
+  if (!ci) return null;
+  const dueDays = cfg.balanceDueDays || 30;
+  if (nightsBetween(today, ci) < Math.max(cfg.minDaysOut || 0, dueDays + 1)) return null;
+  const depositAmount = r2(b.total * cfg.depositPct / 100);
+  const due = addDays(ci, -dueDays);
+  return {
+    depositPct: cfg.depositPct,
+    depositAmount,
+    balanceAmount: r2(b.total - depositAmount),
+    balanceDueDate: isoKey(due),
+    linkSendDate: isoKey(addDays(due, -(cfg.linkLeadDays || 7))),
+  };
+}
+
+function validateSchedule(at, cfg, errors) {
+  if (!(typeof cfg.depositPct === "number" && cfg.depositPct > 0 && cfg.depositPct < 100)) errors.push(at + ".depositPct: must be a percentage between 0 and 100");
+  for (const k of ["balanceDueDays", "minDaysOut", "linkLeadDays"])
+    if (cfg[k] != null && !(Number.isInteger(cfg[k]) && cfg[k] >= 0)) errors.push(at + "." + k + ": must be a whole number of days");
+}
+
+module.exports = { depositSchedule, validateSchedule };
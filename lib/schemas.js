@@ -0,0 +1,127 @@
+const bookings = require("./bookings");
+const campaigns = require("./campaigns");
+const admins = require("./admins");
+
+// The request shape of each route, checked by lib/validate before the route
+// runs: { query, body }, each a map of field → rule. Only the format of each
+// input is checked here; what depends on config or the ledger (a property's
+// max guests, minimum stays, whether the dates are free) is still answered by
+// the route itself, with the same error envelope.
+const noStay = (i) => !!(i.addOnsOnly || i.golfCartOnly);
+
+// Everything computeBooking prices a stay from.
+const stay = {
+  propertyId: { type: "string", maxLength: 60 },
+  ratePlan: { type: "string", maxLength: 60 },
+  checkin: { type: "date", required: true, label: "check-in" },
+  checkout: { type: "date", required: true, after: "checkin", label: "check-out" },
+  guests: { type: "int", min: 1, required: (i) => !noStay(i) },
+  pets: { type: "int", min: 0, max: 10 },
+  promoCode: { type: "string", maxLength: 40 },
+  addOns: { type: ["object", "list"] },
+  addOnsOnly: { type: "bool" },
+  golfCartOnly: { type: "bool" },
+  golfCart: { type: "bool" },
+  bookingRef: { type: "string", maxLength: 40 },
+};
+
+const guest = {
+  guestName: { type: "string", maxLength: 100 },
+  guestEmail: { type: "email" },
+  email: { type: "email" },
+  guestPhone: { type: "phone" },
+  phone: { type: "phone" },
+};
+
+const range = (from, to, fromLabel, toLabel) => ({
+  [from]: { type: "date", required: true, label: fromLabel },
+  [to]: { type: "date", required: true, after: from, label: toLabel },
+});
+
+const campaignTiers = (_i, req) => {
+  const c = campaigns.get(req.params.campaign);
+  return c ? Object.keys(c.tiers) : null; // an unknown campaign is the route's 404
+};
+
+module.exports = {
+  quote: { body: { ...stay, ...guest } },
+  // with a quoteId the stay comes from the quote; dates, if sent, must match it
+  createCheckout: {
+    body: {
+      ...stay,
+      checkin: { ...stay.checkin, required: (i) => !i.quoteId },
+      checkout: { ...stay.checkout, required: (i) => !i.quoteId },
+      guests: { ...stay.guests, required: (i) => !i.quoteId && !noStay(i) },
+      ...guest,
+      quoteId: { type: "string", maxLength: 200 },
+      paymentSchedule: { values: ["full", "deposit"] },
+    },
+  },
+  promoValidate: {
+    body: {
+      ...stay, ...guest,
+      code: { type: "string", maxLength: 40, required: (i) => !i.promoCode, message: "Enter a promo code." },
+    },
+  },
+  availability: { query: { ...range("from", "to", "from date", "to date"), propertyId: { type: "string" } } },
+  blocksCreate: { body: { ...range("start", "end", "start date", "end date"), note: { type: "string", maxLength: 200 } } },
+
+  giveawayCheckout: {
+    body: {
+      tier: { required: true, values: campaignTiers },
+      name: { type: "string", maxLength: 100 },
+      email: { type: "email", required: true },
+      phone: { type: "phone" },
+    },
+  },
+  freeEntry: {
+    body: {
+      name: { type: "string", required: true, maxLength: 100 },
+      email: { type: "email" },
+      phone: { type: "phone" },
+    },
+  },
+  drawCreate: {
+    body: {
+      cutoff: { type: "datetime" },
+      prizes: { type: "int", min: 1 },
+      alternates: { type: "int", min: 0 },
+      label: { type: "string", maxLength: 100 },
+    },
+  },
+  drawRun: { body: { beacon: { type: "string", maxLength: 500 } } },
+  reconcile: { query: { mirror: { values: ["0", "1"] } } },
+  backfill: { query: { days: { type: "int", min: 1, max: 90 } } },
+
+  bookingsList: { query: { state: { values: bookings.STATES }, when: { values: ["upcoming", "past"] } } },
+  bookingStatus: {
+    body: {
+      state: { required: true, values: ["checked_in", "completed", "cancelled"] },
+      note: { type: "string", maxLength: 500 },
+    },
+  },
+  cancel: {
+    body: {
+      reason: { type: "string", maxLength: 500 },
+      dryRun: { type: "bool" },
+      amount: { type: "number", min: 0 },
+    },
+  },
+  taxReport: { query: { month: { type: "month" } } },
+  messagesList: { query: { status: { values: ["pending", "sent", "failed", "cancelled"] } } },
+
+  guestDetails: { body: { arrivalTime: { type: "time", message: "Arrival time should look like 15:30." }, guests: { type: "int", min: 1 } } },
+  guestAddOns: { body: { addOns: { type: ["object", "list"], required: true, message: "Please choose an add-on." } } },
+  guestDateChange: { body: { ...range("checkin", "checkout", "check-in", "check-out"), confirm: { type: "bool" } } },
+
+  webhookEvents: { query: { from: { type: "datetime" }, to: { type: "datetime" } } },
+  webhookReplay: { body: { from: { type: "datetime", required: true }, to: { type: "datetime" } } },
+
+  adminToken: {
+    body: {
+      name: { type: "string", required: true, maxLength: 100 },
+      role: { required: true, values: Object.keys(admins.ROLES) },
+    },
+  },
+  audit: { query: { from: { type: "datetime" }, to: { type: "datetime" }, limit: { type: "int", min: 1 } } },
+};
@@ -0,0 +1,101 @@
+const store = require("./store");
+
+// Downstream systems that hear about each confirmed booking: the Apps Script,
+// a Google Sheet tab, any other webhook. The booking is saved locally before
+// anything is queued here, so a sink being down only delays its copy.
+// Deliveries retry with backoff; after MAX_ATTEMPTS they become dead letters
+// that an admin can inspect and replay.
+//   { id: "<sink>:<key>", sink, key, payload, status: pending|delivered|dead_letter,
+//     attempts, nextAttemptAt, lastError, deliveredAt }
+const FILE = "sink-deliveries";
+const BACKOFF_MINUTES = [1, 5, 15, 60, 180, 360, 720];
+const MAX_ATTEMPTS = 8;
+
+const registry = new Map();
+
+// sink: { enabled() → boolean, send(payload) → Promise (throw to retry) }
+function register(name, sink) { registry.set(name, sink); }
+
+function enabledSinks() {
+  return Array.from(registry.entries()).filter(([, s]) => s.enabled()).map(([name]) => name);
+}
+
+// Queue `payload` for every enabled sink. `key` identifies the event (a payment
+// id), so a redelivered webhook doesn't queue a second copy.
+function enqueue(key, payload) {
+  const now = new Date().toISOString();
+  return store.update(FILE, [], (list) => {
+    const added = [];
+    for (const sink of enabledSinks()) {
+      const id = sink + ":" + key;
+      if (list.some((d) => d.id === id)) continue;
+      const d = { id, sink, key, payload, status: "pending", attempts: 0, nextAttemptAt: now, createdAt: now };
+      list.push(d);
+      added.push(d);
+    }
+    return added;
+  });
+}
+
+function list(filter) {
+  const f = filter || {};
+  return store.load(FILE, []).filter((d) => (!f.status || d.status === f.status) && (!f.sink || d.sink === f.sink));
+}
+
+function setFields(id, fields) {
+  return store.update(FILE, [], (items) => {
+    const d = items.find((x) => x.id === id);
+    if (d) Object.assign(d, fields);
+    return d || null;
+  });
+}
+
+function retry(id) {
+  return setFields(id, { status: "pending", attempts: 0, lastError: "", nextAttemptAt: new Date().toISOString() });
+}
+
+// A call while a run is going on returns [] and has that run go round again
+// once it's done, as in lib/inbox: a delivery queued mid-run isn't left until
+// the next sweep.
+let running = false;
+let rerunAt = null;
+async function processDue(now) {
+  if (running) { rerunAt = now; return []; }
+  running = true;
+  const results = [];
+  try {
+    for (let at = now; at; at = rerunAt) {
+      rerunAt = null;
+      results.push(...(await processPass(at)));
+    }
+  } finally {
+    running = false;
+    rerunAt = null;
+  }
+  return results;
+}
+
+async function processPass(now) {
+  const results = [];
+  const due = list({ status: "pending" }).filter((d) => new Date(d.nextAttemptAt) <= now);
+  for (const d of due) {
+    const sink = registry.get(d.sink);
+    try {
+      if (!sink) throw new Error("sink " + d.sink + " is not registered");
+      await sink.send(d.payload);
+      setFields(d.id, { status: "delivered", deliveredAt: new Date().toISOString(), lastError: "" });
+      results.push({ id: d.id, status: "delivered" });
+    } catch (err) {
+      const attempts = (d.attempts || 0) + 1;
+      const wait = BACKOFF_MINUTES[Math.min(attempts - 1, BACKOFF_MINUTES.length - 1)];
+      setFields(d.id, attempts >= MAX_ATTEMPTS
+        ? { status: "dead_letter", attempts, lastError: err.message }
+        : { attempts, lastError: err.message, nextAttemptAt: new Date(now.getTime() + wait * 60 * 1000).toISOString() });
+      console.error("Sink " + d.sink + " failed (attempt " + attempts + "):", err.message);
+      results.push({ id: d.id, status: "error", error: err.message });
+    }
+  }
+  return results;
+}
+
+module.exports = { register, enabledSinks, enqueue, list, retry, processDue };
@@ -0,0 +1,62 @@
+const crypto = require("crypto");
+const { Client, Environment } = require("square");
+const { signatureMatches } = require("./payments");
+
+// Square, through its SDK. SQUARE_ENVIRONMENT=sandbox for the sandbox.
+// SQUARE_REFUNDS_STUB=1 answers refunds locally instead of calling Square,
+// for trying the cancel flow in sandbox without moving money.
+const isProduction =
+  String(process.env.SQUARE_ENVIRONMENT || "production").toLowerCase() !== "sandbox";
+
+const client = new Client({
+  accessToken: process.env.SQUARE_ACCESS_TOKEN,
+  environment: isProduction ? Environment.Production : Environment.Sandbox,
+});
+
+async function createPaymentLink(body) {
+  const response = await client.checkoutApi.createPaymentLink(body);
+  const pl = response.result && response.result.paymentLink;
+  return pl ? { id: pl.id || "", url: pl.url || "", orderId: pl.orderId || "" } : null;
+}
+
+async function retrieveOrder(orderId) {
+  const { result } = await client.ordersApi.retrieveOrder(orderId);
+  return (result && result.order) || null;
+}
+
+// SDK v39 positional signature:
+//   listPayments(beginTime, endTime, sortOrder, cursor, locationId, ...)
+// Passing `undefined` for middle args yields a malformed query string, so only
+// beginTime + cursor are sent; callers filter and sort themselves.
+async function listPayments(opts) {
+  const { result } = await client.paymentsApi.listPayments(opts.beginTime, undefined, undefined, opts.cursor);
+  return { payments: result.payments || [], cursor: result.cursor };
+}
+
+async function refundPayment(body) {
+  if (process.env.SQUARE_REFUNDS_STUB) {
+    const id = "stub-refund-" + crypto.randomBytes(4).toString("hex");
+    return { id, status: "PENDING", paymentId: body.paymentId, amountMoney: body.amountMoney };
+  }
+  const { result } = await client.refundsApi.refundPayment(body);
+  return (result && result.refund) || {};
+}
+
+async function deletePaymentLink(id) {
+  await client.checkoutApi.deletePaymentLink(id);
+}
+
+// Active only once BOTH SQUARE_WEBHOOK_SIGNATURE_KEY and SQUARE_WEBHOOK_URL are
+// set (recommended); until then events are accepted unchecked, as before.
+function verifyWebhook(rawBody, signature) {
+  const key = process.env.SQUARE_WEBHOOK_SIGNATURE_KEY, url = process.env.SQUARE_WEBHOOK_URL;
+  if (!key || !url) return { checked: false, valid: true };
+  return { checked: true, valid: signatureMatches(key, url, rawBody, signature) };
+}
+
+module.exports = {
+  name: "square",
+  environment: isProduction ? "production" : "sandbox",
+  locationId: process.env.SQUARE_LOCATION_ID,
+  createPaymentLink, retrieveOrder, listPayments, refundPayment, deletePaymentLink, verifyWebhook,
+};
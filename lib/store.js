@@ -0,0 +1,62 @@
+const fs = require("fs");
+const path = require("path");
+
+// Tiny JSON-file store. Each collection is one file under DATA_DIR.
+// Reads and writes are synchronous, so a load → modify → save inside one
+// update() call can't interleave with another request in this process.
+
+function dataDir() { return process.env.DATA_DIR || path.join(__dirname, "..", "data"); }
+function fileFor(name) { return path.join(dataDir(), name + ".json"); }
+
+function load(name, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(fileFor(name), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
+
+function save(name, data) {
+  fs.mkdirSync(dataDir(), { recursive: true });
+  const file = fileFor(name);
+  const tmp = file + "." + process.pid + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file); // atomic swap: a crash never leaves a half-written file
+}
+
+// Load, let fn mutate the data in place, save. Returns whatever fn returns.
+function update(name, fallback, fn) {
+  const data = load(name, fallback);
+  const result = fn(data);
+  save(name, data);
+  return result;
+}
+
+// Append-only logs: one JSON record per line in <name>.jsonl, so adding one
+// doesn't rewrite the rest.
+function linesFor(name) { return path.join(dataDir(), name + ".jsonl"); }
+
+function append(name, record) {
+  fs.mkdirSync(dataDir(), { recursive: true });
+  fs.appendFileSync(linesFor(name), JSON.stringify(record) + "\n");
+}
+
+// Every record, oldest first. A line cut short by a crash mid-append is skipped.
+function readLines(name) {
+  let text;
+  try {
+    text = fs.readFileSync(linesFor(name), "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  const out = [];
+  for (const line of text.split("\n")) {
+    if (!line) continue;
+    try { out.push(JSON.parse(line)); } catch (_) { /* torn write */ }
+  }
+  return out;
+}
+
+module.exports = { load, save, update, append, readLines, dataDir };
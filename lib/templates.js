@@ -0,0 +1,39 @@
+const fs = require("fs");
+const path = require("path");
+
+// File-based email templates. The first line is "Subject: ...", then a blank
+// line, then the HTML body. {{name}} inserts an HTML-escaped value (dotted
+// paths like {{booking.checkin}} work); {{{name}}} inserts pre-built HTML as is.
+const DEFAULT_DIR = path.join(__dirname, "..", "templates");
+
+function templatesDir() { return process.env.TEMPLATES_DIR || DEFAULT_DIR; }
+
+function escapeHtml(v) {
+  return String(v == null ? "" : v)
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+function lookup(vars, key) {
+  return key.split(".").reduce((o, k) => (o == null ? undefined : o[k]), vars);
+}
+
+function fill(text, vars, escape) {
+  return text
+    .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}/g, (_m, k) => { const v = lookup(vars, k); return v == null ? "" : String(v); })
+    .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_m, k) => escape(lookup(vars, k)));
+}
+
+// name is relative to the templates dir, e.g. "guest/confirmation".
+function render(name, vars) {
+  const raw = fs.readFileSync(path.join(templatesDir(), name + ".html"), "utf8").replace(/\r\n/g, "\n");
+  const m = raw.match(/^Subject:\s*(.*)\n\n?/);
+  if (!m) throw new Error("Template " + name + " must start with a Subject: line");
+  return {
+    // subjects are plain text, so no escaping, just no line breaks
+    subject: fill(m[1], vars, (v) => String(v == null ? "" : v).replace(/[\r\n]+/g, " ")).trim(),
+    html: fill(raw.slice(m[0].length), vars, escapeHtml),
+  };
+}
+
+module.exports = { render, escapeHtml };
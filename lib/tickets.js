@@ -0,0 +1,138 @@
+const store = require("./store");
+
+// Giveaway ticket ledger, one per campaign. Numbers come from a local sequence
+// and each Square payment can be issued tickets only once; the campaign's Sheet
+// tab is a copy of this ledger, appended to after the fact. On first use the
+// ledger adopts whatever the tab already holds, so numbering carries on from the old max.
+//   { seq, adoptedAt, entries: [{ id, tickets: [n...], kind: paid|free, name, email,
+//     phone, tier, amount, paymentId, entryRef, createdAt, mirroredAt, emailedAt }] }
+const EMPTY = { seq: 0, adoptedAt: "", entries: [] };
+
+function fileFor(campaign) { return "giveaway-tickets-" + campaign; }
+
+function ledger(campaign) { return store.load(fileFor(campaign), EMPTY); }
+
+function adopted(campaign) { return !!ledger(campaign).adoptedAt; }
+
+// rows: the campaign tab's A2:J values. A no-op once adopted. Rows sharing a
+// paymentId become one entry; a payment seen again later (the old race) is left
+// out here and shows up in reconcile() instead.
+function adopt(campaign, rows) {
+  return store.update(fileFor(campaign), EMPTY, (l) => {
+    if (l.adoptedAt) return false;
+    const now = new Date().toISOString();
+    const byPayment = {};
+    (rows || []).forEach((r, i) => {
+      const n = parseInt(r[0], 10);
+      if (isNaN(n)) return;
+      if (n > l.seq) l.seq = n;
+      const paymentId = r[7] || "";
+      if (paymentId && byPayment[paymentId]) {
+        if (byPayment[paymentId].lastRow === i - 1) {
+          byPayment[paymentId].entry.tickets.push(n);
+          byPayment[paymentId].lastRow = i;
+        }
+        return;
+      }
+      const entry = {
+        id: "sheet-" + (i + 2), tickets: [n], kind: r[4] === "FREE" ? "free" : "paid",
+        name: r[1] || "", email: r[2] || "", phone: r[3] || "", tier: r[5] || "", amount: r[6] || "0.00",
+        paymentId, entryRef: r[8] || "", createdAt: r[9] || now, mirroredAt: now, emailedAt: now,
+      };
+      if (paymentId) byPayment[paymentId] = { entry, lastRow: i };
+      l.entries.push(entry);
+    });
+    l.adoptedAt = now;
+    return true;
+  });
+}
+
+// Hand out `count` consecutive numbers. Returns { duplicate, entry }; a paymentId
+// that already has tickets gets its existing entry back instead of new numbers.
+function allocate(campaign, fields, count) {
+  return store.update(fileFor(campaign), EMPTY, (l) => {
+    const existing = fields.paymentId && l.entries.find((e) => e.paymentId === fields.paymentId);
+    if (existing) return { duplicate: true, entry: existing };
+    const tickets = [];
+    for (let i = 0; i < Math.max(1, count || 1); i++) tickets.push(++l.seq);
+    const entry = {
+      id: "t" + tickets[0], tickets, kind: fields.kind || "paid",
+      name: fields.name || "", email: fields.email || "", phone: fields.phone || "",
+      tier: fields.tier || "", amount: fields.amount || "0.00",
+      paymentId: fields.paymentId || "", entryRef: fields.entryRef || "",
+      createdAt: new Date().toISOString(), mirroredAt: "", emailedAt: "",
+    };
+    l.entries.push(entry);
+    return { duplicate: false, entry };
+  });
+}
+
+function findByPayment(campaign, paymentId) {
+  return (paymentId && ledger(campaign).entries.find((e) => e.paymentId === paymentId)) || null;
+}
+
+// One record per ticket number, in number order.
+function list(campaign) {
+  const out = [];
+  for (const e of ledger(campaign).entries) for (const n of e.tickets) out.push({ ticket: n, entryId: e.id, kind: e.kind, name: e.name, email: e.email, phone: e.phone, paymentId: e.paymentId, createdAt: e.createdAt });
+  return out.sort((a, b) => a.ticket - b.ticket);
+}
+
+function unmirrored(campaign) {
+  return ledger(campaign).entries.filter((e) => !e.mirroredAt).sort((a, b) => a.tickets[0] - b.tickets[0]);
+}
+
+function mark(campaign, ids, field) {
+  const now = new Date().toISOString();
+  return store.update(fileFor(campaign), EMPTY, (l) => {
+    for (const e of l.entries) if (ids.includes(e.id)) e[field] = now;
+  });
+}
+function markMirrored(campaign, ids) { mark(campaign, ids, "mirroredAt"); }
+function markEmailed(campaign, id) { mark(campaign, [id], "emailedAt"); }
+
+// Sheet projection of an entry, one row per ticket (columns A:J).
+function sheetRows(e) {
+  const status = e.kind === "free" ? "FREE" : "PAID";
+  const tier = e.kind === "free" ? "mail-in" : e.tier;
+  return e.tickets.map((n) => [n, e.name, e.email, e.phone, status, tier, e.amount, e.paymentId, e.entryRef, e.createdAt]);
+}
+
+// Compare the campaign's Sheet tab (A2:J) against its ledger. Row numbers are Sheet rows.
+function reconcile(campaign, rows) {
+  const seen = {}, sheetByPayment = {};
+  let max = 0;
+  (rows || []).forEach((r, i) => {
+    const n = parseInt(r[0], 10);
+    if (isNaN(n)) return;
+    (seen[n] = seen[n] || []).push(i + 2);
+    if (n > max) max = n;
+    if (r[7]) (sheetByPayment[r[7]] = sheetByPayment[r[7]] || []).push(n);
+  });
+  const l = ledger(campaign);
+  const local = {};
+  for (const e of l.entries) for (const n of e.tickets) local[n] = e;
+
+  const duplicates = Object.keys(seen).filter((n) => seen[n].length > 1).map((n) => ({ ticket: Number(n), rows: seen[n] }));
+  const missing = [];
+  for (let n = 1; n <= Math.max(max, l.seq); n++) if (!seen[n]) missing.push(n);
+  const duplicatePayments = Object.keys(sheetByPayment)
+    .map((paymentId) => {
+      const e = l.entries.find((x) => x.paymentId === paymentId);
+      return { paymentId, sheetTickets: sheetByPayment[paymentId], ledgerTickets: e ? e.tickets : [] };
+    })
+    .filter((p) => p.ledgerTickets.length && p.sheetTickets.length > p.ledgerTickets.length);
+  return {
+    sheetRows: (rows || []).length,
+    ledgerTickets: Object.keys(local).length,
+    lastIssued: l.seq,
+    duplicates,
+    missing,
+    duplicatePayments,
+    notInSheet: missing.filter((n) => local[n]),
+    notInLedger: Object.keys(seen).map(Number).filter((n) => !local[n]),
+    ok: !duplicates.length && !missing.length && !duplicatePayments.length,
+  };
+}
+
+module.exports = { adopted, adopt, allocate, findByPayment, list, unmirrored, markMirrored, markEmailed, sheetRows, reconcile };
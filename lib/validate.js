@@ -0,0 +1,80 @@
+// Declarative request checks. A schema maps each field to a rule:
+//   { type, required, min, max, maxLength, values, after, label, message }
+//   type:     string | int | number | bool | date (YYYY-MM-DD) | month (YYYY-MM)
+//             | time (HH:MM) | datetime (ISO) | email | phone | object | list,
+//             or a list of types (["object", "list"])
+//   required: true, or fn(input, req) when it depends on other fields
+//   values:   the allowed values (an enum), or fn(input, req) when they depend
+//             on the request (e.g. the tiers of the campaign in the path)
+//   after:    another date field this one must come after (checkout after checkin)
+//   label:    how messages name the field (default: "guestEmail" → "guest email")
+//   message:  replaces the generated message for this field
+// Missing, null and "" all count as not given, so optional form fields may be blank.
+// check() returns one { field, code, message } per bad field, [] when all pass.
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function given(v) { return v != null && v !== ""; }
+
+function isDate(v) {
+  if (typeof v !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(v)) return false;
+  const d = new Date(v + "T00:00:00Z");
+  return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === v; // rejects 2026-02-30
+}
+
+const TYPES = {
+  string: (v) => typeof v === "string" || typeof v === "number",
+  int: (v) => (typeof v === "number" || (typeof v === "string" && v.trim() !== "")) && Number.isInteger(Number(v)),
+  number: (v) => (typeof v === "number" || (typeof v === "string" && v.trim() !== "")) && Number.isFinite(Number(v)),
+  bool: (v) => typeof v === "boolean",
+  date: isDate,
+  month: (v) => typeof v === "string" && /^\d{4}-(0[1-9]|1[0-2])$/.test(v),
+  time: (v) => typeof v === "string" && /^([01]?\d|2[0-3]):[0-5]\d$/.test(v),
+  datetime: (v) => typeof v === "string" && /^\d{4}-\d{2}-\d{2}/.test(v) && !isNaN(Date.parse(v)),
+  email: (v) => typeof v === "string" && v.length <= 254 && EMAIL.test(v.trim()),
+  phone: (v) => (typeof v === "string" || typeof v === "number") && /^[+()\-.\s\d]{7,25}$/.test(String(v)) && String(v).replace(/\D/g, "").length >= 7,
+  object: (v) => !!v && typeof v === "object" && !Array.isArray(v),
+  list: (v) => Array.isArray(v),
+};
+
+const TYPE_HINTS = {
+  string: "text", int: "a whole number", number: "a number", bool: "true or false",
+  date: "a date (YYYY-MM-DD)", month: "a month (YYYY-MM)", time: "a time (HH:MM)", datetime: "an ISO date/time",
+  email: "a valid email address", phone: "a valid phone number", object: "an object", list: "a list",
+};
+
+function label(field, rule) { return (rule && rule.label) || field.replace(/([A-Z])/g, " $1").toLowerCase(); }
+
+function checkField(field, schema, input, req) {
+  const rule = schema[field];
+  const named = label(field, rule);
+  const name = named.charAt(0).toUpperCase() + named.slice(1); // starts a sentence
+  const v = input[field];
+  const fail = (code, message) => ({ field, code, message: rule.message || message });
+  if (!given(v)) {
+    const required = typeof rule.required === "function" ? rule.required(input, req) : rule.required;
+    return required ? fail("REQUIRED", "Please provide " + named + ".") : null;
+  }
+  const types = [].concat(rule.type || "string");
+  if (!types.some((t) => TYPES[t](v))) {
+    const code = types.length === 1 && ["date", "email", "phone", "time", "month", "datetime"].includes(types[0]) ? "INVALID_" + types[0].toUpperCase() : "INVALID_TYPE";
+    return fail(code, name + " must be " + types.map((t) => TYPE_HINTS[t]).join(" or ") + ".");
+  }
+  if (rule.maxLength != null && String(v).length > rule.maxLength) return fail("TOO_LONG", name + " can be at most " + rule.maxLength + " characters.");
+  if (rule.min != null && Number(v) < rule.min) return fail("OUT_OF_RANGE", name + " must be at least " + rule.min + ".");
+  if (rule.max != null && Number(v) > rule.max) return fail("OUT_OF_RANGE", name + " must be at most " + rule.max + ".");
+  const values = typeof rule.values === "function" ? rule.values(input, req) : rule.values;
+  if (values && !values.includes(v)) return fail("NOT_ALLOWED", name + " must be one of: " + values.join(", ") + ".");
+  if (rule.after && isDate(input[rule.after]) && !(v > input[rule.after])) return fail("DATE_ORDER", name + " must be after " + label(rule.after, schema[rule.after]) + ".");
+  return null;
+}
+
+function check(schema, input, req) {
+  const out = [];
+  for (const field of Object.keys(schema || {})) {
+    const problem = checkField(field, schema, input || {}, req);
+    if (problem) out.push(problem);
+  }
+  return out;
+}
+
+module.exports = { TYPES, check };
@@ -0,0 +1,229 @@
+// Owner dashboard. Plain browser JS: signs in with an admin token (kept in
+// sessionStorage, sent as a header) and renders the backend's JSON routes.
+(function () {
+  const view = document.getElementById("view");
+  let me = null;
+  let props = [];
+
+  /* ── helpers ── */
+  function h(tag, attrs, children) {
+    const el = document.createElement(tag);
+    for (const k of Object.keys(attrs || {})) {
+      if (k.startsWith("on")) el.addEventListener(k.slice(2), attrs[k]);
+      else el.setAttribute(k, attrs[k]);
+    }
+    for (const c of [].concat(children == null ? [] : children)) el.append(c instanceof Node ? c : String(c));
+    return el;
+  }
+  const usd = (n) => (n < 0 ? "-$" : "$") + Math.abs(Number(n || 0)).toFixed(2);
+  const pad = (n) => String(n).padStart(4, "0");
+
+  function authHeaders() {
+    const t = sessionStorage.getItem("cteAdminToken") || "";
+    // cte_ tokens go as a bearer token; anything else is the bootstrap GIVEAWAY_ADMIN_KEY
+    return t.startsWith("cte_") ? { Authorization: "Bearer " + t } : { "x-admin-key": t };
+  }
+
+  async function api(method, url, body) {
+    const res = await fetch(url, {
+      method,
+      headers: Object.assign({ "Content-Type": "application/json" }, authHeaders()),
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (res.status === 401 && me) signOut(); // token revoked mid-session
+    if (!res.ok) throw new Error(data.error || ("HTTP " + res.status));
+    return data;
+  }
+
+  function table(headers, rows) {
+    return h("table", {}, [
+      h("tr", {}, headers.map((x) => h("th", {}, x))),
+      ...rows.map((r) => h("tr", {}, r.map((c) => h("td", {}, c)))),
+    ]);
+  }
+
+  function show(...nodes) { view.replaceChildren(...nodes); }
+  function fail(err) { show(h("p", { class: "error" }, err.message)); }
+  function canDo(p) { return !!me && me.permissions.includes(p); }
+
+  /* ── bookings ── */
+  function breakdown(b) {
+    const lines = (b.breakdown || []).map((l) => h("tr", {}, [h("td", {}, l.label), h("td", {}, l.note != null ? l.note : usd(l.amount))]));
+    lines.push(h("tr", {}, [h("td", {}, h("b", {}, "Total")), h("td", {}, h("b", {}, usd(b.total)))]));
+    if (b.amountPaid) lines.push(h("tr", {}, [h("td", {}, "Paid"), h("td", {}, usd(b.amountPaid))]));
+    return h("table", { class: "breakdown" }, lines);
+  }
+
+  async function bookingsTab(when) {
+    when = when || "upcoming";
+    const { bookings } = await api("GET", "/bookings?when=" + when);
+    const toggle = h("p", {}, ["upcoming", "past"].map((w) =>
+      h("button", { class: "act", onclick: () => bookingsTab(w).catch(fail), ...(w === when ? { disabled: "" } : {}) }, w === "upcoming" ? "Upcoming" : "Past")));
+    const many = props.length > 1;
+    const name = (id) => (props.find((p) => p.id === id) || props[0] || {}).name || "";
+    show(toggle, bookings.length ? table(
+      ["Ref", "Guest", "Stay", "State", "Price"],
+      bookings.map((b) => [
+        many ? [b.ref, h("br"), h("span", { class: "muted" }, name(b.propertyId))] : b.ref,
+        [b.guestName || "", h("br"), h("span", { class: "muted" }, [b.guestEmail || "", " ", b.guestPhone || ""])],
+        [b.checkin + " → " + b.checkout, h("br"), h("span", { class: "muted" }, (b.nights || "?") + " nights, " + (b.guests || "?") + " guests")],
+        h("span", { class: "pill" }, b.state),
+        breakdown(b),
+      ])) : h("p", { class: "muted" }, "No " + when + " bookings."));
+  }
+
+  /* ── calendar: three months of bookings, owner blocks and imported iCal events ── */
+  async function calendarTab(offset, propertyId) {
+    offset = offset || 0;
+    propertyId = propertyId || (props[0] && props[0].id) || "";
+    const { entries } = await api("GET", "/availability/blocks" + (propertyId ? "?propertyId=" + encodeURIComponent(propertyId) : ""));
+    const start = new Date();
+    start.setDate(1);
+    start.setMonth(start.getMonth() + offset);
+    const iso = (d) => d.getFullYear() + "-" + String(d.getMonth() + 1).padStart(2, "0") + "-" + String(d.getDate()).padStart(2, "0");
+    const nav = h("p", {}, [
+      props.length > 1 ? h("select", { onchange: (e) => calendarTab(offset, e.target.value).catch(fail) }, props.map((p) =>
+        h("option", p.id === propertyId ? { value: p.id, selected: "" } : { value: p.id }, p.name))) : "", " ",
+      h("button", { class: "act", onclick: () => calendarTab(offset - 3, propertyId).catch(fail) }, "← Earlier"), " ",
+      h("button", { class: "act", onclick: () => calendarTab(offset + 3, propertyId).catch(fail) }, "Later →"), " ",
+      h("span", { class: "pill booking" }, "booking"), " ", h("span", { class: "pill block" }, "owner block"), " ", h("span", { class: "pill import" }, "imported"),
+    ]);
+    const months = [];
+    for (let m = 0; m < 3; m++) {
+      const first = new Date(start.getFullYear(), start.getMonth() + m, 1);
+      const cells = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].map((d) => h("div", { class: "head" }, d));
+      for (let i = 0; i < first.getDay(); i++) cells.push(h("div", { class: "empty" }));
+      for (let d = new Date(first); d.getMonth() === first.getMonth(); d.setDate(d.getDate() + 1)) {
+        const key = iso(d);
+        const hit = entries.find((e) => e.start <= key && key < e.end);
+        cells.push(h("div", hit ? { class: hit.kind, title: (hit.ref || hit.note || hit.source || "") } : {},
+          [String(d.getDate()), hit ? h("div", { class: "muted" }, hit.ref || hit.note || hit.source || hit.kind) : ""]));
+      }
+      months.push(h("h3", {}, first.toLocaleString("en-US", { month: "long", year: "numeric" })), h("div", { class: "cal" }, cells));
+    }
+    show(nav, ...months);
+  }
+
+  /* ── giveaway: entries + verifiable draws ── */
+  function campaignPicker(current, onChange) {
+    const sel = h("select", { onchange: (e) => onChange(e.target.value) }, me.campaigns.map((c) =>
+      h("option", c.id === current ? { value: c.id, selected: "" } : { value: c.id }, c.name + " — " + c.beneficiary + " (" + c.status + ")")));
+    return h("label", {}, ["Campaign", sel]);
+  }
+
+  async function giveawayTab(campaign) {
+    campaign = campaign || (me.campaigns[0] && me.campaigns[0].id);
+    if (!campaign) return show(h("p", { class: "muted" }, "No campaigns configured."));
+    const base = "/giveaway/" + encodeURIComponent(campaign);
+    const [ledger, { draws }] = await Promise.all([api("GET", base + "/entries"), api("GET", base + "/draws")]);
+    const reload = () => giveawayTab(campaign).catch(fail);
+
+    const drawRows = draws.map((d) => [
+      d.id, d.label || "", d.cutoff, d.ticketCount, h("code", {}, d.entriesHash.slice(0, 16) + "…"),
+      d.status === "drawn"
+        ? h("a", { href: base + "/draw/" + encodeURIComponent(d.id) + "/verify", target: "_blank" }, "drawn " + d.drawnAt + " · verify")
+        : canDo("giveaway")
+          ? h("button", { class: "act", onclick: async () => {
+              const beacon = prompt("Public beacon value announced for this draw (leave empty if none):", "");
+              if (beacon === null) return;
+              try { await api("POST", base + "/draws/" + encodeURIComponent(d.id) + "/run", { beacon }); reload(); } catch (e) { alert(e.message); }
+            } }, "Run draw")
+          : "committed",
+    ]);
+
+    const nodes = [
+      h("form", { class: "inline" }, campaignPicker(campaign, (c) => giveawayTab(c).catch(fail))),
+      h("h3", {}, "Draws"),
+      draws.length ? table(["Id", "Label", "Cutoff", "Tickets", "Entries hash", "Result"], drawRows) : h("p", { class: "muted" }, "No draws yet."),
+    ];
+    if (canDo("giveaway")) {
+      const form = h("form", { class: "inline", onsubmit: async (e) => {
+        e.preventDefault();
+        const f = new FormData(e.target);
+        try {
+          const d = await api("POST", base + "/draws", {
+            label: f.get("label"), prizes: Number(f.get("prizes")), alternates: Number(f.get("alternates")), cutoff: f.get("cutoff") || undefined,
+          });
+          alert("Draw " + d.id + " committed.\nPublish before running it:\nentriesHash " + d.entriesHash + "\nseedCommitment " + d.seedCommitment);
+          reload();
+        } catch (err) { alert(err.message); }
+      } }, [
+        h("label", {}, ["Label", h("input", { name: "label", placeholder: "Grand prize" })]),
+        h("label", {}, ["Prizes", h("input", { name: "prizes", type: "number", min: "1", value: "1", style: "width:60px" })]),
+        h("label", {}, ["Alternates", h("input", { name: "alternates", type: "number", min: "0", value: "2", style: "width:60px" })]),
+        h("label", {}, ["Cutoff (blank = campaign close or now)", h("input", { name: "cutoff", placeholder: "2026-08-03T19:00:00-04:00" })]),
+        h("button", { class: "act", type: "submit" }, "Freeze entries & commit"),
+      ]);
+      nodes.push(form);
+    }
+    nodes.push(
+      h("h3", {}, "Entries (" + ledger.count + " tickets" + (ledger.waitingForSheet ? ", " + ledger.waitingForSheet + " waiting for the Sheet" : "") + ")"),
+      ledger.adopted ? "" : h("p", { class: "muted" }, "The ticket ledger hasn't read this campaign's Sheet tab yet; it will on the first entry or draw."),
+      table(["Ticket", "Name", "Email", "Phone", "Type", "Payment"], ledger.entries.slice().reverse().map((t) =>
+        [pad(t.ticket), t.name, t.email, t.phone, t.kind === "free" ? "FREE" : "PAID", t.paymentId || ""])),
+    );
+    show(...nodes);
+  }
+
+  /* ── failed webhook events ── */
+  async function webhooksTab() {
+    const { events } = await api("GET", "/webhook-events?status=failed");
+    const replay = async (id) => {
+      try { await api("POST", "/webhook-events/" + encodeURIComponent(id) + "/replay"); webhooksTab().catch(fail); } catch (e) { alert(e.message); }
+    };
+    show(events.length ? table(["Event", "Type", "Received", "Attempts", "Last error", ""],
+      events.map((e) => [e.id, e.type, e.receivedAt, e.attempts, h("span", { class: "error" }, e.lastError || ""),
+        canDo("bookings") ? h("button", { class: "act", onclick: () => replay(e.id) }, "Replay") : ""]))
+      : h("p", { class: "muted" }, "No failed webhook events."));
+  }
+
+  /* ── Google Sheet diagnostics ── */
+  async function sheetTab(campaign) {
+    campaign = campaign || (me.campaigns[0] && me.campaigns[0].id);
+    const base = "/giveaway/" + encodeURIComponent(campaign);
+    const out = h("pre", {}, "Checking…");
+    show(h("form", { class: "inline" }, [
+      campaignPicker(campaign, (c) => sheetTab(c).catch(fail)),
+      h("button", { class: "act", type: "button", onclick: async () => {
+        out.textContent = "Reconciling…";
+        try { out.textContent = JSON.stringify(await api("GET", base + "/reconcile"), null, 2); } catch (e) { out.textContent = e.message; }
+      } }, "Reconcile tickets"),
+    ]), out);
+    try { out.textContent = JSON.stringify(await api("GET", base + "/sheet-check"), null, 2); } catch (e) { out.textContent = e.message; }
+  }
+
+  /* ── shell ── */
+  const TABS = { bookings: bookingsTab, calendar: calendarTab, giveaway: giveawayTab, webhooks: webhooksTab, sheet: sheetTab };
+  function open(tab) {
+    document.querySelectorAll("#tabs button").forEach((b) => b.classList.toggle("active", b.dataset.tab === tab));
+    show(h("p", { class: "muted" }, "Loading…"));
+    TABS[tab]().catch(fail);
+  }
+
+  function signOut() {
+    sessionStorage.removeItem("cteAdminToken");
+    location.reload();
+  }
+
+  async function start() {
+    me = await api("GET", "/admin/me");
+    props = (await api("GET", "/properties")).properties;
+    document.getElementById("who").replaceChildren(me.admin.name + " (" + me.admin.role + ") ",
+      h("button", { class: "act", onclick: signOut }, "Sign out"));
+    const tabs = document.getElementById("tabs");
+    tabs.hidden = false;
+    tabs.querySelectorAll("button").forEach((b) => b.addEventListener("click", () => open(b.dataset.tab)));
+    open("bookings");
+  }
+
+  document.getElementById("signin").addEventListener("submit", (e) => {
+    e.preventDefault();
+    sessionStorage.setItem("cteAdminToken", new FormData(e.target).get("token").trim());
+    start().catch((err) => {
+      sessionStorage.removeItem("cteAdminToken");
+      document.getElementById("signin-error").textContent = err.message;
+    });
+  });
+  if (sessionStorage.getItem("cteAdminToken")) start().catch(() => {});
+})();
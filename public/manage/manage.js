@@ -0,0 +1,147 @@
+// Guest "manage my booking" page. Plain browser JS: the signed token from the
+// confirmation email link (?t=...) is the only credential, sent in the path of
+// the /guest/:token routes.
+(function () {
+  const view = document.getElementById("view");
+  const token = new URLSearchParams(location.search).get("t") || "";
+
+  /* ── helpers ── */
+  function h(tag, attrs, children) {
+    const el = document.createElement(tag);
+    for (const k of Object.keys(attrs || {})) {
+      if (k.startsWith("on")) el.addEventListener(k.slice(2), attrs[k]);
+      else el.setAttribute(k, attrs[k]);
+    }
+    for (const c of [].concat(children == null ? [] : children)) el.append(c instanceof Node ? c : String(c));
+    return el;
+  }
+  const usd = (n) => (n < 0 ? "-$" : "$") + Math.abs(Number(n || 0)).toFixed(2);
+
+  async function api(method, path, body) {
+    const res = await fetch("/guest/" + encodeURIComponent(token) + path, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || ("HTTP " + res.status));
+    return data;
+  }
+
+  function rows(pairs) { return h("table", {}, pairs.map((p) => h("tr", {}, [h("td", { class: "muted" }, p[0]), h("td", {}, p[1])]))); }
+
+  // Runs `fn` on submit and shows its message (or error) next to the form.
+  function form(fields, label, fn) {
+    const msg = h("span", {});
+    const f = h("form", { class: "inline" }, fields.concat([h("button", { class: "act", type: "submit" }, label), msg]));
+    f.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      msg.className = "muted"; msg.textContent = "Working…";
+      try {
+        const note = await fn(new FormData(f));
+        msg.className = "ok"; msg.textContent = note || "Saved.";
+      } catch (err) {
+        msg.className = "error"; msg.textContent = err.message;
+      }
+    });
+    return f;
+  }
+
+  /* ── sections ── */
+  function summary(d) {
+    const b = d.booking;
+    return h("div", { class: "card" }, [
+      h("h2", {}, [d.booking.propertyName + " · " + b.ref + " ", h("span", { class: "pill" }, b.state.replace(/_/g, " "))]),
+      rows([
+        ["Guest", b.guestName],
+        ["Check-in", b.checkin + (b.arrivalTime ? ", arriving around " + b.arrivalTime : "")],
+        ["Check-out", b.checkout],
+        ["Nights", b.nights],
+        ["Guests", b.guests + (b.pets ? " + " + b.pets + " pet" + (b.pets > 1 ? "s" : "") : "")],
+      ]),
+    ]);
+  }
+
+  function receipt(d) {
+    const lines = d.breakdown.map((l) => [l.label, l.note != null ? l.note : usd(l.amount)]);
+    lines.push([h("b", {}, "Total"), h("b", {}, usd(d.booking.total))]);
+    for (const p of d.receipt.payments) lines.push(["Paid " + (p.paidAt || "").slice(0, 10) + " (" + p.installment + ")", usd(p.amount)]);
+    for (const r of d.receipt.refunds) lines.push(["Refund " + (r.at || "").slice(0, 10) + (r.status !== "COMPLETED" ? " (" + r.status.toLowerCase() + ")" : ""), usd(-r.amount)]);
+    if (d.booking.balanceDue) lines.push(["Balance due by " + d.booking.balanceDueDate, usd(d.booking.balanceDue)]);
+    return h("div", { class: "card" }, [h("h2", {}, "Receipt"), rows(lines)]);
+  }
+
+  function pending(d) {
+    const open = d.supplements.filter((s) => s.status === "pending");
+    if (!open.length) return [];
+    return [h("div", { class: "card" }, [h("h2", {}, "Waiting for payment")].concat(open.map((s) => h("p", {}, [
+      (s.kind === "date-change" ? "New dates " + s.checkin + " to " + s.checkout : s.addOns.map((a) => a.label + (a.quantity > 1 ? " x " + a.quantity : "")).join(", ")) + ": " + usd(s.amount) + " ",
+      h("a", { class: "pay", href: s.url }, "Pay now"),
+    ]))))];
+  }
+
+  function details(d) {
+    const b = d.booking;
+    const guests = h("select", { name: "guests" });
+    for (let n = 1; n <= d.limits.maxGuests; n++) guests.append(h("option", n === b.guests ? { value: n, selected: "" } : { value: n }, n));
+    const fields = [h("label", {}, ["Arrival time", h("input", { type: "time", name: "arrivalTime", value: b.arrivalTime })])];
+    if (!b.addOnsOnly) fields.push(h("label", {}, ["Guests", guests]));
+    return h("div", { class: "card" }, [h("h2", {}, "Arrival details"), form(fields, "Save", async (fd) => {
+      await api("POST", "/details", { arrivalTime: fd.get("arrivalTime"), guests: fd.get("guests") == null ? undefined : Number(fd.get("guests")) });
+      load();
+    })]);
+  }
+
+  function addOns(d) {
+    const pick = h("select", { name: "id" }, d.addOns.filter((a) => !d.booking.addOnsOnly || a.standalone).map((a) => h("option", { value: a.id }, a.label)));
+    return h("div", { class: "card" }, [h("h2", {}, "Add extras"), form([
+      h("label", {}, ["Add-on", pick]),
+      h("label", {}, ["Quantity", h("input", { type: "number", name: "quantity", min: 1, value: 1, style: "width:60px" })]),
+    ], "Get payment link", async (fd) => {
+      const r = await api("POST", "/add-ons", { addOns: { [fd.get("id")]: Number(fd.get("quantity")) || 1 } });
+      location.href = r.supplement.url;
+      return "Taking you to payment…";
+    })]);
+  }
+
+  function dates(d) {
+    const out = h("div", {});
+    const f = form([
+      h("label", {}, ["New check-in", h("input", { type: "date", name: "checkin", value: d.booking.checkin, required: "" })]),
+      h("label", {}, ["New check-out", h("input", { type: "date", name: "checkout", value: d.booking.checkout, required: "" })]),
+    ], "See price", async (fd) => {
+      const body = { checkin: fd.get("checkin"), checkout: fd.get("checkout") };
+      const { quote } = await api("POST", "/date-change", body);
+      const diff = quote.difference;
+      out.replaceChildren(
+        rows(quote.breakdown.map((l) => [l.label, l.note != null ? l.note : usd(l.amount)]).concat([[h("b", {}, "New total"), h("b", {}, usd(quote.total))]])),
+        quote.promoError ? h("p", { class: "error" }, quote.promoError) : "",
+        h("p", {}, diff > 0 ? "You'll pay the difference of " + usd(diff) + "." : diff < 0 ? "We'll refund the difference of " + usd(-diff) + "." : "The price doesn't change."),
+        form([], "Confirm new dates", async () => {
+          const r = await api("POST", "/date-change", Object.assign({ confirm: true }, body));
+          if (r.supplement) { location.href = r.supplement.url; return "Taking you to payment…"; }
+          load();
+          return "Dates changed.";
+        }));
+      return quote.nights + " night" + (quote.nights !== 1 ? "s" : "") + " · " + usd(quote.total);
+    });
+    return h("div", { class: "card" }, [h("h2", {}, "Change dates"), f, out]);
+  }
+
+  async function load() {
+    if (!token) return view.replaceChildren(h("p", { class: "error" }, "Open this page from the link in your confirmation email."));
+    try {
+      const d = await api("GET", "");
+      view.replaceChildren(
+        summary(d), receipt(d), ...pending(d),
+        ...(d.can.details ? [details(d)] : []),
+        ...(d.can.addOns && d.addOns.length ? [addOns(d)] : []),
+        ...(d.can.dates ? [dates(d)] : []),
+        h("p", { class: "muted" }, "Questions? Reply to your confirmation email."));
+    } catch (err) {
+      view.replaceChildren(h("p", { class: "error" }, err.message));
+    }
+  }
+
+  load();
+})();
@@ -3,26 +3,50 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const crypto = require("crypto");
+const path = require("path");
 const nodemailer = require("nodemailer");
-const { Client, Environment, ApiError } = require("square");
+const { ApiError } = require("square");
 const { google } = require("googleapis"); // ← ADDED for giveaway Google Sheet logging
+const { isoKey, parseDate, nightsBetween, addDays, stayNights, dateIn, plainDate } = require("./lib/dates");
+const availability = require("./lib/availability");
+const ical = require("./lib/ical");
+const bookings = require("./lib/bookings");
+const rates = require("./lib/rates");
+const cancellation = require("./lib/cancellation");
+const pricingRules = require("./lib/pricing-rules");
+const feeModel = require("./lib/fees");
+const addons = require("./lib/addons");
+const properties = require("./lib/properties");
+const { depositSchedule } = require("./lib/schedule");
+const promos = require("./lib/promos");
+const templates = require("./lib/templates");
+const messages = require("./lib/messages");
+const sinks = require("./lib/sinks");
+const inbox = require("./lib/inbox");
+const tickets = require("./lib/tickets");
+const draws = require("./lib/draws");
+const campaigns = require("./lib/campaigns");
+const admins = require("./lib/admins");
+const guestLinks = require("./lib/guest-links");
+const quotes = require("./lib/quotes");
+const errors = require("./lib/errors");
+const validate = require("./lib/validate");
+const schemas = require("./lib/schemas");
+const payments = require("./lib/payments");
 
 const app = express();
 app.use(cors());
 // ← CHANGED: capture the raw body (needed to verify the Square webhook signature).
 //    req.body still parses normally everywhere, so nothing else is affected.
 app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
-
-const isProduction =
-  String(process.env.SQUARE_ENVIRONMENT || "production").toLowerCase() !== "sandbox";
-
-const client = new Client({
-  accessToken: process.env.SQUARE_ACCESS_TOKEN,
-  environment: isProduction ? Environment.Production : Environment.Sandbox,
-});
-
-const checkoutApi = client.checkoutApi;
-const LOCATION_ID = process.env.SQUARE_LOCATION_ID;
+// Owner dashboard (static page; it signs in with an admin token and calls the JSON routes below).
+app.use("/admin", express.static(path.join(__dirname, "public", "admin")));
+// Guest "manage my booking" page (opened from the signed link in the confirmation email).
+app.use("/manage", express.static(path.join(__dirname, "public", "manage")));
+
+// Square, or the local stand-in with PAYMENT_PROVIDER=fake (lib/payments).
+const provider = payments.provider();
+const LOCATION_ID = provider.locationId;
 const PORT = process.env.PORT || 3000;
 
 function toCents(value) {
@@ -37,230 +61,344 @@ function safeString(value) { return String(value == null ? "" : value).trim(); }
 function positiveCents(value) { const c = toCents(value); return c > 0 ? c : 0; }
 function round2(n) { return Math.round((Number(n) || 0) * 100) / 100; }
 
-const CLEANING_FEE = 300;
-const LODGING_TAX_RATE = 0.07;
-const GOLF_CART_TAX_RATE = 0.07;
-const DIRECT_DISCOUNT_RATE = 0.10;
-
-const PROMO_CODES = {
-  COAST2026: { type: "fixed", amount: 150, label: "Guest Discount ($150 off)", active: true },
-  MILITARY10: { type: "percent", amount: 10, label: "Military Discount (10% off)", active: true },
-  WELCOME25: { type: "fixed", amount: 25, label: "Welcome Promo ($25 off)", active: true },
-  FIXED1000: { type: "override", amount: 1000, label: "Special Rate - Total $1,000.00", active: true },
-};
-
-const FR_RATES = [
-  { start: "2026-01-01", end: "2026-02-28", nightly: 189, weekend: 209, weekly: 1250, monthly: 3300, minStay: 3 },
-  { start: "2026-03-01", end: "2026-03-07", nightly: 229, weekend: 249, weekly: 1525, monthly: 4900, minStay: 3 },
-  { start: "2026-03-08", end: "2026-04-12", nightly: 289, weekend: 319, weekly: 1950, monthly: 6900, minStay: 4 },
-  { start: "2026-04-13", end: "2026-05-21", nightly: 225, weekend: 250, weekly: 1500, monthly: 4500, minStay: 3 },
-  { start: "2026-05-22", end: "2026-05-31", nightly: 275, weekend: 300, weekly: 1850, monthly: 5700, minStay: 4 },
-  { start: "2026-06-01", end: "2026-06-04", nightly: 310, weekend: 335, weekly: 2150, monthly: 6400, minStay: 7 },
-  { start: "2026-06-05", end: "2026-07-04", nightly: 325, weekend: 350, weekly: 2250, monthly: 6500, minStay: 7 },
-  { start: "2026-07-05", end: "2026-08-08", nightly: 295, weekend: 320, weekly: 2050, monthly: 6000, minStay: 7 },
-  { start: "2026-08-09", end: "2026-09-06", nightly: 255, weekend: 280, weekly: 1750, monthly: 5200, minStay: 4 },
-  { start: "2026-09-07", end: "2026-10-31", nightly: 215, weekend: 240, weekly: 1450, monthly: 4200, minStay: 3 },
-  { start: "2026-11-01", end: "2026-12-18", nightly: 195, weekend: 215, weekly: 1300, monthly: 3800, minStay: 3 },
-  { start: "2026-12-19", end: "2026-12-31", nightly: 265, weekend: 290, weekly: 1850, monthly: 5500, minStay: 4 },
-];
-
-function pad2(n) { return String(n).padStart(2, "0"); }
-function mdKey(d) { return pad2(d.getMonth() + 1) + "-" + pad2(d.getDate()); }
-function isoKey(d) { return d.getFullYear() + "-" + pad2(d.getMonth() + 1) + "-" + pad2(d.getDate()); }
-
-function parseDate(v) {
-  if (!v) return null;
-  const parts = String(v).split("-");
-  if (parts.length !== 3) return null;
-  const y = parseInt(parts[0], 10), m = parseInt(parts[1], 10), d = parseInt(parts[2], 10);
-  if (!y || !m || !d) return null;
-  const dt = new Date(y, m - 1, d);
-  return (dt.getFullYear() === y && dt.getMonth() === m - 1 && dt.getDate() === d) ? dt : null;
-}
-
-function nightsBetween(ci, co) { return Math.round((co.getTime() - ci.getTime()) / 86400000); }
-function isWeekend(date) { const day = date.getDay(); return day === 5 || day === 6; }
-
-function nightlyRateDefault(date) {
-  const md = mdKey(date), wknd = isWeekend(date);
-  if (md >= "04-01" && md <= "08-31") return wknd ? 325 : 300;
-  if ((md >= "03-01" && md <= "03-31") || (md >= "09-01" && md <= "10-31")) return wknd ? 275 : 250;
-  return wknd ? 250 : 225;
-}
-
-function findFRRate(dateObj) {
-  const t = dateObj.getTime();
-  for (const r of FR_RATES) {
-    const s = parseDate(r.start), e = parseDate(r.end);
-    if (t >= s.getTime() && t <= e.getTime()) return r;
-  }
-  return null;
-}
-
-function nightlyRateWithPlan(dateObj, stayNights, ratePlan) {
-  if (ratePlan === "floridarentals") {
-    const r = findFRRate(dateObj);
-    if (!r) return { ok: false, reason: "FloridaRentals pricing is not configured for at least one date in this range." };
-    let base = isWeekend(dateObj) ? r.weekend : r.nightly;
-    if (stayNights >= 28 && r.monthly) base = Math.min(base, r.monthly / 30);
-    else if (stayNights >= 7 && r.weekly) base = Math.min(base, r.weekly / 7);
-    return { ok: true, rate: base, minStay: r.minStay || 1 };
-  }
-  return { ok: true, rate: nightlyRateDefault(dateObj), minStay: 1 };
-}
-
-function inDiscountWindow(ci, co) {
-  const n = nightsBetween(ci, co);
-  if (n < 3) return false;
-  for (let j = 0; j < n; j++) {
-    const dd = new Date(ci.getTime() + j * 86400000);
-    const md = mdKey(dd);
-    if (md >= "04-01" && md <= "08-31") return true;
-  }
-  return false;
-}
-
-function golfCartPrice(nights) {
-  if (nights <= 3) return 375;
-  if (nights <= 5) return 499;
-  return 599;
-}
-
-function computeBooking(input) {
-  const ratePlan = input.ratePlan === "floridarentals" ? "floridarentals" : "";
+function pctLabel(rate) { return round2((Number(rate) || 0) * 100) + "%"; }
+
+// opts.requireEmail: checkout enforces per-email promo limits, so the email must be present.
+// opts.ref: the booking being repriced (a guest's date change); its own nights
+// and promo use don't count against it.
+function computeBooking(input, opts) {
+  const property = properties.get(safeString(input.propertyId));
+  if (!property) return { ok: false, code: "UNKNOWN_PROPERTY", field: "propertyId", error: "Unknown property." };
+  const current = rates.getPlan(safeString(input.ratePlan), property);
+  // opts.rateSnapshot prices with the plan as it was when the booking was made
+  const snap = rates.snapshotPlan(opts && opts.rateSnapshot);
+  const { key: planKey, ratePlan } = current;
+  const plan = snap && snap.key === planKey ? snap.plan : current.plan;
   const ciDate = parseDate(input.checkin);
   const coDate = parseDate(input.checkout);
   const promoRaw = safeString(input.promoCode).toUpperCase();
+  // opts.today (ISO) pins the date for repeatable quotes and tests
+  const today = (opts && opts.today) || dateIn(new Date(), properties.timezone(property));
+  const ref = (opts && opts.ref) || "";
 
-  if (!ciDate || !coDate) return { ok: false, error: "Please provide valid check-in and check-out dates." };
-  if (coDate <= ciDate) return { ok: false, error: "Check-out must be after check-in." };
+  if (!ciDate || !coDate) return { ok: false, code: "INVALID_DATE", field: ciDate ? "checkout" : "checkin", error: "Please provide valid check-in and check-out dates." };
+  if (coDate <= ciDate) return { ok: false, code: "DATE_ORDER", field: "checkout", error: "Check-out must be after check-in." };
 
   const nights = nightsBetween(ciDate, coDate);
-  if (nights <= 0) return { ok: false, error: "Please select at least 1 night." };
+  if (nights <= 0) return { ok: false, code: "DATE_ORDER", field: "checkout", error: "Please select at least 1 night." };
+
+  const taxCtx = { checkin: isoKey(ciDate), plan: planKey, property: property.id };
+  const addOnsOnly = !!(input.addOnsOnly || input.golfCartOnly);
+  const addOnQuote = priceAddOns(addons.selection(input), nights, taxCtx, addOnsOnly);
+  if (!addOnQuote.ok) return { ok: false, code: "ADD_ON_INVALID", field: "addOns", error: addOnQuote.error };
+  const { addOns: addOnList, total: addOnsTotal, taxes: addOnTaxes, tax: addOnsTax } = addOnQuote;
 
-  // ── Golf Cart Only (off-site guests renting cart separately) ──────────────
-  if (input.golfCartOnly) {
-    const gcBase = golfCartPrice(nights);
-    const gcTax = round2(gcBase * GOLF_CART_TAX_RATE);
+  // ── Add-ons only (off-site guests renting e.g. the golf cart separately) ──
+  if (addOnsOnly) {
     return {
       ok: true,
       booking: {
+        propertyId: property.id,
         ratePlan: "",
         checkin: isoKey(ciDate), checkout: isoKey(coDate),
         guests: 1, nights,
         lodging: 0,
+        fees: [],
         cleaning: 0,
         discountApplied: false, discountAmount: 0,
         promoCode: "", promoDiscount: 0, promoLabel: "",
         promoOverride: false,
         lodgingPreTaxTotal: 0,
+        taxes: addOnTaxes,
         lodgingTaxAmount: 0,
-        golfCartSelected: true,
-        golfCartOnly: true,
-        golfCartBase: round2(gcBase),
-        golfCartTax: gcTax,
-        total: round2(gcBase + gcTax),
-        rateMode: "Golf Cart Only (Off-Site Booking)",
+        addOns: addOnList,
+        addOnsTotal,
+        addOnsTax,
+        addOnsOnly: true,
+        total: round2(addOnsTotal + addOnsTax),
+        rateMode: addOnList.length === 1 ? addOnList[0].label + " Only (Off-Site Booking)" : "Add-ons Only (Off-Site Booking)",
       },
     };
   }
 
   // ── Guest count validation (only needed for full stay bookings) ───────────
   const guests = parseInt(input.guests, 10);
-  if (!guests || guests < 1 || guests > 9) return { ok: false, error: "Guest count must be between 1 and 9." };
+  if (!guests || guests < 1 || guests > property.maxGuests) return { ok: false, code: "OUT_OF_RANGE", field: "guests", error: "Guest count must be between 1 and " + property.maxGuests + "." };
+
+  // ── Fees (cleaning, pets, extra guests) in force for these dates ──────────
+  const feeResult = feeModel.feesFor({ ...taxCtx, nights, guests, pets: parseInt(input.pets, 10) || 0 });
+  if (!feeResult.ok) return { ok: false, code: "PETS_NOT_ALLOWED", field: "pets", error: feeResult.error };
+  const fees = feeResult.fees;
+  const feesTotal = fees.reduce((sum, f) => sum + f.amount, 0);
+  const cleaningFee = fees.filter((f) => f.id === "cleaning").reduce((sum, f) => sum + f.amount, 0);
 
-  const wantsGolfCart = !!input.golfCart;
+  // ── Promo eligibility (limits, windows, plan restrictions) ────────────────
+  let promoDef = null, promoError = "", promoNote = "";
+  if (promoRaw) {
+    const pc = promos.check(promoRaw, {
+      checkin: isoKey(ciDate), checkout: isoKey(coDate), nights, plan: planKey,
+      email: safeString(input.guestEmail || input.email), requireEmail: !!(opts && opts.requireEmail),
+      today, ref,
+    });
+    if (pc.ok) promoDef = pc.promo; else promoError = pc.reason;
+  }
 
   // ── Promo override ────────────────────────────────────────────────────────
-  const overrideDef = promoRaw ? PROMO_CODES[promoRaw] : null;
-  if (overrideDef && overrideDef.active && overrideDef.type === "override") {
+  const overrideDef = promoDef && promoDef.type === "override" ? promoDef : null;
+  if (overrideDef) {
     const fixedTotal = round2(overrideDef.amount);
     return {
       ok: true,
       booking: {
+        propertyId: property.id,
         ratePlan,
         checkin: isoKey(ciDate), checkout: isoKey(coDate),
         guests, nights,
         lodging: 0,
+        fees: [],
         cleaning: 0,
         discountApplied: false, discountAmount: 0,
         promoCode: promoRaw, promoDiscount: 0, promoLabel: overrideDef.label,
         promoOverride: true,
         lodgingPreTaxTotal: fixedTotal,
+        taxes: addOnTaxes,
         lodgingTaxAmount: 0,
-        golfCartSelected: wantsGolfCart,
-        golfCartBase: 0,
-        golfCartTax: 0,
-        total: fixedTotal,
+        addOns: addOnList, // charged on top: the special rate covers the stay only
+        addOnsTotal,
+        addOnsTax,
+        total: round2(fixedTotal + addOnsTotal + addOnsTax),
         rateMode: overrideDef.label,
       },
     };
   }
 
   // ── Standard lodging calculation ──────────────────────────────────────────
-  let lodging = 0, minStayRequired = 1;
+  let lodging = 0, minStayRequired = property.minStay || 1;
   for (let i = 0; i < nights; i++) {
-    const d = new Date(ciDate.getTime() + i * 86400000);
-    const rr = nightlyRateWithPlan(d, nights, ratePlan);
-    if (!rr.ok) return { ok: false, error: rr.reason };
+    const d = addDays(ciDate, i);
+    const rr = rates.nightlyRate(plan, d, nights);
+    if (!rr.ok) return { ok: false, code: "RATE_UNAVAILABLE", field: "checkin", error: rr.reason };
     lodging += rr.rate;
     minStayRequired = Math.max(minStayRequired, rr.minStay || 1);
   }
 
-  if (ratePlan === "floridarentals" && nights < minStayRequired)
-    return { ok: false, error: "Minimum stay for these dates is " + minStayRequired + " nights." };
+  if (nights < minStayRequired)
+    return { ok: false, code: "MIN_STAY", field: "checkout", error: "Minimum stay for these dates is " + minStayRequired + " nights." };
 
-  let lodgingPreTax = lodging + CLEANING_FEE;
+  // ── Dynamic pricing rules (gap nights, last-minute, early-bird, length of stay) ─
+  const adjustments = pricingRules.apply(lodging, {
+    today, checkin: isoKey(ciDate), checkout: isoKey(coDate), nights, plan: planKey, property: property.id,
+    taken: availability.takenNights({ propertyId: property.id, ignoreRef: ref }),
+  });
+  const adjustmentTotal = adjustments.reduce((sum, a) => sum + a.amount, 0);
+
+  const stayGross = lodging + adjustmentTotal + feesTotal;
+  let lodgingPreTax = stayGross;
   let discountApplied = false, discountAmount = 0;
 
-  if (ratePlan !== "floridarentals" && inDiscountWindow(ciDate, coDate)) {
+  // ── Stacking: whether the promo rides on top of the direct-booking discount ─
+  const discountRate = rates.directDiscountRate(plan, ciDate, nights);
+  let useDirect = discountRate > 0;
+  if (useDirect && promoDef) {
+    const stacking = promoDef.stacking || "stack";
+    if (stacking === "exclusive") useDirect = false;
+    if (stacking === "best") {
+      if (promos.discountFor(promoDef, lodgingPreTax) > lodgingPreTax * discountRate) useDirect = false;
+      else { promoDef = null; promoNote = "The direct booking discount saves you more, so it was applied instead."; }
+    }
+  }
+
+  if (useDirect) {
     discountApplied = true;
-    discountAmount = lodgingPreTax * DIRECT_DISCOUNT_RATE;
+    discountAmount = lodgingPreTax * discountRate;
     lodgingPreTax -= discountAmount;
   }
 
   let promoCode = "", promoDiscount = 0, promoLabel = "";
-  if (promoRaw) {
-    const def = PROMO_CODES[promoRaw];
-    if (def && def.active && def.type !== "override") {
-      promoCode = promoRaw;
-      promoLabel = def.label;
-      promoDiscount = def.type === "fixed" ? def.amount : round2(lodgingPreTax * (def.amount / 100));
-      promoDiscount = Math.min(promoDiscount, lodgingPreTax);
-      lodgingPreTax -= promoDiscount;
-    }
+  if (promoDef) {
+    promoCode = promoDef.code;
+    promoLabel = promoDef.label;
+    // a percent code is a percent of the stay itself, not of what's left after
+    // the direct discount; the two never take more than the stay costs
+    promoDiscount = Math.min(promos.discountFor(promoDef, stayGross), lodgingPreTax);
+    lodgingPreTax -= promoDiscount;
   }
 
-  const lodgingTax = lodgingPreTax * LODGING_TAX_RATE;
-  const golfCartBase = wantsGolfCart ? golfCartPrice(nights) : 0;
-  const golfCartTax = wantsGolfCart ? golfCartBase * GOLF_CART_TAX_RATE : 0;
-  const total = lodgingPreTax + lodgingTax + golfCartBase + golfCartTax;
+  // ── Taxes: discounts spread over lodging and fees in proportion, and only
+  //    taxable fees count toward the "fees" base ───────────────────────────────
+  const share = stayGross > 0 ? lodgingPreTax / stayGross : 0;
+  const stayTaxes = feeModel.taxesFor({
+    lodging: (lodging + adjustmentTotal) * share,
+    fees: fees.filter((f) => f.taxable).reduce((sum, f) => sum + f.amount, 0) * share,
+  }, taxCtx);
+  const lodgingTax = stayTaxes.reduce((sum, t) => sum + t.amount, 0);
+  const total = lodgingPreTax + lodgingTax + addOnsTotal + addOnsTax;
 
   return {
     ok: true,
     booking: {
+      propertyId: property.id,
       ratePlan,
       checkin: isoKey(ciDate), checkout: isoKey(coDate),
       guests, nights,
+      pets: parseInt(input.pets, 10) || 0,
       lodging: round2(lodging),
-      cleaning: CLEANING_FEE,
+      adjustments,
+      fees,
+      cleaning: cleaningFee,
       discountApplied, discountAmount: round2(discountAmount),
       promoCode, promoDiscount: round2(promoDiscount), promoLabel,
       promoOverride: false,
+      promoError, promoNote,
       lodgingPreTaxTotal: round2(lodgingPreTax),
+      taxes: feeModel.combine(stayTaxes, addOnTaxes),
       lodgingTaxAmount: round2(lodgingTax),
-      golfCartSelected: wantsGolfCart,
-      golfCartBase: round2(golfCartBase),
-      golfCartTax: round2(golfCartTax),
+      lodgingTaxRate: feeModel.rateFor("lodging", taxCtx),
+      addOns: addOnList,
+      addOnsTotal,
+      addOnsTax,
       total: round2(total),
-      rateMode: ratePlan === "floridarentals"
-        ? "FloridaRentals Rate Plan"
-        : (discountApplied ? "Direct Booking Discount Applied" : "Standard Rate"),
+      rateMode: discountApplied && plan.directDiscount.label ? plan.directDiscount.label : plan.label,
     },
   };
 }
 
+// Prices add-on picks for a stay of `nights`, each taxed in its own category
+// (see config/add-ons.json). Returns { ok, addOns, total, taxes, tax } | { ok: false, error }.
+function priceAddOns(picks, nights, taxCtx, standalone) {
+  const q = addons.quote(picks, nights, { standalone, property: taxCtx.property });
+  if (!q.ok) return q;
+  const list = q.addOns.map((a) => ({ ...a, taxRate: a.taxCategory === "none" ? 0 : feeModel.rateFor(a.taxCategory, taxCtx) }));
+  const bases = {};
+  for (const a of list) if (a.taxCategory !== "none") bases[a.taxCategory] = (bases[a.taxCategory] || 0) + a.amount;
+  const taxes = feeModel.taxesFor(bases, taxCtx);
+  return {
+    ok: true, addOns: list,
+    total: round2(list.reduce((sum, a) => sum + a.amount, 0)),
+    taxes, tax: round2(taxes.reduce((sum, t) => sum + t.amount, 0)),
+  };
+}
+
+// Add-on-only rentals don't occupy the unit, so they skip the calendar, but
+// every add-on with limited inventory is checked against the stays holding one.
+// `ref` is the booking being priced, whose own nights and add-ons don't count.
+// Returns null, or { code, error } for the 409.
+function availabilityError(b, ref) {
+  if (!b.addOnsOnly && !b.golfCartOnly) {
+    const taken = availability.conflicts(b.checkin, b.checkout, { propertyId: b.propertyId, ignoreRef: ref });
+    if (taken.length) return { code: "DATES_UNAVAILABLE", error: "Sorry, these dates are already booked: " + taken.join(", ") + ". Please choose different dates." };
+  }
+  const short = shortageError(addons.shortages(b.addOns || [], b.checkin, b.checkout, addOnHolders(b.propertyId, ref)));
+  return short ? { code: "ADD_ON_UNAVAILABLE", error: short } : null;
+}
+
+function shortageError(short) {
+  if (!short.length) return "";
+  return "Sorry, " + short[0].label + " is " + (short[0].left ? "limited to " + short[0].left : "unavailable") + " on " + short.filter((x) => x.id === short[0].id).map((x) => x.date).join(", ") + ".";
+}
+
+// Paid stays (and add-on-only rentals) at the property holding add-ons, other
+// than `ignoreRef`. Bookings priced before the catalog only ever held the golf cart.
+const HOLDING_STATES = ["deposit_paid", "paid", "checked_in"];
+function addOnHolders(propertyId, ignoreRef) {
+  return bookings.list({ propertyId })
+    .filter((bk) => bk.pricing && bk.ref !== ignoreRef && HOLDING_STATES.includes(bk.state))
+    .map((bk) => ({
+      checkin: bk.checkin, checkout: bk.checkout,
+      addOns: bk.pricing.addOns || (bk.pricing.golfCartSelected ? [{ id: "golf-cart", quantity: 1 }] : []),
+    }));
+}
+
+// The property a booking or quote belongs to (lib/properties).
+function propertyOf(b) { return properties.get(properties.of(b)) || properties.get(); }
+
+// Today's date ("YYYY-MM-DD") at the booking's property, wherever the server runs.
+function todayAt(b) { return dateIn(new Date(), properties.timezone(propertyOf(b))); }
+
+function scheduleFor(b) {
+  const { plan } = rates.getPlan(b.ratePlan, propertyOf(b));
+  return depositSchedule(b, plan.paymentSchedule, parseDate(todayAt(b)));
+}
+
+function ledgerFields(b, guest) {
+  return {
+    propertyId: b.propertyId,
+    checkin: b.checkin, checkout: b.checkout, nights: b.nights, guests: b.guests,
+    ...(guest || {}),
+    pricing: b,
+    rateSnapshot: b.addOnsOnly ? "" : rates.snapshot(rates.getPlan(b.ratePlan, propertyOf(b)).key),
+  };
+}
+
+// Admin guard for every admin route: header credentials only (see lib/admins),
+// checked against the permission the route needs. Answers 401/403 itself and
+// audits the request, allowed or not, once the response is sent. Returns the
+// admin, or null when the route should stop.
+function requireAdmin(req, res, permission) {
+  const admin = admins.identify(req);
+  res.on("finish", () => admins.audit({
+    actor: admin ? admin.name : "anonymous", adminId: admin ? admin.id : "", role: admin ? admin.role : "",
+    action: req.method + " " + req.path, permission, status: res.statusCode, ip: req.ip,
+  }));
+  if (!admin) { fail(res, 401, "UNAUTHORIZED", "Admin credentials required."); return null; }
+  if (!admins.can(admin.role, permission)) { fail(res, 403, "FORBIDDEN", "The " + admin.role + " role can't do this.", { role: admin.role, needs: permission }); return null; }
+  return admin;
+}
+
+/* ── ERRORS: one envelope for every route (lib/errors) ──
+   { ok: false, code, error, fields? }, e.g. 400 VALIDATION_FAILED with a
+   field entry per bad input. Request shapes are declared in lib/schemas. */
+function fail(res, status, code, message, extra) { return errors.send(res, status, code, message, extra); }
+
+// Checks the request against its schema; answers 400 itself, one field per
+// problem. Returns false when the route should stop (like requireAdmin).
+function valid(req, res, name) {
+  const s = schemas[name];
+  const fields = validate.check(s.query, req.query, req).concat(validate.check(s.body, req.body || {}, req));
+  if (!fields.length) return true;
+  fail(res, 400, "VALIDATION_FAILED", fields[0].message, { fields });
+  return false;
+}
+
+// A computeBooking (or priceAddOns) refusal, naming the input at fault.
+function bookingError(res, r) {
+  return fail(res, 400, r.code || "BAD_REQUEST", r.error, r.field ? { fields: [{ field: r.field, code: r.code, message: r.error }] } : undefined);
+}
+
+// A caught error (Square's or our own), answered in the envelope. The details
+// of one of our own stay in the log.
+function sendError(res, err) {
+  const e = errors.fromError(err);
+  if (e.status === 500) console.error("Internal error:", (err && err.stack) || err);
+  return res.status(e.status).json(e.body);
+}
+
+// Async routes: a rejection goes to the error handler at the bottom instead of
+// leaving the request hanging.
+function handle(fn) { return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next); }
+
+function squareErrorDetail(err) {
+  if (err instanceof ApiError) {
+    return (err.result && err.result.errors ? err.result.errors.map(function (e) {
+      return e.category + "/" + e.code + ": " + (e.detail || "") + (e.field ? (" [field: " + e.field + "]") : "");
+    }).join(" | ") : "") || err.message;
+  }
+  return (err && err.message) || "Unknown server error";
+}
+
 function getMailer() {
+  // SMTP_HOST sends through any SMTP server instead of Gmail, e.g. a local
+  // stand-in such as MailHog (SMTP_HOST=localhost SMTP_PORT=1025) when testing.
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: String(process.env.SMTP_SECURE).toLowerCase() === "true",
+      auth: process.env.NOTIFY_EMAIL_USER && process.env.NOTIFY_EMAIL_PASS
+        ? { user: process.env.NOTIFY_EMAIL_USER, pass: process.env.NOTIFY_EMAIL_PASS }
+        : undefined,
+    });
+  }
   if (!process.env.NOTIFY_EMAIL_USER || !process.env.NOTIFY_EMAIL_PASS) return null;
   return nodemailer.createTransport({
     service: "gmail",
@@ -270,12 +408,14 @@ function getMailer() {
 
 async function sendBookingNotification(p, checkoutUrl) {
   const mailer = getMailer();
-  if (!mailer || !process.env.NOTIFY_EMAIL_TO) return;
+  const prop = propertyOf(p);
+  const to = properties.notifyTo(prop);
+  if (!mailer || !to) return;
 
-  const subject = "New Booking: " + (p.guestName || "Guest") + " | " + p.checkin + " to " + p.checkout + " | " + p.bookingRef;
+  const subject = "New Booking: " + (p.guestName || "Guest") + " | " + prop.name + " | " + p.checkin + " to " + p.checkout + " | " + p.bookingRef;
 
   let html = "";
-  html += "<h2 style='color:#0b5ea8;'>New Coastal Tide Escapes Booking</h2>";
+  html += "<h2 style='color:#0b5ea8;'>New " + prop.name + " Booking</h2>";
   html += "<table style='border-collapse:collapse;font-family:Arial,sans-serif;font-size:14px;'>";
   html += "<tr><td style='padding:4px 12px 4px 0;color:#555;'>Booking Ref</td><td><strong>" + (p.bookingRef || "-") + "</strong></td></tr>";
   html += "<tr><td style='padding:4px 12px 4px 0;color:#555;'>Guest Name</td><td>" + (p.guestName || "-") + "</td></tr>";
@@ -285,41 +425,197 @@ async function sendBookingNotification(p, checkoutUrl) {
   html += "<tr><td style='padding:4px 12px 4px 0;color:#555;'>Check-out</td><td>" + (p.checkout || "-") + "</td></tr>";
   html += "<tr><td style='padding:4px 12px 4px 0;color:#555;'>Nights</td><td>" + (p.nights || "-") + "</td></tr>";
   html += "<tr><td style='padding:4px 12px 4px 0;color:#555;'>Guests</td><td>" + (p.guests || "-") + "</td></tr>";
-  html += "<tr><td style='padding:8px 12px 4px 0;color:#555;border-top:1px solid #eee;'>Lodging</td><td style='border-top:1px solid #eee;'>$" + p.lodging + "</td></tr>";
-  html += "<tr><td style='padding:4px 12px 4px 0;color:#555;'>Cleaning Fee</td><td>$" + p.cleaning + "</td></tr>";
-  if (p.promoOverride) html += "<tr><td style='padding:4px 12px 4px 0;color:#555;'>Special Rate</td><td style='color:#0b5ea8;'>" + p.promoLabel + "</td></tr>";
-  if (!p.promoOverride && p.discountApplied) html += "<tr><td style='padding:4px 12px 4px 0;color:#555;'>Discount</td><td style='color:#c0392b;'>-$" + p.discountAmount + "</td></tr>";
-  if (!p.promoOverride && p.promoCode) html += "<tr><td style='padding:4px 12px 4px 0;color:#555;'>Promo (" + p.promoCode + ")</td><td style='color:#c0392b;'>-$" + p.promoDiscount + "</td></tr>";
-  if (!p.promoOverride) html += "<tr><td style='padding:4px 12px 4px 0;color:#555;'>Lodging Tax (7%)</td><td>$" + p.lodgingTaxAmount + "</td></tr>";
-  if (p.golfCartSelected && !p.promoOverride) html += "<tr><td style='padding:4px 12px 4px 0;color:#555;'>Golf Cart (6-Seater)</td><td>$" + p.golfCartBase + "</td></tr>";
-  if (p.golfCartSelected && !p.promoOverride) html += "<tr><td style='padding:4px 12px 4px 0;color:#555;'>Golf Cart Tax (7%)</td><td>$" + p.golfCartTax + "</td></tr>";
+  if (p.pets) html += "<tr><td style='padding:4px 12px 4px 0;color:#555;'>Pets</td><td>" + p.pets + "</td></tr>";
+  const firstRow = "padding:8px 12px 4px 0;border-top:1px solid #eee;";
+  breakdownLines(p).forEach((l, i) => {
+    const value = l.note != null ? "<span style='color:#0b5ea8;'>" + l.note + "</span>"
+      : l.amount < 0 ? "<span style='color:#c0392b;'>-$" + round2(-l.amount) + "</span>" : "$" + l.amount;
+    html += "<tr><td style='" + (i === 0 ? firstRow : "padding:4px 12px 4px 0;") + "color:#555;'>" + l.label + "</td><td>" + value + "</td></tr>";
+  });
   html += "<tr><td style='padding:10px 12px 4px 0;color:#0b5ea8;font-weight:bold;font-size:16px;border-top:2px solid #0b5ea8;'>Total Charged</td><td style='padding:10px 0 4px 0;font-weight:bold;font-size:16px;color:#0b5ea8;border-top:2px solid #0b5ea8;'>$" + p.total + "</td></tr>";
+  if (p.schedule) html += "<tr><td style='padding:4px 12px 4px 0;color:#555;'>Deposit Now (" + p.schedule.depositPct + "%)</td><td>$" + p.schedule.depositAmount + "</td></tr>";
+  if (p.schedule) html += "<tr><td style='padding:4px 12px 4px 0;color:#555;'>Balance Due " + p.schedule.balanceDueDate + "</td><td>$" + p.schedule.balanceAmount + "</td></tr>";
   html += "<tr><td style='padding:8px 12px 4px 0;color:#555;'>Rate Mode</td><td>" + (p.rateMode || "-") + "</td></tr>";
   html += "</table>";
   html += "<p style='margin-top:20px;font-family:Arial,sans-serif;font-size:13px;'><a href='" + checkoutUrl + "' style='color:#0b5ea8;'>View Square Checkout Link</a></p>";
 
   try {
     await mailer.sendMail({
-      from: "Coastal Tide Escapes Bookings <" + process.env.NOTIFY_EMAIL_USER + ">",
-      to: process.env.NOTIFY_EMAIL_TO,
+      from: ownerFrom(prop),
+      to,
       subject, html,
     });
-    console.log("Booking notification email sent to", process.env.NOTIFY_EMAIL_TO);
+    console.log("Booking notification email sent to", to);
   } catch (err) {
     console.error("Booking notification email failed:", err.message);
   }
 }
 
+// Something about a booking the owner has to look at, e.g. a payment that had
+// to be refunded. Always logged; emailed when mail is set up.
+async function alertOwner(bk, subject, text) {
+  console.error("Owner alert: " + subject + ": " + text);
+  const mailer = getMailer();
+  const to = properties.notifyTo(propertyOf(bk));
+  if (!mailer || !to) return;
+  try {
+    await mailer.sendMail({ from: ownerFrom(propertyOf(bk)), to, subject, text });
+  } catch (err) {
+    console.error("Owner alert email failed:", err.message);
+  }
+}
+
+// Guest emails go out under the name of the property the booking is for, owner
+// notifications as "<name> Bookings". Giveaway mail has no booking, so it goes
+// out as the default property.
+function guestFrom(bk) { return propertyOf(bk).name + " <" + process.env.NOTIFY_EMAIL_USER + ">"; }
+function ownerFrom(prop) { return prop.name + " Bookings <" + process.env.NOTIFY_EMAIL_USER + ">"; }
+
+async function sendCancellationEmail(bk, refundAmount) {
+  const mailer = getMailer();
+  if (!mailer || !bk.guestEmail) return;
+  const refundLine = refundAmount > 0
+    ? "A refund of <strong>$" + refundAmount.toFixed(2) + "</strong> has been issued to your original payment method. It usually appears within 5-10 business days."
+    : "Under our cancellation policy this reservation is not eligible for a refund.";
+  try {
+    const { subject, html } = templates.render("guest/cancellation", { ...guestMessageVars(bk), refundLine });
+    await mailer.sendMail({
+      from: guestFrom(bk),
+      to: bk.guestEmail,
+      bcc: properties.notifyTo(propertyOf(bk)) || undefined,
+      subject, html,
+    });
+  } catch (err) {
+    console.error("Cancellation email failed:", err.message);
+  }
+}
+
+/* ── GUEST MESSAGES: confirmation, pre-arrival, checkout reminder, review request ──
+   Queued per booking in lib/messages.js, rendered from templates/guest/*.html. */
+// Fee and tax lines of a booking; ones priced before the fee/tax model carry
+// only the cleaning fee and the combined lodging / golf cart tax amounts.
+function feeLines(b) {
+  if (b.fees) return b.fees;
+  return b.cleaning ? [{ id: "cleaning", label: "Cleaning Fee", amount: b.cleaning, taxable: true }] : [];
+}
+
+function taxLines(b) {
+  if (b.taxes) return b.taxes.map((t) => ({ ...t, label: t.label + " (" + pctLabel(t.rate) + ")" }));
+  const lines = [];
+  if (b.lodgingTaxAmount) lines.push({ id: "lodging-tax", label: "Lodging Tax (" + pctLabel(b.lodgingTaxRate) + ")", amount: b.lodgingTaxAmount });
+  if (b.golfCartTax) lines.push({ id: "golf-cart-tax", label: "Golf Cart Tax (" + pctLabel(b.golfCartTaxRate) + ")", amount: b.golfCartTax });
+  return lines;
+}
+
+// Add-ons on a booking; ones priced before the catalog only had the golf cart.
+function addOnLines(b) {
+  if (b.addOns) return b.addOns;
+  return b.golfCartSelected && b.golfCartBase ? [{ id: "golf-cart", label: "6-Seater Golf Cart Rental", quantity: 1, amount: b.golfCartBase }] : [];
+}
+
+function addOnLabel(a) { return a.label + (a.quantity > 1 ? " x " + a.quantity : ""); }
+
+// Labeled price lines for a computeBooking result: { label, amount } (discounts
+// negative), or { label, note } for a special-rate override. Shared by the
+// emails and the admin dashboard.
+function breakdownLines(b) {
+  if (!b) return [];
+  // special-rate bookings made before add-ons were charged on top have addOnsTotal 0
+  if (b.promoOverride && !b.addOnsTotal) return [{ label: "Special Rate", note: b.promoLabel }].concat((b.addOns || []).map((a) => ({ label: addOnLabel(a), note: "included" })));
+  if (b.promoOverride) {
+    return [{ label: "Special Rate (" + b.promoLabel + ")", amount: b.lodgingPreTaxTotal }]
+      .concat(addOnLines(b).map((a) => ({ label: addOnLabel(a), amount: a.amount })))
+      .concat(taxLines(b).map((t) => ({ label: t.label, amount: t.amount })));
+  }
+  const lines = [];
+  if (b.lodging) lines.push({ label: "Lodging", amount: b.lodging });
+  for (const a of b.adjustments || []) lines.push({ label: a.label, amount: a.amount });
+  for (const f of feeLines(b)) lines.push({ label: f.label, amount: f.amount });
+  if (b.discountApplied) lines.push({ label: "Direct Booking Discount", amount: -b.discountAmount });
+  if (b.promoCode) lines.push({ label: "Promo (" + b.promoCode + ")", amount: -b.promoDiscount });
+  for (const a of addOnLines(b)) lines.push({ label: addOnLabel(a), amount: a.amount });
+  for (const t of taxLines(b)) lines.push({ label: t.label, amount: t.amount });
+  return lines;
+}
+
+function breakdownRowsHtml(b, bk) {
+  const row = (label, value, style) =>
+    "<tr><td style='padding:4px 12px 4px 0;color:#555;" + (style || "") + "'>" + templates.escapeHtml(label) + "</td><td style='" + (style || "") + "'>" + templates.escapeHtml(value) + "</td></tr>";
+  const usd = (n) => "$" + Number(n || 0).toFixed(2);
+  let html = "";
+  breakdownLines(b).forEach((l, i) => {
+    const value = l.note != null ? l.note : (l.amount < 0 ? "-" + usd(-l.amount) : usd(l.amount));
+    html += row(l.label, value, i === 0 && l.note == null ? "border-top:1px solid #eee;" : "");
+  });
+  const total = b ? b.total : bk.amountPaid;
+  html += row("Total", usd(total), "font-weight:bold;border-top:2px solid #0b5ea8;");
+  if (bk.amountPaid && round2(total - bk.amountPaid) > 0) {
+    html += row("Paid", usd(bk.amountPaid));
+    html += row("Balance due" + (bk.schedule ? " by " + bk.schedule.balanceDueDate : ""), usd(total - bk.amountPaid));
+  }
+  return html;
+}
+
+function guestMessageVars(bk) {
+  const prop = propertyOf(bk);
+  return {
+    ...messages.config(),
+    ...(prop.messages || {}),
+    propertyName: prop.name,
+    ref: bk.ref,
+    guestName: bk.guestName || "",
+    firstName: safeString(bk.guestName).split(/\s+/)[0] || "there",
+    checkin: bk.checkin, checkout: bk.checkout, nights: bk.nights, guests: bk.guests,
+    breakdownRows: breakdownRowsHtml(bk.pricing, bk),
+    manageLinkHtml: manageLinkHtml(bk),
+  };
+}
+
+// "Manage my booking" button for the confirmation email; empty until
+// GUEST_LINK_SECRET and MANAGE_BOOKING_URL are set.
+function manageLinkHtml(bk) {
+  const url = guestLinks.url(bk.ref, bk.checkout);
+  if (!url) return "";
+  return "<p><a href='" + templates.escapeHtml(url) + "' style='display:inline-block;background:#0b5ea8;color:#fff;padding:10px 18px;border-radius:4px;text-decoration:none;'>Manage my booking</a><br>" +
+    "<span style='color:#6a7480;font-size:.85rem'>View your receipt, set your arrival time, add extras or change dates. Keep this email: the link is your key.</span></p>";
+}
+
+// Returns false when the message no longer applies; throws to trigger a retry.
+async function deliverGuestMessage(m) {
+  const bk = bookings.get(m.ref);
+  if (!bk || bk.state === "cancelled" || bk.state === "refunded" || !bk.guestEmail) return false;
+  const mailer = getMailer();
+  if (!mailer) throw new Error("email is not configured");
+  const { subject, html } = templates.render(m.template, guestMessageVars(bk));
+  await mailer.sendMail({
+    from: guestFrom(bk),
+    to: bk.guestEmail,
+    subject, html,
+  });
+  console.log("Guest message sent:", m.id);
+  return true;
+}
+
+function runGuestMessages() {
+  return messages.processDue(new Date(), deliverGuestMessage).catch((err) => {
+    console.error("Guest message run failed:", err.message);
+    return [];
+  });
+}
+
 function buildLineItems(b) {
   const items = [];
 
   if (b.promoOverride) {
-    const cartNote = b.golfCartSelected ? " incl. golf cart" : "";
     items.push({
-      name: "Coastal Tide Escapes Stay - Special Rate" + cartNote + " (" + b.checkin + " to " + b.checkout + ")",
+      name: stayLabel(b) + " - Special Rate (" + b.checkin + " to " + b.checkout + ")",
       quantity: "1",
-      basePriceMoney: money(toCents(b.total)),
+      basePriceMoney: money(toCents(b.lodgingPreTaxTotal)),
     });
+    for (const a of addOnLines(b))
+      if (positiveCents(a.amount) > 0) items.push({ name: addOnLabel(a), quantity: "1", basePriceMoney: money(toCents(a.amount)) });
+    for (const t of taxLines(b))
+      if (positiveCents(t.amount) > 0) items.push({ name: t.label, quantity: "1", basePriceMoney: money(toCents(t.amount)) });
     return items;
   }
 
@@ -327,52 +623,96 @@ function buildLineItems(b) {
   const datesLabel = (b.checkin && b.checkout) ? (" (" + b.checkin + " to " + b.checkout + nightsLabel + ")") : "";
 
   const hasReduction = positiveCents(b.discountAmount) > 0 || positiveCents(b.promoDiscount) > 0;
-  const lodgingName = hasReduction
-    ? ("Lodging & Cleaning (after discounts)" + datesLabel)
-    : ("Lodging & Cleaning" + datesLabel);
-
-  if (positiveCents(b.lodgingPreTaxTotal) > 0)
-    items.push({ name: lodgingName, quantity: "1", basePriceMoney: money(toCents(b.lodgingPreTaxTotal)) });
+  const feeNames = feeLines(b).map((f) => f.label.replace(/ Fee$/, ""));
+  const lodgingName = ["Lodging"].concat(feeNames).join(feeNames.length > 1 ? ", " : " & ")
+    + (hasReduction ? " (after discounts)" : "") + datesLabel;
+
+  // Pricing-rule adjustments keep their own labeled lines: surcharges as items,
+  // discounts as Square discounts on the lodging line (see buildOrderDiscounts),
+  // so the lodging line carries the amount before them.
+  const adjustments = b.adjustments || [];
+  const ruleDiscounts = adjustments.filter((a) => a.amount < 0);
+  const ruleSurcharges = adjustments.filter((a) => a.amount > 0);
+  const lodgingCents = toCents(b.lodgingPreTaxTotal)
+    + ruleDiscounts.reduce((sum, a) => sum + toCents(-a.amount), 0)
+    - ruleSurcharges.reduce((sum, a) => sum + toCents(a.amount), 0);
+
+  if (lodgingCents > 0) {
+    const item = { name: lodgingName, quantity: "1", basePriceMoney: money(lodgingCents) };
+    if (ruleDiscounts.length) item.appliedDiscounts = ruleDiscounts.map((a) => ({ discountUid: "rule-" + a.id }));
+    items.push(item);
+  }
 
-  if (positiveCents(b.lodgingTaxAmount) > 0)
-    items.push({ name: "Lodging Tax (7%)", quantity: "1", basePriceMoney: money(toCents(b.lodgingTaxAmount)) });
+  for (const a of ruleSurcharges)
+    items.push({ name: a.label, quantity: "1", basePriceMoney: money(toCents(a.amount)) });
 
-  if (positiveCents(b.golfCartBase) > 0)
-    items.push({ name: "6-Seater Golf Cart Rental", quantity: "1", basePriceMoney: money(toCents(b.golfCartBase)) });
+  for (const a of addOnLines(b))
+    if (positiveCents(a.amount) > 0) items.push({ name: addOnLabel(a), quantity: "1", basePriceMoney: money(toCents(a.amount)) });
 
-  if (positiveCents(b.golfCartTax) > 0)
-    items.push({ name: "Golf Cart Tax (7%)", quantity: "1", basePriceMoney: money(toCents(b.golfCartTax)) });
+  for (const t of taxLines(b))
+    if (positiveCents(t.amount) > 0) items.push({ name: t.label, quantity: "1", basePriceMoney: money(toCents(t.amount)) });
 
   return items;
 }
 
+// Square discounts referenced by buildLineItems (one per discounting pricing rule).
+function buildOrderDiscounts(b) {
+  if (b.promoOverride) return [];
+  return (b.adjustments || []).filter((a) => a.amount < 0).map((a) => ({
+    uid: "rule-" + a.id, name: a.label, type: "FIXED_AMOUNT", amountMoney: money(toCents(-a.amount)), scope: "LINE_ITEM",
+  }));
+}
+
+// Where Square sends the guest after paying, per property (env vars for the default one).
+function stayRedirectUrl(p) {
+  return p.redirectUrl || process.env.SQUARE_REDIRECT_URL || "https://www.coastaltideescapes.com/book-now";
+}
+function addOnsRedirectUrl(p) {
+  return p.addOnsRedirectUrl || process.env.SQUARE_ADD_ONS_REDIRECT_URL || process.env.SQUARE_GOLF_CART_REDIRECT_URL || "https://www.coastaltideescapes.com/golf-cart-confirmed";
+}
+function squareLocation(p) { return p.squareLocationId || LOCATION_ID; }
+
+function stayLabel(b) { const p = propertyOf(b); return p.stayLabel || p.name + " Stay"; }
+
+// One-line order for a deposit or balance payment; the full breakdown is in the note.
+function installmentLineItem(installment, b, amount, schedule) {
+  const what = installment === "deposit" ? "Deposit (" + schedule.depositPct + "%)" : "Balance Due";
+  return {
+    name: what + " - " + stayLabel(b) + " (" + b.checkin + " to " + b.checkout + ")",
+    quantity: "1",
+    basePriceMoney: money(toCents(amount)),
+  };
+}
+
 function buildOrderNote(meta) {
   const parts = [];
   if (meta.bookingRef) parts.push("Booking Ref: " + meta.bookingRef);
+  if (meta.propertyId) parts.push("Property: " + meta.propertyId);
   if (meta.guestName) parts.push("Guest: " + meta.guestName);
   if (meta.guestEmail) parts.push("Email: " + meta.guestEmail);
   if (meta.guestPhone) parts.push("Phone: " + meta.guestPhone);
   if (meta.checkin && meta.checkout) parts.push("Stay: " + meta.checkin + " to " + meta.checkout);
   if (meta.guests) parts.push("Guests: " + meta.guests);
+  if (meta.pets) parts.push("Pets: " + meta.pets);
   if (meta.nights) parts.push("Nights: " + meta.nights);
   if (meta.promoOverride) parts.push("Special Rate Promo " + meta.promoCode + ": Total $" + meta.total);
+  if (!meta.promoOverride) for (const a of meta.adjustments || []) parts.push(a.label + ": " + (a.amount < 0 ? "-$" + (-a.amount).toFixed(2) : "+$" + a.amount.toFixed(2)));
   if (!meta.promoOverride && meta.discountAmount && Number(meta.discountAmount) > 0) parts.push("Direct Discount: -$" + meta.discountAmount);
   if (!meta.promoOverride && meta.promoCode) parts.push("Promo " + meta.promoCode + ": -$" + meta.promoDiscount);
-  if (meta.golfCartOnly) parts.push("GOLF CART ONLY (Off-Site Booking)");
+  if (meta.addOns && meta.addOns.length) parts.push("Add-ons: " + meta.addOns.map(addOnLabel).join(", "));
+  if (meta.addOnsOnly) parts.push("ADD-ONS ONLY (Off-Site Booking)");
   if (meta.rateMode) parts.push("Rate Mode: " + meta.rateMode);
+  if (meta.schedule) parts.push("Deposit " + meta.schedule.depositPct + "%: $" + meta.schedule.depositAmount + " now, $" + meta.schedule.balanceAmount + " due by " + meta.schedule.balanceDueDate);
   return parts.join(" | ");
 }
 
 /* ==========================================================================
-   ░░ GIVEAWAY ADD-ON ░░  (Beach Stay Giveaway for the Columbus Rawlings Tigers)
+   ░░ GIVEAWAY ADD-ON ░░  (fundraiser giveaways, one campaign per fundraiser)
    Everything below is self-contained. Uses your same Square client, mailer,
-   and money() helper. Logs to a Google Sheet ("Entries" tab).
+   and money() helper. Campaigns live in config/giveaway-campaigns.json (lib/campaigns);
+   ticket numbers come from each campaign's local ledger (lib/tickets) and the
+   campaign's Google Sheet tab mirrors it.
    ========================================================================== */
-const GV_TIERS = {
-  t1: { count: 1, amount: 1000, label: "1 Giveaway Entry" },
-  t3: { count: 3, amount: 2500, label: "3 Giveaway Entries" },
-  t7: { count: 7, amount: 5000, label: "7 Giveaway Entries" },
-};
 const GV_PAD = (n) => String(n).padStart(4, "0");
 
 function gvSheets() {
@@ -391,46 +731,54 @@ async function gvAppend(range, rows) {
     spreadsheetId: (process.env.SHEET_ID || "").trim(), range, valueInputOption: "RAW", requestBody: { values: rows },
   });
 }
-async function gvMaxTicket() {
-  let m = 0;
-  for (const row of await gvGet("Entries!A2:A")) {
-    const n = parseInt(row[0], 10);
-    if (!isNaN(n) && n > m) m = n;
-  }
-  return m;
+// First use: pick up the tickets the campaign's tab already has so numbering continues.
+async function gvLedger(c) {
+  if (!tickets.adopted(c.id)) tickets.adopt(c.id, await gvGet(campaigns.range(c, "A2:J")));
+}
+// Append ledger entries the Sheet doesn't have yet. Runs are chained so two
+// callers can't append the same entry twice; a failed append just waits for the next run.
+let gvMirrorRun = Promise.resolve();
+function gvMirror(c) {
+  // nothing may escape: a rejected link would fail every mirror queued after it
+  gvMirrorRun = gvMirrorRun.then(async () => {
+    let pending = [];
+    try {
+      pending = tickets.unmirrored(c.id);
+      if (!pending.length) return;
+      await gvAppend(campaigns.range(c, "A:J"), pending.flatMap(tickets.sheetRows));
+      tickets.markMirrored(c.id, pending.map((e) => e.id));
+    } catch (err) {
+      console.error("Giveaway " + c.id + ": Sheet mirror failed (" + pending.length + " entries waiting):", err.message);
+    }
+  });
+  return gvMirrorRun;
 }
-async function gvRecorded(id) {
-  return (await gvGet("Entries!H2:H")).some((r) => r[0] === id);
+function gvMirrorAll() {
+  return Promise.all(campaigns.list().map(gvMirror));
 }
-async function gvEmailTickets(name, email, tickets) {
+async function gvEmailTickets(c, name, email, issued) {
   const mailer = getMailer();
   if (!mailer || !email) return;
-  const list = tickets.map((t) => "#" + GV_PAD(t)).join(", ");
+  const many = issued.length > 1;
+  const { subject, html } = templates.render((c.templates && c.templates.tickets) || "giveaway/tickets", {
+    name: name || "there", campaignName: c.name, beneficiary: c.beneficiary, drawLabel: c.drawLabel,
+    ticketList: issued.map((t) => "#" + GV_PAD(t)).join(", "),
+    ticketWord: many ? "tickets" : "ticket", numberWord: many ? "numbers" : "number",
+  });
   await mailer.sendMail({
-    from: "Coastal Tide Escapes <" + process.env.NOTIFY_EMAIL_USER + ">",
-    to: email,
-    subject: "Your Beach Stay Giveaway " + (tickets.length > 1 ? "tickets" : "ticket") + " (" + list + ")",
-    html:
-      "<div style='font-family:Georgia,serif;max-width:520px;margin:auto;color:#26333f'>" +
-      "<h2 style='color:#1E3A5F'>You're entered! &#127903;</h2>" +
-      "<p>Hi " + (name || "there") + ", thanks for supporting the <b>Columbus Rawlings Tigers</b>. " +
-      "Your entry into the Coastal Tide Escapes Beach Stay Giveaway is confirmed.</p>" +
-      "<p style='font-size:1.15rem'><b>Your ticket " + (tickets.length > 1 ? "numbers" : "number") + ":</b> " +
-      "<span style='color:#C9531A;font-weight:bold'>" + list + "</span></p>" +
-      "<p>Winner drawn <b>August 3, 2026 at 7:00 PM ET</b> and notified by phone/email. " +
-      "No purchase was necessary to enter — see the Official Rules on our site.</p>" +
-      "<p style='color:#6a7480;font-size:.85rem'>Coastal Tide Escapes, LLC &middot; Panama City Beach, FL</p></div>",
+    from: guestFrom(),
+    to: email, subject, html,
   });
 }
 
 // Core: given a payment's ids + amount (cents), issue tickets if it's a giveaway order.
+// onlyCampaign (optional) skips giveaway orders for any other campaign.
 // Returns {status:"ok",...} | {status:"skip",reason} | {status:"error",reason}
-async function issueGiveawayTickets(paymentId, orderId, amountCents) {
+async function issueGiveawayTickets(paymentId, orderId, amountCents, onlyCampaign) {
   if (!orderId) return { status: "skip", reason: "no order id" };
   let meta = {}, entryRef = "";
   try {
-    const { result } = await client.ordersApi.retrieveOrder(orderId);
-    const order = result && result.order;
+    const order = await provider.retrieveOrder(orderId);
     meta = (order && order.metadata) || {};
     entryRef = (order && order.referenceId) || "";
   } catch (e) {
@@ -438,94 +786,380 @@ async function issueGiveawayTickets(paymentId, orderId, amountCents) {
     return { status: "error", reason: e.message };
   }
   if (meta.type !== "giveaway") return { status: "skip", reason: "not giveaway" };
-  if (await gvRecorded(paymentId)) return { status: "skip", reason: "already recorded" };
+  const c = campaigns.get(meta.campaign || campaigns.defaultId());
+  if (!c) return { status: "error", reason: "unknown campaign " + meta.campaign };
+  if (onlyCampaign && c.id !== onlyCampaign) return { status: "skip", reason: "other campaign" };
+  const prior = tickets.findByPayment(c.id, paymentId);
+  if (prior && prior.emailedAt) return { status: "skip", reason: "already recorded" };
 
+  await gvLedger(c);
   const count = parseInt(meta.count, 10) || 1;
   const name = meta.gvName || "", email = meta.gvEmail || "", phone = meta.gvPhone || "", tier = meta.tier || "";
-  const start = (await gvMaxTicket()) + 1;
-  const tickets = [], rows = [], ts = new Date().toISOString();
-  for (let i = 0; i < count; i++) {
-    const num = start + i;
-    tickets.push(num);
-    rows.push([num, name, email, phone, "PAID", tier, (amountCents / 100).toFixed(2), paymentId, entryRef, ts]);
+  const { duplicate, entry } = tickets.allocate(c.id, {
+    kind: "paid", name, email, phone, tier, amount: (amountCents / 100).toFixed(2), paymentId, entryRef,
+  }, count);
+  await gvMirror(c);
+  if (!entry.emailedAt) {
+    await gvEmailTickets(c, name, email, entry.tickets);
+    tickets.markEmailed(c.id, entry.id);
   }
-  await gvAppend("Entries!A:J", rows);
-  await gvEmailTickets(name, email, tickets);
+  if (duplicate) return { status: "skip", reason: "already recorded" };
+  const issued = entry.tickets;
 
   const mailer = getMailer();
   if (mailer && process.env.NOTIFY_EMAIL_TO) {
     try {
       await mailer.sendMail({
-        from: "Coastal Tide Escapes <" + process.env.NOTIFY_EMAIL_USER + ">",
+        from: guestFrom(),
         to: process.env.NOTIFY_EMAIL_TO,
-        subject: "New giveaway entry",
+        subject: "New giveaway entry (" + c.name + ")",
         text: (name || email) + " — " + count + " entr" + (count > 1 ? "ies" : "y") +
-              ", tickets #" + GV_PAD(tickets[0]) + "-#" + GV_PAD(tickets[tickets.length - 1]) + ".",
+              ", tickets #" + GV_PAD(issued[0]) + "-#" + GV_PAD(issued[issued.length - 1]) + ".",
       });
     } catch (_) {}
   }
-  return { status: "ok", tickets, name, email, count };
+  return { status: "ok", campaign: c.id, tickets: issued, name, email, count };
 }
 
 // Webhook wrapper: returns true if this was a giveaway payment (handled here).
+// Errors propagate so the webhook inbox retries the event.
 async function handleGiveawayWebhook(payment) {
-  try {
-    const amount = (payment.amount_money && payment.amount_money.amount) ? Number(payment.amount_money.amount) : 0;
-    const r = await issueGiveawayTickets(payment.id, payment.order_id, amount);
-    return !(r.status === "skip" && r.reason === "not giveaway"); // handled unless it wasn't a giveaway order
-  } catch (err) {
-    console.error("handleGiveawayWebhook error:", err.message);
-    return true;
-  }
+  const amount = (payment.amount_money && payment.amount_money.amount) ? Number(payment.amount_money.amount) : 0;
+  const r = await issueGiveawayTickets(payment.id, payment.order_id, amount);
+  if (r.status === "error") throw new Error("giveaway: " + r.reason);
+  return !(r.status === "skip" && r.reason === "not giveaway"); // handled unless it wasn't a giveaway order
+}
+
+// Route helper: the campaign named in the path, or a 404 already sent.
+function campaignFor(req, res) {
+  const c = campaigns.get(req.params.campaign);
+  if (!c) fail(res, 404, "UNKNOWN_CAMPAIGN", "Unknown campaign: " + req.params.campaign + ".");
+  return c;
+}
+
+// For the routes from before there were campaigns, which the site's original
+// form and already-published verify links still call: they act on the default one.
+function defaultCampaign(req, _res, next) {
+  req.params.campaign = campaigns.defaultId();
+  next();
 }
 /* ░░ END GIVEAWAY HELPERS ░░ */
 
 app.get("/", (_req, res) => {
-  res.json({ ok: true, service: "Coastal Tide Escapes Square checkout backend", environment: isProduction ? "production" : "sandbox" });
+  res.json({ ok: true, service: "Coastal Tide Escapes Square checkout backend", environment: provider.environment });
+});
+
+// ?propertyId= on the routes below picks the property (default: the default
+// property). Answers 404 itself for an unknown id.
+function propertyFor(req, res) {
+  const p = properties.get(safeString(req.query.propertyId || (req.body || {}).propertyId || req.params.propertyId));
+  if (!p) fail(res, 404, "UNKNOWN_PROPERTY", "Unknown property.");
+  return p;
+}
+
+app.get("/properties", (_req, res) => {
+  res.json({ defaultProperty: properties.defaultId(), properties: properties.list().map(properties.publicView) });
+});
+
+// The add-on catalog for the booking form.
+app.get("/add-ons", (req, res) => {
+  const p = propertyFor(req, res);
+  if (!p) return;
+  res.json({ addOns: addons.catalog(p.id) });
 });
 
+// The response's quoteId locks this price for /create-checkout (lib/quotes).
 app.post("/quote", (req, res) => {
+  if (!valid(req, res, "quote")) return;
   const result = computeBooking(req.body || {});
-  if (!result.ok) return res.status(400).json({ ok: false, error: result.error });
-  return res.json({ ok: true, booking: result.booking });
+  if (!result.ok) return bookingError(res, result);
+  const conflict = availabilityError(result.booking);
+  if (conflict) return fail(res, 409, conflict.code, conflict.error);
+  // Re-quoting a booking that hasn't been checked out yet keeps its ledger entry current.
+  const existing = bookings.get(safeString((req.body || {}).bookingRef));
+  const ref = existing && existing.state === "quoted" ? existing.ref : "";
+  if (ref) bookings.transition(ref, "quoted", ledgerFields(result.booking), "quote");
+  const locked = quotes.create(result.booking, ref);
+  return res.json({
+    ok: true, quoteId: locked.quoteId, quoteExpiresAt: locked.expiresAt,
+    booking: result.booking, breakdown: breakdownLines(result.booking),
+    paymentSchedule: scheduleFor(result.booking), // null unless the guest may pay a deposit now and the balance later
+  });
 });
 
-app.post("/create-checkout", async (req, res) => {
-  try {
-    if (!LOCATION_ID) return res.status(500).json({ error: "Missing SQUARE_LOCATION_ID" });
+/* ── AVAILABILITY: per-night open/blocked status for the booking widget ──
+   Call: GET /availability?from=2026-06-01&to=2026-07-01&propertyId=...  (to = exclusive) */
+app.get("/availability", (req, res) => {
+  if (!valid(req, res, "availability")) return;
+  const p = propertyFor(req, res);
+  if (!p) return;
+  const from = parseDate(req.query.from), to = parseDate(req.query.to);
+  if (nightsBetween(from, to) > 400) return fail(res, 400, "RANGE_TOO_LONG", "Date range is limited to 400 nights.");
+  return res.json({ ok: true, from: isoKey(from), to: isoKey(to), nights: availability.calendar(isoKey(from), isoKey(to), p.id) });
+});
 
-    const i = req.body || {};
-    const result = computeBooking(i);
-    if (!result.ok) return res.status(400).json({ error: result.error });
-    const b = result.booking;
+/* ── AVAILABILITY: owner blocks (admin) ── */
+// ?propertyId= limits the list to one property's calendar.
+app.get("/availability/blocks", (req, res) => {
+  if (!requireAdmin(req, res, "read")) return;
+  if (req.query.propertyId && !propertyFor(req, res)) return;
+  res.json({ entries: availability.list(safeString(req.query.propertyId)) });
+});
+
+app.post("/availability/blocks", (req, res) => {
+  if (!requireAdmin(req, res, "bookings")) return;
+  if (!valid(req, res, "blocksCreate")) return;
+  const p = propertyFor(req, res);
+  if (!p) return;
+  const { start, end, note } = req.body || {};
+  const s = parseDate(start), e = parseDate(end); // end = first open night
+  res.json({ block: availability.addBlock({ start: isoKey(s), end: isoKey(e), note: safeString(note), propertyId: p.id }) });
+});
+
+app.delete("/availability/blocks/:id", (req, res) => {
+  if (!requireAdmin(req, res, "bookings")) return;
+  const e = availability.list().find((x) => x.id === req.params.id);
+  if (!e) return fail(res, 404, "NOT_FOUND", "No calendar entry " + req.params.id + ".");
+  if (e.kind !== "block") return fail(res, 409, "NOT_A_BLOCK", e.kind === "booking"
+    ? "Calendar entry " + e.id + " is booking " + e.ref + ". Cancel the booking to free its nights."
+    : "Calendar entry " + e.id + " comes from the " + e.source + " feed. Remove it there; the next sync drops it.", { kind: e.kind });
+  res.json({ removed: availability.removeBlock(e.id) });
+});
 
-    const bookingRef = safeString(i.bookingRef) || ("CTE-" + Date.now());
+/* ── PROMO CODES: booking-form check ──
+   POST /promo/validate  { code, checkin, checkout, guests, ratePlan, email }
+   Prices the stay with the code so the form can show exactly what it saves. */
+app.post("/promo/validate", (req, res) => {
+  if (!valid(req, res, "promoValidate")) return;
+  const i = req.body || {};
+  const code = promos.normalize(i.code || i.promoCode);
+  const result = computeBooking({ ...i, promoCode: code });
+  if (!result.ok) return bookingError(res, result);
+  const b = result.booking;
+  if (b.promoError || b.promoNote || !b.promoCode) return res.json({ ok: true, valid: false, code, reason: b.promoError || b.promoNote });
+  res.json({
+    ok: true, valid: true, code, label: b.promoLabel,
+    discount: b.promoOverride ? null : b.promoDiscount,
+    total: b.total,
+  });
+});
+
+/* ── PROMO CODES (admin) ── */
+app.get("/promos", (req, res) => {
+  if (!requireAdmin(req, res, "read")) return;
+  res.json({ promos: Object.values(promos.all()).map((p) => ({ ...p, used: (p.redemptions || []).length })) });
+});
+
+app.get("/promos/:code", (req, res) => {
+  if (!requireAdmin(req, res, "read")) return;
+  const p = promos.get(req.params.code);
+  if (!p) return fail(res, 404, "NOT_FOUND", "No promo code " + req.params.code + ".");
+  res.json({ promo: { ...p, used: (p.redemptions || []).length } });
+});
+
+app.post("/promos", (req, res) => {
+  if (!requireAdmin(req, res, "settings")) return;
+  const def = req.body || {};
+  const problems = promos.validate(def);
+  if (problems.length) return fail(res, 400, "VALIDATION_FAILED", "Invalid promo: " + problems[0], { fields: errors.fromList(problems) });
+  if (promos.get(def.code)) return fail(res, 409, "PROMO_EXISTS", "Promo code " + promos.normalize(def.code) + " already exists.");
+  res.json({ promo: promos.upsert(def) });
+});
+
+app.put("/promos/:code", (req, res) => {
+  if (!requireAdmin(req, res, "settings")) return;
+  const cur = promos.get(req.params.code);
+  if (!cur) return fail(res, 404, "NOT_FOUND", "No promo code " + req.params.code + ".");
+  const def = { ...cur, ...(req.body || {}), code: cur.code };
+  const problems = promos.validate(def);
+  if (problems.length) return fail(res, 400, "VALIDATION_FAILED", "Invalid promo: " + problems[0], { fields: errors.fromList(problems) });
+  res.json({ promo: promos.upsert(def) });
+});
+
+app.delete("/promos/:code", (req, res) => {
+  if (!requireAdmin(req, res, "settings")) return;
+  const removed = promos.remove(req.params.code);
+  if (!removed) return fail(res, 404, "NOT_FOUND", "No promo code " + req.params.code + ".");
+  res.json({ removed });
+});
+
+/* ── RATE PLANS (admin) ──
+   GET    /rate-plans           current plans + where they were loaded from
+   POST   /rate-plans/validate  check a config without saving it
+   PUT    /rate-plans           validate and save; takes effect on the next quote
+   DELETE /rate-plans           drop saved changes, go back to config/rate-plans.json */
+app.get("/rate-plans", (req, res) => {
+  if (!requireAdmin(req, res, "read")) return;
+  const { config, source, updatedAt } = rates.load();
+  res.json({ source, updatedAt: updatedAt || null, plans: Object.keys(config.plans), config });
+});
+
+app.post("/rate-plans/validate", (req, res) => {
+  if (!requireAdmin(req, res, "read")) return;
+  const problems = rates.validate(req.body);
+  res.json({ valid: !problems.length, errors: problems, fields: errors.fromList(problems) });
+});
+
+app.put("/rate-plans", (req, res) => {
+  if (!requireAdmin(req, res, "settings")) return;
+  const problems = rates.validate(req.body);
+  if (problems.length) return fail(res, 400, "VALIDATION_FAILED", "Invalid rate plans: " + problems[0], { fields: errors.fromList(problems) });
+  const { source, updatedAt } = rates.save(req.body);
+  res.json({ ok: true, source, updatedAt });
+});
+
+app.delete("/rate-plans", (req, res) => {
+  if (!requireAdmin(req, res, "settings")) return;
+  const { source } = rates.reset();
+  res.json({ ok: true, source });
+});
+
+/* ── CHANNEL SYNC: iCal feed for Airbnb/VRBO/FloridaRentals, and import of theirs ──
+   Export: GET /calendar/<propertyId>.ics, or GET /calendar.ics for the default
+   property  (add ?token=ICAL_EXPORT_TOKEN if that env var is set)
+   Import: feeds listed in ICAL_FEEDS (each may name its propertyId) and in each
+   property's icalFeeds are merged into that property's calendar as blocked
+   ranges, every ICAL_SYNC_MINUTES (default 30) and on demand via POST /calendar/sync (admin). */
+function icalFeeds() {
+  return ical.configuredFeeds()
+    .concat(...properties.list().map((p) => (p.icalFeeds || []).map((f) => ({ ...f, propertyId: p.id }))));
+}
+
+async function syncIcalFeeds(fetchFn) {
+  const results = [];
+  for (const feed of icalFeeds()) {
+    try {
+      const events = ical.parseEvents(await ical.readFeed(feed, fetchFn));
+      results.push(availability.syncImported(feed.source, events, feed.propertyId));
+    } catch (err) {
+      // leave the previous import in place: a channel outage shouldn't free up its nights
+      console.error("iCal sync failed for " + feed.source + ":", err.message);
+      results.push({ source: feed.source, error: err.message });
+    }
+  }
+  return results;
+}
+
+function sendIcal(req, res) {
+  if (process.env.ICAL_EXPORT_TOKEN && req.query.token !== process.env.ICAL_EXPORT_TOKEN) return fail(res, 401, "UNAUTHORIZED", "A valid calendar token is required.");
+  const p = propertyFor(req, res);
+  if (!p) return;
+  // only our own bookings and blocks; re-exporting imported events would echo
+  // each channel's bookings back to it
+  const events = availability.list(p.id)
+    .filter((e) => e.kind === "booking" || e.kind === "block")
+    .map((e) => ({
+      uid: e.id + "@coastaltideescapes.com",
+      start: e.start, end: e.end,
+      summary: e.kind === "booking" ? "Reserved" : "Not available",
+    }));
+  res.type("text/calendar").send(ical.serialize(events, { name: p.icalName || p.name }));
+}
+
+app.get("/calendar.ics", sendIcal);
+app.get("/calendar/:propertyId.ics", sendIcal);
+
+app.post("/calendar/sync", handle(async (req, res) => {
+  if (!requireAdmin(req, res, "bookings")) return;
+  res.json({ results: await syncIcalFeeds() });
+}));
+
+/* ── CHECKOUT ──
+   POST /create-checkout  { quoteId, guestName, guestEmail, guestPhone, paymentSchedule }
+   With a quoteId from /quote the locked price is charged as quoted; an edited
+   or expired id is refused. Without one the stay is priced from the body as
+   before. Booking refs are made here; a bookingRef (or the quote's) only
+   continues a booking that hasn't been paid yet, and a quote makes one link. */
+app.post("/create-checkout", handle(async (req, res) => {
+  if (!valid(req, res, "createCheckout")) return;
+  // the quote this call has claimed, until its link is made; a failure before
+  // then gives it back so the guest can retry
+  let claimed = null;
+  try {
+    const i = req.body || {};
     const guestName = safeString(i.guestName);
     const guestEmail = safeString(i.guestEmail || i.email);
     const guestPhone = safeString(i.guestPhone || i.phone);
 
-    const lineItems = buildLineItems(b);
-    if (!lineItems.length) return res.status(400).json({ error: "Nothing to charge." });
+    let b, quoteRef = "";
+    if (i.quoteId) {
+      const v = quotes.verify(safeString(i.quoteId));
+      if (!v.ok) return fail(res, v.expired ? 410 : 400, v.expired ? "QUOTE_EXPIRED" : "QUOTE_INVALID", v.error, { fields: [{ field: "quoteId", code: v.expired ? "QUOTE_EXPIRED" : "QUOTE_INVALID", message: v.error }] });
+      b = v.quote.booking;
+      quoteRef = v.quote.bookingRef;
+      if ((i.checkin && i.checkin !== b.checkin) || (i.checkout && i.checkout !== b.checkout))
+        return fail(res, 400, "QUOTE_MISMATCH", "This quote is for " + b.checkin + " to " + b.checkout + ". Please get a new quote for other dates.");
+      // A locked quote keeps its promo for the quote's lifetime even if the code
+      // is switched off or runs out of uses in between: that's the price the
+      // guest was promised. Only the per-guest limit is checked here, because
+      // the guest's email wasn't known at quote time.
+      if (b.promoCode) {
+        const pe = promos.checkEmail(b.promoCode, guestEmail, true);
+        if (!pe.ok) return fail(res, 400, "PROMO_INVALID", pe.reason, { fields: [{ field: "guestEmail", code: "PROMO_INVALID", message: pe.reason }] });
+      }
+    } else {
+      const result = computeBooking(i, { requireEmail: true });
+      if (!result.ok) return bookingError(res, result);
+      b = result.booking;
+    }
+    const prop = propertyOf(b);
+    if (!squareLocation(prop)) return fail(res, 500, "CONFIG_ERROR", "Missing SQUARE_LOCATION_ID");
+    // don't quietly charge full price for a code the guest thinks applied
+    if (b.promoError) return fail(res, 400, "PROMO_INVALID", b.promoError, { fields: [{ field: "promoCode", code: "PROMO_INVALID", message: b.promoError }] });
+    const conflict = availabilityError(b);
+    if (conflict) return fail(res, 409, conflict.code, conflict.error);
+
+    const existing = bookings.get(quoteRef || safeString(i.bookingRef));
+    // A retry after a failed checkout reuses the quote's booking, but once a link
+    // is out a second one would leave two payable links on one booking, with the
+    // ledger holding whichever caller came last.
+    if (quoteRef && existing && existing.state === "link_created")
+      return fail(res, 409, "QUOTE_USED", "This quote already has a payment link. Please use that link or get a new quote.");
+    if (existing && !bookings.canTransition(existing.state, "link_created"))
+      return fail(res, 409, "BOOKING_STATE", "Booking " + existing.ref + " is already " + existing.state + ".", { state: existing.state });
+    const bookingRef = existing ? existing.ref : bookings.newRef();
+
+    // paymentSchedule: "deposit" → charge the plan's deposit now, balance link goes out later
+    const schedule = safeString(i.paymentSchedule) === "deposit" ? scheduleFor(b) : null;
+    if (safeString(i.paymentSchedule) === "deposit" && !schedule)
+      return fail(res, 400, "DEPOSIT_UNAVAILABLE", "A deposit isn't available for these dates. Please pay in full.", { fields: [{ field: "paymentSchedule", code: "DEPOSIT_UNAVAILABLE", message: "A deposit isn't available for these dates. Please pay in full." }] });
+
+    const lineItems = schedule ? [installmentLineItem("deposit", b, schedule.depositAmount, schedule)] : buildLineItems(b);
+    if (!lineItems.length) return fail(res, 400, "NOTHING_TO_CHARGE", "Nothing to charge.");
+
+    // The check above only sees links already made; two checkouts with the same
+    // quote at once both pass it. Claiming the quote is one store update, so the
+    // second is turned away here, before it touches the ledger or Square.
+    if (i.quoteId) {
+      if (!quotes.claim(safeString(i.quoteId), bookingRef))
+        return fail(res, 409, "QUOTE_USED", "This quote already has a payment link. Please use that link or get a new quote.");
+      claimed = { quoteId: safeString(i.quoteId), bookingRef };
+    }
+    const fields = ledgerFields(b, { guestName, guestEmail, guestPhone });
+    if (!existing || existing.state === "quoted") bookings.transition(bookingRef, "quoted", fields, "checkout requested");
 
+    // Square takes at most 10 metadata entries; nights follow from the dates.
+    // The property travels here because Square keeps the payment note on the
+    // payment, not the order the webhook reads back.
     const metadata = {
-      bookingRef, guestName, guestEmail, guestPhone,
+      bookingRef, propertyId: b.propertyId, guestName, guestEmail, guestPhone,
       checkin: b.checkin, checkout: b.checkout,
-      guests: String(b.guests), nights: String(b.nights),
-      golfCartOnly: b.golfCartOnly ? "yes" : "no",
+      guests: String(b.guests),
+      addOnsOnly: b.addOnsOnly ? "yes" : "no",
+      installment: schedule ? "deposit" : "full",
     };
-    const noteMeta = { ...metadata, total: b.total, promoOverride: b.promoOverride, discountAmount: b.discountAmount, promoCode: b.promoCode, promoDiscount: b.promoDiscount, rateMode: b.rateMode, golfCartOnly: !!b.golfCartOnly };
+    const noteMeta = { ...metadata, nights: String(b.nights), total: b.total, promoOverride: b.promoOverride, adjustments: b.adjustments, pets: b.pets, discountAmount: b.discountAmount, promoCode: b.promoCode, promoDiscount: b.promoDiscount, rateMode: b.rateMode, addOns: b.addOns, addOnsOnly: !!b.addOnsOnly, schedule };
 
     const emailOk = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(guestEmail);
 
-    const redirectUrl = b.golfCartOnly
-      ? (process.env.SQUARE_GOLF_CART_REDIRECT_URL || "https://www.coastaltideescapes.com/golf-cart-confirmed")
-      : (process.env.SQUARE_REDIRECT_URL || "https://www.coastaltideescapes.com/book-now");
+    const redirectUrl = b.addOnsOnly ? addOnsRedirectUrl(prop) : stayRedirectUrl(prop);
 
     const body = {
       idempotencyKey: crypto.randomUUID(),
       order: {
-        locationId: LOCATION_ID,
+        locationId: squareLocation(prop),
         lineItems,
+        ...(schedule ? {} : { discounts: buildOrderDiscounts(b) }),
         pricingOptions: { autoApplyTaxes: false, autoApplyDiscounts: false },
         referenceId: bookingRef,
         metadata,
@@ -539,40 +1173,64 @@ app.post("/create-checkout", async (req, res) => {
       paymentNote: buildOrderNote(noteMeta),
     };
 
-    const response = await checkoutApi.createPaymentLink(body);
-    const paymentLink = response.result && response.result.paymentLink;
-    if (!paymentLink || !paymentLink.url) return res.status(500).json({ error: "Square did not return a checkout URL" });
+    const paymentLink = await provider.createPaymentLink(body);
+    if (!paymentLink || !paymentLink.url) {
+      if (claimed) quotes.release(claimed.quoteId, claimed.bookingRef);
+      return fail(res, 502, "PAYMENT_PROVIDER_ERROR", "Square did not return a checkout URL");
+    }
+
+    bookings.transition(bookingRef, "link_created", {
+      ...fields,
+      schedule: schedule || null,
+      paymentLinkId: paymentLink.id || "", orderId: paymentLink.orderId || "", checkoutUrl: paymentLink.url,
+    }, schedule ? "Square deposit link created" : "Square payment link created");
+    claimed = null;
 
-    await sendBookingNotification({ ...b, bookingRef, guestName, guestEmail, guestPhone }, paymentLink.url);
+    await sendBookingNotification({ ...b, bookingRef, guestName, guestEmail, guestPhone, schedule }, paymentLink.url);
 
     return res.json({
       ok: true,
+      bookingRef,
       checkoutUrl: paymentLink.url,
       finalPrice: b.total,
+      amountDueNow: schedule ? schedule.depositAmount : b.total,
+      paymentSchedule: schedule,
       paymentLinkId: paymentLink.id || "",
       orderId: paymentLink.orderId || "",
     });
   } catch (err) {
+    if (claimed) quotes.release(claimed.quoteId, claimed.bookingRef);
     console.error("Square checkout error:", JSON.stringify((err && err.result) || (err && err.message) || err, null, 2));
-    if (err instanceof ApiError) {
-      const details = (err.result && err.result.errors ? err.result.errors.map(function (e) {
-        return e.category + "/" + e.code + ": " + (e.detail || "") + (e.field ? (" [field: " + e.field + "]") : "");
-      }).join(" | ") : "") || err.message;
-      return res.status(500).json({ error: details });
-    }
-    return res.status(500).json({ error: (err && err.message) || "Unknown server error" });
+    return sendError(res, err);
   }
+}));
+
+/* ── GIVEAWAY ROUTES: campaign info for the site ──
+   GET /giveaway/campaigns             → every campaign with its status and tiers
+   GET /giveaway/:campaign             → one campaign */
+app.get("/giveaway/campaigns", (_req, res) => {
+  res.json({ campaigns: campaigns.list().map((c) => campaigns.publicView(c)) });
+});
+
+app.get("/giveaway/:campaign", (req, res) => {
+  const c = campaignFor(req, res);
+  if (!c) return;
+  res.json(campaigns.publicView(c));
 });
 
-/* ── GIVEAWAY ROUTE: site form calls this to start a $10/$25/$50 entry ── */
-app.post("/giveaway/create-checkout", async (req, res) => {
+/* ── GIVEAWAY ROUTE: site form calls this to start an entry at one of the campaign's tiers ──
+   POST /giveaway/create-checkout is the same for the default campaign. */
+const giveawayCheckout = handle(async (req, res) => {
   try {
-    if (!LOCATION_ID) return res.status(500).json({ error: "Missing SQUARE_LOCATION_ID" });
+    const c = campaignFor(req, res);
+    if (!c) return;
+    const status = campaigns.status(c);
+    if (status !== "open") return fail(res, 409, "GIVEAWAY_NOT_OPEN", status === "closed" ? "This giveaway has closed." : "This giveaway isn't open yet.", { status });
+    if (!valid(req, res, "giveawayCheckout")) return;
+    if (!LOCATION_ID) return fail(res, 500, "CONFIG_ERROR", "Missing SQUARE_LOCATION_ID");
     const { name, email, phone, tier } = req.body || {};
-    const t = GV_TIERS[tier];
-    if (!t) return res.status(400).json({ error: "invalid tier" });
+    const t = c.tiers[tier];
     const buyerEmail = safeString(email);
-    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(buyerEmail)) return res.status(400).json({ error: "valid email required" });
 
     const entryRef = "CTE-GIVE-" + crypto.randomBytes(4).toString("hex").toUpperCase();
     const body = {
@@ -582,45 +1240,72 @@ app.post("/giveaway/create-checkout", async (req, res) => {
         referenceId: entryRef,
         lineItems: [{ name: t.label, quantity: "1", basePriceMoney: money(t.amount) }],
         metadata: {
-          type: "giveaway", tier, count: String(t.count),
+          type: "giveaway", campaign: c.id, tier, count: String(t.count),
           gvName: safeString(name), gvEmail: buyerEmail, gvPhone: safeString(phone),
         },
       },
       checkoutOptions: {
         askForShippingAddress: false,
         merchantSupportEmail: process.env.SQUARE_SUPPORT_EMAIL || "coastaltideescapesllc@gmail.com",
-        redirectUrl: process.env.GIVEAWAY_THANK_YOU_URL || "https://coastaltideescapes.com/beach-stay-giveaway?paid=1",
+        redirectUrl: c.thankYouUrl || process.env.GIVEAWAY_THANK_YOU_URL,
       },
       prePopulatedData: { buyerEmail },
     };
 
-    const response = await checkoutApi.createPaymentLink(body);
-    const pl = response.result && response.result.paymentLink;
-    if (!pl || !pl.url) return res.status(500).json({ error: "Square did not return a checkout URL" });
+    const pl = await provider.createPaymentLink(body);
+    if (!pl || !pl.url) return fail(res, 502, "PAYMENT_PROVIDER_ERROR", "Square did not return a checkout URL");
     return res.json({ url: pl.url });
   } catch (err) {
     console.error("Giveaway checkout error:", JSON.stringify((err && err.result) || (err && err.message) || err, null, 2));
-    return res.status(500).json({ error: (err && err.message) || "server error" });
+    return sendError(res, err);
   }
 });
+app.post("/giveaway/:campaign/create-checkout", giveawayCheckout);
+app.post("/giveaway/create-checkout", defaultCampaign, giveawayCheckout);
 
 /* ── GIVEAWAY ROUTE: add a mailed-in FREE entry (admin) ── */
-app.post("/giveaway/free-entry", async (req, res) => {
-  if (req.header("x-admin-key") !== process.env.GIVEAWAY_ADMIN_KEY) return res.status(401).json({ error: "unauthorized" });
+app.post("/giveaway/:campaign/free-entry", handle(async (req, res) => {
+  if (!requireAdmin(req, res, "giveaway")) return;
+  const c = campaignFor(req, res);
+  if (!c) return;
+  if (!valid(req, res, "freeEntry")) return;
   const { name, email, phone } = req.body || {};
-  if (!name) return res.status(400).json({ error: "name required" });
-  const num = (await gvMaxTicket()) + 1;
-  await gvAppend("Entries!A:J", [[num, safeString(name), safeString(email), safeString(phone), "FREE", "mail-in", "0.00", "", "", new Date().toISOString()]]);
-  if (email) await gvEmailTickets(name, email, [num]);
-  res.json({ ticket: GV_PAD(num) });
+  await gvLedger(c);
+  const { entry } = tickets.allocate(c.id, { kind: "free", name: safeString(name), email: safeString(email), phone: safeString(phone) }, 1);
+  await gvMirror(c);
+  const num = entry.tickets[0];
+  // the ticket is issued by now, so a mail failure mustn't turn into an error
+  // (retrying would issue a second one); emailedAt just stays empty
+  let emailed = false;
+  try {
+    if (email) await gvEmailTickets(c, name, email, [num]);
+    tickets.markEmailed(c.id, entry.id);
+    emailed = !!email;
+  } catch (err) {
+    console.error("Free entry email failed:", err.message);
+  }
+  res.json({ ticket: GV_PAD(num), emailed });
+}));
+
+/* ── GIVEAWAY ROUTE: the campaign's ticket ledger (admin) ── */
+app.get("/giveaway/:campaign/entries", (req, res) => {
+  if (!requireAdmin(req, res, "read")) return;
+  const c = campaignFor(req, res);
+  if (!c) return;
+  const entries = tickets.list(c.id);
+  res.json({ campaign: c.id, adopted: tickets.adopted(c.id), count: entries.length, waitingForSheet: tickets.unmirrored(c.id).length, entries });
 });
 
 /* ── GIVEAWAY ROUTE: diagnose the Google Sheet connection ──
-   Call: GET /giveaway/sheet-check?key=YOUR_GIVEAWAY_ADMIN_KEY
-   Tells you: is SHEET_ID readable, what tabs exist, and is "Entries" among them. */
-app.get("/giveaway/sheet-check", async (req, res) => {
-  if (req.query.key !== process.env.GIVEAWAY_ADMIN_KEY) return res.status(401).json({ error: "unauthorized" });
+   Call: GET /giveaway/:campaign/sheet-check  (admin)
+   Tells you: is SHEET_ID readable, what tabs exist, and is the campaign's tab among them. */
+app.get("/giveaway/:campaign/sheet-check", handle(async (req, res) => {
+  if (!requireAdmin(req, res, "read")) return;
+  const c = campaignFor(req, res);
+  if (!c) return;
   const out = {
+    campaign: c.id,
+    sheetTab: c.sheetTab,
     sheetIdSeen: (process.env.SHEET_ID || "").trim(),
     sheetIdLength: (process.env.SHEET_ID || "").length,
     serviceAccount: null,
@@ -634,31 +1319,127 @@ app.get("/giveaway/sheet-check", async (req, res) => {
     const meta = await gvSheets().spreadsheets.get({ spreadsheetId: (process.env.SHEET_ID || "").trim() });
     out.spreadsheetTitle = meta.data.properties && meta.data.properties.title;
     out.tabs = (meta.data.sheets || []).map((s) => s.properties.title);
-    out.hasEntriesTab = out.tabs.includes("Entries");
-    out.result = out.hasEntriesTab ? "OK — sheet opens and Entries tab found" : "Sheet opens, but NO tab named exactly 'Entries'";
+    out.hasCampaignTab = out.tabs.includes(c.sheetTab);
+    out.result = out.hasCampaignTab ? "OK — sheet opens and " + c.sheetTab + " tab found" : "Sheet opens, but NO tab named exactly '" + c.sheetTab + "'";
     return res.json(out);
   } catch (err) {
     out.result = "FAILED to open spreadsheet";
-    out.error = (err && err.errors) ? err.errors : (err && err.message) || String(err);
-    return res.status(500).json(out);
+    out.detail = (err && err.errors) ? err.errors : (err && err.message) || String(err);
+    return fail(res, 502, "SHEET_UNAVAILABLE", "Could not open the spreadsheet.", out);
+  }
+}));
+
+/* ── GIVEAWAY ROUTES: verifiable drawing ──
+   1. POST /giveaway/:campaign/draws { cutoff, prizes, alternates, label }  (admin)
+      freezes tickets issued up to cutoff (default: campaign close, or now if
+      still open); publish the entriesHash and seedCommitment it returns (and
+      the beacon source, if using one) before step 2.
+   2. POST /giveaway/:campaign/draws/:id/run { beacon }  (admin) — reveals the seed, picks winners + alternates
+   GET /giveaway/:campaign/draws, GET /giveaway/:campaign/draws/:id  (admin, includes winner contact details)
+   GET /giveaway/:campaign/draw/:id/verify  (public) — everything needed to recompute the result;
+      GET /giveaway/draw/:id/verify is the same for the default campaign */
+function drawWithContacts(d) {
+  const byTicket = {};
+  for (const t of tickets.list(d.campaign)) byTicket[t.ticket] = t;
+  return {
+    ...draws.publicRecord(d),
+    results: d.results.map((r) => {
+      const t = byTicket[r.ticket] || {};
+      return { ...r, ticketLabel: GV_PAD(r.ticket), name: t.name || "", email: t.email || "", phone: t.phone || "", type: t.kind === "free" ? "FREE" : "PAID" };
+    }),
+  };
+}
+
+// A draw belongs to its campaign; ids from another campaign read as not found.
+function campaignDraw(c, id) {
+  const d = draws.get(id);
+  return d && (d.campaign || campaigns.defaultId()) === c.id ? d : null;
+}
+
+app.post("/giveaway/:campaign/draws", handle(async (req, res) => {
+  if (!requireAdmin(req, res, "giveaway")) return;
+  const c = campaignFor(req, res);
+  if (!c) return;
+  if (!valid(req, res, "drawCreate")) return;
+  try {
+    await gvLedger(c);
+    const { prizes, alternates, label } = req.body || {};
+    const closed = c.closesAt && new Date(c.closesAt) <= new Date();
+    const cutoff = (req.body || {}).cutoff || (closed ? c.closesAt : "");
+    const r = draws.create(c.id, tickets.list(c.id), { cutoff, prizes, alternates, label: safeString(label) });
+    if (!r.ok) return fail(res, 400, "DRAW_INVALID", r.error);
+    res.json(draws.publicRecord(r.draw));
+  } catch (err) {
+    console.error("draw create error:", err.message);
+    fail(res, 500, "DRAW_FREEZE_FAILED", "Could not freeze entries.", { detail: err.message });
   }
+}));
+
+app.post("/giveaway/:campaign/draws/:id/run", (req, res) => {
+  if (!requireAdmin(req, res, "giveaway")) return;
+  const c = campaignFor(req, res);
+  if (!c) return;
+  if (!valid(req, res, "drawRun")) return;
+  if (!campaignDraw(c, req.params.id)) return fail(res, 404, "DRAW_NOT_FOUND", "No draw " + req.params.id + ".");
+  const r = draws.run(req.params.id, safeString((req.body || {}).beacon));
+  if (!r.ok) return r.error === "not found" ? fail(res, 404, "DRAW_NOT_FOUND", "No draw " + req.params.id + ".") : fail(res, 409, "DRAW_STATE", r.error);
+  res.json(drawWithContacts(r.draw));
+});
+
+app.get("/giveaway/:campaign/draws", (req, res) => {
+  if (!requireAdmin(req, res, "read")) return;
+  const c = campaignFor(req, res);
+  if (!c) return;
+  res.json({ draws: draws.list().filter((d) => (d.campaign || campaigns.defaultId()) === c.id).map((d) => ({ id: d.id, label: d.label, status: d.status, cutoff: d.cutoff, ticketCount: d.tickets.length, entriesHash: d.entriesHash, drawnAt: d.drawnAt })) });
 });
 
-/* ── GIVEAWAY ROUTE: draw a random winner (admin) ── */
-app.get("/giveaway/draw", async (req, res) => {
-  if (req.query.key !== process.env.GIVEAWAY_ADMIN_KEY) return res.status(401).json({ error: "unauthorized" });
-  const entries = (await gvGet("Entries!A2:E")).filter((r) => r[0]);
-  if (!entries.length) return res.json({ error: "no entries yet" });
-  const w = entries[Math.floor(Math.random() * entries.length)];
-  res.json({ totalEntries: entries.length, winningTicket: GV_PAD(parseInt(w[0], 10)), name: w[1], email: w[2], phone: w[3], type: w[4] });
+app.get("/giveaway/:campaign/draws/:id", (req, res) => {
+  if (!requireAdmin(req, res, "read")) return;
+  const c = campaignFor(req, res);
+  if (!c) return;
+  const d = campaignDraw(c, req.params.id);
+  if (!d) return fail(res, 404, "DRAW_NOT_FOUND", "No draw " + req.params.id + ".");
+  res.json(drawWithContacts(d));
 });
 
+function verifyDraw(req, res) {
+  const c = campaignFor(req, res);
+  if (!c) return;
+  const d = campaignDraw(c, req.params.id);
+  if (!d) return fail(res, 404, "DRAW_NOT_FOUND", "No draw " + req.params.id + ".");
+  res.json(draws.publicRecord(d));
+}
+app.get("/giveaway/:campaign/draw/:id/verify", verifyDraw);
+app.get("/giveaway/draw/:id/verify", defaultCampaign, verifyDraw);
+
+/* ── GIVEAWAY ROUTE: check the Sheet against the ticket ledger ──
+   Reports ticket numbers that appear twice, numbers with no row, payments
+   that were issued tickets more than once, and rows the ledger doesn't know.
+   Call: GET /giveaway/:campaign/reconcile  (admin; ?mirror=1 appends ledger entries the Sheet lacks first) */
+app.get("/giveaway/:campaign/reconcile", handle(async (req, res) => {
+  if (!requireAdmin(req, res, req.query.mirror === "1" ? "giveaway" : "read")) return;
+  const c = campaignFor(req, res);
+  if (!c) return;
+  if (!valid(req, res, "reconcile")) return;
+  try {
+    await gvLedger(c);
+    if (req.query.mirror === "1") await gvMirror(c);
+    res.json({ campaign: c.id, ...tickets.reconcile(c.id, await gvGet(campaigns.range(c, "A2:J"))) });
+  } catch (err) {
+    console.error("reconcile error:", err.message);
+    fail(res, 502, "RECONCILE_FAILED", "Reconcile failed: " + err.message, { detail: err.message });
+  }
+}));
+
 /* ── GIVEAWAY ROUTE: recover paid entries from Square that never logged ──
    Safe to run repeatedly — already-logged payments are skipped. Processes
    oldest first so ticket numbers follow purchase order.
-   Call: GET /giveaway/backfill?key=YOUR_GIVEAWAY_ADMIN_KEY  (&days=14 optional) */
-app.get("/giveaway/backfill", async (req, res) => {
-  if (req.query.key !== process.env.GIVEAWAY_ADMIN_KEY) return res.status(401).json({ error: "unauthorized" });
+   Call: GET /giveaway/:campaign/backfill  (admin; ?days=14 optional) */
+app.get("/giveaway/:campaign/backfill", handle(async (req, res) => {
+  if (!requireAdmin(req, res, "giveaway")) return;
+  const c = campaignFor(req, res);
+  if (!c) return;
+  if (!valid(req, res, "backfill")) return;
   try {
     const days = Math.min(parseInt(req.query.days, 10) || 14, 90);
     const beginTime = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
@@ -666,14 +1447,11 @@ app.get("/giveaway/backfill", async (req, res) => {
     let cursor, guard = 0;
     const all = [];
 
-    // Square SDK v39 positional signature:
-    //   listPayments(beginTime, endTime, sortOrder, cursor, locationId, ...)
-    // Passing `undefined` for middle args yields a malformed query string, so we
-    // request only beginTime + cursor, then filter/sort ourselves.
+    // the provider pages through everything since beginTime; filter/sort here
     do {
-      const { result } = await client.paymentsApi.listPayments(beginTime, undefined, undefined, cursor);
-      for (const p of (result.payments || [])) all.push(p);
-      cursor = result.cursor;
+      const page = await provider.listPayments({ beginTime, cursor });
+      for (const p of page.payments) all.push(p);
+      cursor = page.cursor;
       guard++;
     } while (cursor && guard < 10);
 
@@ -686,7 +1464,7 @@ app.get("/giveaway/backfill", async (req, res) => {
     const recovered = [];
     for (const p of eligible) {
       const amt = (p.amountMoney && p.amountMoney.amount) ? Number(p.amountMoney.amount) : 0;
-      const r = await issueGiveawayTickets(p.id, p.orderId, amt);
+      const r = await issueGiveawayTickets(p.id, p.orderId, amt, c.id);
       if (r.status === "ok") recovered.push({ payment: p.id, name: r.name, email: r.email, tickets: r.tickets.map(GV_PAD) });
     }
     res.json({ scanned: all.length, eligible: eligible.length, recoveredCount: recovered.length, recovered });
@@ -695,116 +1473,1039 @@ app.get("/giveaway/backfill", async (req, res) => {
                  : (err && err.result && err.result.errors) ? err.result.errors
                  : (err && err.message) || String(err);
     console.error("backfill error:", JSON.stringify(detail));
-    res.status(500).json({ error: "backfill failed", detail });
+    fail(res, 502, "BACKFILL_FAILED", "Backfill failed.", { detail });
   }
+}));
+/* ── BOOKINGS: ledger lookup ──
+   GET /bookings/:ref  → status for the site; full record with admin credentials. */
+// ?state=paid  ?when=upcoming|past (by checkout date)  ?propertyId=. Each record carries its price breakdown lines.
+app.get("/bookings", (req, res) => {
+  if (!requireAdmin(req, res, "read")) return;
+  if (!valid(req, res, "bookingsList")) return;
+  if (req.query.propertyId && !propertyFor(req, res)) return;
+  const when = safeString(req.query.when);
+  const list = bookings.list({ state: safeString(req.query.state), propertyId: safeString(req.query.propertyId) })
+    .filter((b) => when !== "upcoming" || b.checkout >= todayAt(b))
+    .filter((b) => when !== "past" || b.checkout < todayAt(b));
+  res.json({ bookings: list.map((b) => ({ ...b, breakdown: breakdownLines(b.pricing) })) });
+});
+
+app.get("/bookings/:ref", (req, res) => {
+  const b = bookings.get(req.params.ref);
+  if (!b) return fail(res, 404, "BOOKING_NOT_FOUND", "Booking not found.");
+  // admin credentials get the full record (audited); anyone else the public view
+  if (!admins.identify(req)) return res.json({ ok: true, booking: bookings.publicView(b) });
+  if (!requireAdmin(req, res, "read")) return;
+  res.json({ ok: true, booking: b });
+});
+
+/* ── REPORTS: taxes collected per month, by tax, for filing ──
+   GET /reports/taxes?month=YYYY-MM&propertyId=...  (defaults: the current
+   month, every property) */
+app.get("/reports/taxes", (req, res) => {
+  if (!requireAdmin(req, res, "read")) return;
+  if (!valid(req, res, "taxReport")) return;
+  if (req.query.propertyId && !propertyFor(req, res)) return;
+  const propertyId = safeString(req.query.propertyId);
+  const month = safeString(req.query.month) || todayAt({ propertyId }).slice(0, 7);
+  const stays = bookings.list({ propertyId }).map((b) => ({ ref: b.ref, timezone: properties.timezone(propertyOf(b)), pricing: b.pricing, payments: bookings.payments(b).map((p) => ({ ...p, paidAt: p.paidAt || b.updatedAt })), refunds: b.refunds }));
+  res.json({ propertyId: propertyId || null, ...feeModel.report(stays, month) });
 });
 
-app.post("/square-webhook", async (req, res) => {
-  // ── Optional signature verification. Active only once you set BOTH
-  //    SQUARE_WEBHOOK_SIGNATURE_KEY and SQUARE_WEBHOOK_URL (recommended).
-  //    If unset, behaves exactly as before (no verification).
-  if (process.env.SQUARE_WEBHOOK_SIGNATURE_KEY && process.env.SQUARE_WEBHOOK_URL) {
+// Everything a stay holds once it's cancelled or refunded: its nights on the
+// calendar, the guest's queued messages, the promo redemption and any payment
+// links still out (checkout, balance, unpaid changes), so none can be paid.
+async function releaseStay(bk) {
+  availability.releaseBooking(bk.ref);
+  messages.cancelForBooking(bk.ref);
+  if (bk.pricing && bk.pricing.promoCode) promos.releaseRedemption(bk.pricing.promoCode, bk.ref);
+  const links = [];
+  if (bk.paymentLinkId && !bookings.payments(bk).length) links.push(bk.paymentLinkId);
+  if (bk.schedule && bk.schedule.balanceLink && bk.state === "deposit_paid") links.push(bk.schedule.balanceLink.id);
+  for (const x of bk.supplements || []) if (x.status === "pending" && x.linkId) links.push(x.linkId);
+  for (const id of links.filter(Boolean)) {
+    // a payment that gets through anyway is refunded when it lands (see confirmBookingPayment)
+    try { await provider.deletePaymentLink(id); } catch (err) { console.error("Could not deactivate payment link " + id + " for " + bk.ref + ":", squareErrorDetail(err)); }
+  }
+}
+
+/* ── BOOKINGS: staff moves (check-in, check-out, cancel an unpaid hold) (admin) ──
+   A paid stay is cancelled through POST /bookings/:ref/cancel, which refunds it. */
+app.post("/bookings/:ref/status", handle(async (req, res) => {
+  if (!requireAdmin(req, res, "bookings")) return;
+  if (!valid(req, res, "bookingStatus")) return;
+  const { state, note } = req.body || {};
+  const bk = bookings.get(req.params.ref);
+  if (!bk) return fail(res, 404, "BOOKING_NOT_FOUND", "Booking not found.");
+  if (state === "cancelled" && (bk.state === "paid" || bk.state === "deposit_paid"))
+    return fail(res, 409, "USE_CANCEL", "Booking " + bk.ref + " is " + bk.state + ": cancel it with POST /bookings/" + bk.ref + "/cancel so the refund is worked out.", { state: bk.state });
+  const r = bookings.transition(bk.ref, state, null, safeString(note) || "staff");
+  if (!r.ok) return fail(res, 409, "BOOKING_STATE", r.error);
+  if (state === "cancelled") await releaseStay(bk);
+  res.json({ booking: r.booking });
+}));
+
+/* ── BOOKINGS: balance payment links for deposit bookings ──
+   The hourly sweep creates and emails each balance link on the schedule's
+   linkSendDate. POST /bookings/:ref/balance-link (admin) sends it right away,
+   or re-sends the existing link. */
+async function sendBalanceEmail(bk, link) {
+  const mailer = getMailer();
+  if (!mailer || !bk.guestEmail) return;
+  const s = bk.schedule;
+  try {
+    const { subject, html } = templates.render("guest/balance-due", {
+      ...guestMessageVars(bk),
+      balanceAmount: Number(s.balanceAmount).toFixed(2), balanceDueDate: s.balanceDueDate, payUrl: link.url,
+    });
+    await mailer.sendMail({
+      from: guestFrom(bk),
+      to: bk.guestEmail,
+      bcc: properties.notifyTo(propertyOf(bk)) || undefined,
+      subject, html,
+    });
+  } catch (err) {
+    console.error("Balance email failed:", err.message);
+  }
+}
+
+async function createBalanceLink(bk) {
+  const s = bk.schedule;
+  const b = bk.pricing || bk;
+  const metadata = {
+    bookingRef: bk.ref, propertyId: properties.of(bk),
+    guestName: bk.guestName || "", guestEmail: bk.guestEmail || "", guestPhone: bk.guestPhone || "",
+    checkin: bk.checkin, checkout: bk.checkout,
+    guests: String(bk.guests || ""),
+    addOnsOnly: "no",
+    installment: "balance",
+  };
+  const emailOk = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(metadata.guestEmail);
+  const pl = await provider.createPaymentLink({
+    idempotencyKey: crypto.randomUUID(),
+    order: {
+      locationId: squareLocation(propertyOf(bk)),
+      lineItems: [installmentLineItem("balance", b, s.balanceAmount, s)],
+      pricingOptions: { autoApplyTaxes: false, autoApplyDiscounts: false },
+      referenceId: bk.ref,
+      metadata,
+    },
+    checkoutOptions: {
+      askForShippingAddress: false,
+      merchantSupportEmail: process.env.SQUARE_SUPPORT_EMAIL || "coastaltideescapesllc@gmail.com",
+      redirectUrl: stayRedirectUrl(propertyOf(bk)),
+    },
+    prePopulatedData: emailOk ? { buyerEmail: metadata.guestEmail } : undefined,
+    paymentNote: "Booking Ref: " + bk.ref + " | Balance due by " + s.balanceDueDate + ": $" + s.balanceAmount,
+  });
+  if (!pl || !pl.url) throw new Error("Square did not return a checkout URL");
+  const link = { url: pl.url, id: pl.id || "", orderId: pl.orderId || "", createdAt: new Date().toISOString() };
+  const updated = bookings.patch(bk.ref, { schedule: { ...s, balanceLink: link } });
+  await sendBalanceEmail(updated, link);
+  return link;
+}
+
+// todayFor: "YYYY-MM-DD", or a function giving it per booking (see bookings.advanceByDate).
+async function sendDueBalanceLinks(todayFor) {
+  for (const bk of bookings.list({ state: "deposit_paid" })) {
+    const s = bk.schedule;
+    const today = typeof todayFor === "function" ? todayFor(bk) : todayFor;
+    if (!s || s.balanceLink || today < s.linkSendDate) continue;
     try {
-      const sig = req.header("x-square-hmacsha256-signature") || "";
-      const raw = req.rawBody ? req.rawBody.toString("utf8") : JSON.stringify(req.body || {});
-      const expected = crypto
-        .createHmac("sha256", process.env.SQUARE_WEBHOOK_SIGNATURE_KEY)
-        .update(process.env.SQUARE_WEBHOOK_URL + raw)
-        .digest("base64");
-      const valid = sig.length === expected.length && crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected));
-      if (!valid) return res.sendStatus(403);
-    } catch (e) {
-      return res.sendStatus(403);
+      await createBalanceLink(bk);
+      console.log("Balance link sent for", bk.ref);
+    } catch (err) {
+      console.error("Balance link failed for " + bk.ref + ":", squareErrorDetail(err));
     }
   }
+}
 
-  res.status(200).json({ ok: true });
+app.post("/bookings/:ref/balance-link", handle(async (req, res) => {
+  if (!requireAdmin(req, res, "bookings")) return;
+  const bk = bookings.get(req.params.ref);
+  if (!bk) return fail(res, 404, "BOOKING_NOT_FOUND", "Booking not found.");
+  if (bk.state !== "deposit_paid" || !bk.schedule) return fail(res, 409, "NO_BALANCE_DUE", "Booking " + bk.ref + " has no balance outstanding.");
   try {
-    const event = req.body;
-    if (!event) return;
-
-    // ── GIVEAWAY branch: completed giveaway payments get ticket numbers ──
-    if (event.type === "payment.updated" || event.type === "payment.created") {
-      const gp = event.data && event.data.object && event.data.object.payment;
-      if (gp && gp.status === "COMPLETED" && gp.order_id) {
-        const handled = await handleGiveawayWebhook(gp);
-        if (handled) return; // giveaway payment done; don't run booking logic
-      }
+    if (bk.schedule.balanceLink) {
+      await sendBalanceEmail(bk, bk.schedule.balanceLink);
+      return res.json({ ok: true, resent: true, link: bk.schedule.balanceLink });
     }
+    res.json({ ok: true, link: await createBalanceLink(bk) });
+  } catch (err) {
+    console.error("Balance link error:", JSON.stringify((err && err.result) || (err && err.message) || err, null, 2));
+    sendError(res, err);
+  }
+}));
+
+/* ── BOOKINGS: cancel + refund per config/cancellation-policy.json (admin) ──
+   POST /bookings/:ref/cancel  { reason, dryRun, amount }
+   dryRun returns the refund breakdown without touching Square; `amount`
+   overrides the policy (e.g. a goodwill full refund). */
+function refundedSoFar(bk) {
+  return round2((bk.refunds || []).filter((r) => r.status !== "FAILED" && r.status !== "REJECTED").reduce((s, r) => s + r.amount, 0));
+}
 
-    // ── EXISTING BOOKING logic (unchanged) ──
-    if (event.type !== "payment.completed") return;
-
-    const payment = event && event.data && event.data.object && event.data.object.payment;
-    if (!payment) return;
-
-    const orderId = payment.order_id || "";
-    const paymentId = payment.id || "";
-    const amountPaid = (payment.amount_money && payment.amount_money.amount) ? Number(payment.amount_money.amount) / 100 : 0;
-
-    let bookingRef = "", guestName = "Guest", guestEmail = "", guestPhone = "";
-    let checkin = "", checkout = "", guests = 0, nights = 0;
-
-    if (orderId) {
-      try {
-        const { result } = await client.ordersApi.retrieveOrder(orderId);
-        const order = result && result.order;
-        if (order) {
-          bookingRef = order.referenceId || "";
-          const m = order.metadata || {};
-          guestName = m.guestName || m.guest_name || guestName;
-          guestEmail = m.guestEmail || m.guest_email || "";
-          guestPhone = m.guestPhone || m.guest_phone || "";
-          checkin = m.checkin || m.check_in || "";
-          checkout = m.checkout || m.check_out || "";
-          guests = Number(m.guests) || 0;
-          nights = Number(m.nights) || 0;
-          if (!checkin && order.note) {
-            checkin = (order.note.match(/Stay:\s*(\d{4}-\d{2}-\d{2})/i) || [])[1] || "";
-            checkout = (order.note.match(/to\s*(\d{4}-\d{2}-\d{2})/i) || [])[1] || "";
-          }
-          if (!bookingRef && order.note)
-            bookingRef = (order.note.match(/Ref:\s*(CTE-[^\s|]+)/i) || [])[1] || "";
-          if (guestName === "Guest" && order.note) {
-            const gm = order.note.match(/Guest:\s*([^|]+)/i);
-            if (gm && gm[1]) guestName = gm[1].trim();
-          }
-        }
-      } catch (orderErr) {
-        console.error("Could not retrieve Square order:", orderErr.message);
-      }
+// Refunds `amount` across the booking's payments, most recent first (balance,
+// then deposit), and returns the booking's refunds list with the new ones added.
+// `key` makes the Square idempotency keys, so a retried call can't refund twice.
+async function refundPayments(bk, amount, key, reason) {
+  const refunds = (bk.refunds || []).slice();
+  let left = round2(amount);
+  for (const p of bookings.payments(bk).slice().reverse()) {
+    if (left <= 0) break;
+    const prior = refunds.filter((r) => r.paymentId === p.paymentId && r.status !== "FAILED" && r.status !== "REJECTED").reduce((sum, r) => sum + r.amount, 0);
+    const amt = round2(Math.min(left, p.amount - prior));
+    if (amt <= 0) continue;
+    const rf = await provider.refundPayment({
+      idempotencyKey: (key + "-" + (p.supplementId || p.installment)).slice(0, 45),
+      paymentId: p.paymentId,
+      amountMoney: money(toCents(amt)),
+      reason: reason.slice(0, 192),
+    });
+    refunds.push({ id: rf.id || "", paymentId: p.paymentId, amount: amt, status: rf.status || "PENDING", updatedAt: new Date().toISOString() });
+    left = round2(left - amt);
+  }
+  return refunds;
+}
+
+app.post("/bookings/:ref/cancel", handle(async (req, res) => {
+  if (!requireAdmin(req, res, "bookings")) return;
+  if (!valid(req, res, "cancel")) return;
+  const bk = bookings.get(req.params.ref);
+  if (!bk) return fail(res, 404, "BOOKING_NOT_FOUND", "Booking not found.");
+  if (!bookings.canTransition(bk.state, "cancelled"))
+    return fail(res, 409, "BOOKING_STATE", "Booking " + bk.ref + " is " + bk.state + " and can't be cancelled.", { state: bk.state });
+
+  const { reason, dryRun, amount } = req.body || {};
+  const paid = bk.state === "paid" || bk.state === "deposit_paid";
+  const breakdown = bk.pricing || { checkin: bk.checkin, lodgingPreTaxTotal: bk.amountPaid, total: bk.amountPaid };
+  const policy = paid
+    ? cancellation.quoteRefund(breakdown, parseDate(todayAt(bk)), { amountPaid: bk.amountPaid, alreadyRefunded: refundedSoFar(bk) })
+    : null;
+  let refundAmount = policy ? policy.refundable : 0;
+  if (paid && amount != null) {
+    const max = round2((bk.amountPaid || 0) - refundedSoFar(bk));
+    const n = round2(amount);
+    if (!(n >= 0 && n <= max)) return fail(res, 400, "AMOUNT_OUT_OF_RANGE", "Amount must be between 0 and " + max + ".", { fields: [{ field: "amount", code: "OUT_OF_RANGE", message: "Amount must be between 0 and " + max + "." }] });
+    refundAmount = n;
+  }
+  if (dryRun) return res.json({ dryRun: true, ref: bk.ref, state: bk.state, policy, refundAmount });
+
+  try {
+    if (refundAmount > 0 && !bookings.payments(bk).length) return fail(res, 409, "NO_PAYMENT", "No Square payment on file for this booking.");
+    const refunds = await refundPayments(bk, refundAmount, "cancel-" + bk.ref,
+      "Cancellation " + bk.ref + (reason ? ": " + safeString(reason) : ""));
+    const r = bookings.transition(bk.ref, "cancelled", {
+      refunds,
+      cancellation: { reason: safeString(reason), cancelledAt: new Date().toISOString(), policy, refundAmount },
+    }, "cancelled by staff" + (reason ? ": " + safeString(reason) : ""));
+    await releaseStay(bk);
+    await sendCancellationEmail(r.booking, refundAmount);
+    res.json({ ok: true, booking: r.booking, refundAmount });
+  } catch (err) {
+    console.error("Cancel/refund error:", JSON.stringify((err && err.result) || (err && err.message) || err, null, 2));
+    sendError(res, err);
+  }
+}));
+
+// Square refund webhooks (ours or ones issued from the Square dashboard).
+async function applyRefundEvent(rf) {
+  const bk = bookings.find((b) => bookings.payments(b).some((p) => p.paymentId === rf.payment_id));
+  if (!bk) { console.log("Refund webhook: no booking for payment", rf.payment_id); return; }
+  const amount = (rf.amount_money && rf.amount_money.amount) ? Number(rf.amount_money.amount) / 100 : 0;
+  const refunds = (bk.refunds || []).filter((r) => r.id !== rf.id);
+  refunds.push({ id: rf.id, paymentId: rf.payment_id, amount, status: rf.status, updatedAt: new Date().toISOString() });
+  bookings.patch(bk.ref, { refunds });
+  if (rf.status !== "COMPLETED") return;
+
+  const completed = refunds.filter((r) => r.status === "COMPLETED").reduce((s, r) => s + r.amount, 0);
+  if (bk.state === "cancelled") {
+    bookings.transition(bk.ref, "refunded", null, "refund " + rf.id + " completed");
+  } else if (bookings.canTransition(bk.state, "refunded") && completed >= (bk.amountPaid || 0)) {
+    // refunded in full outside the cancel route, e.g. from the Square dashboard
+    bookings.transition(bk.ref, "refunded", null, "refunded in Square (" + rf.id + ")");
+    await releaseStay(bk);
+  }
+}
+
+/* ── GUEST MESSAGES (admin) ──
+   GET  /messages?status=failed&ref=CTE-...   outbox entries
+   POST /messages/:id/retry                    queue a failed/cancelled message to send now */
+app.get("/messages", (req, res) => {
+  if (!requireAdmin(req, res, "read")) return;
+  if (!valid(req, res, "messagesList")) return;
+  res.json({ messages: messages.list({ status: safeString(req.query.status), ref: safeString(req.query.ref) }) });
+});
+
+app.post("/messages/:id/retry", handle(async (req, res) => {
+  if (!requireAdmin(req, res, "bookings")) return;
+  const m = messages.retry(req.params.id);
+  if (!m) return fail(res, 404, "NOT_FOUND", "No message " + req.params.id + ".");
+  res.json({ results: await runGuestMessages() });
+}));
+
+/* ── GUEST SELF-SERVICE: "manage my booking" links (lib/guest-links) ──
+   The confirmation email carries a signed, expiring link; the token in it is
+   the guest's only credential, so there are no guest accounts.
+   GET  /guest/:token               status, receipt and what can still be changed
+   POST /guest/:token/details       { arrivalTime: "HH:MM", guests }  (guests only when the price stays the same)
+   POST /guest/:token/add-ons       { addOns }  → a supplemental Square payment link
+   POST /guest/:token/date-change   { checkin, checkout, confirm }  reprices the stay; without
+                                    confirm it only quotes. A higher price gets a supplemental
+                                    link (the change applies once it's paid); of a lower one
+                                    the guest gets back what the cancellation policy would
+                                    refund for the nights dropped (quote.refund), right away. */
+function guestBooking(req, res) {
+  const v = guestLinks.verify(req.params.token);
+  if (!v.ok) { fail(res, 403, v.expired ? "LINK_EXPIRED" : "LINK_INVALID", v.error); return null; }
+  const bk = bookings.get(v.ref);
+  if (!bk) { fail(res, 404, "BOOKING_NOT_FOUND", "Booking not found."); return null; }
+  return bk;
+}
+
+// Nothing changes online once the stay starts or the booking is cancelled.
+// Dates only move on stays paid in full; add-ons need a booking priced with
+// the add-on catalog (older ones only knew the golf cart).
+function guestCan(bk) {
+  const p = bk.pricing;
+  const open = !!p && ["deposit_paid", "paid"].includes(bk.state) && bk.checkin > todayAt(bk);
+  const addOnsOnly = !!(p && (p.addOnsOnly || p.golfCartOnly));
+  return {
+    details: open,
+    addOns: open && !!p.addOns && !p.promoOverride,
+    dates: open && bk.state === "paid" && !addOnsOnly,
+  };
+}
+
+const GUEST_HELP = " Reply to your confirmation email and we'll help.";
+
+// The inputs that priced a booking, with `changes` applied, for computeBooking.
+function bookingInputs(bk, changes) {
+  const p = bk.pricing;
+  return {
+    propertyId: properties.of(bk), ratePlan: p.ratePlan,
+    checkin: bk.checkin, checkout: bk.checkout, guests: bk.guests, pets: p.pets,
+    promoCode: p.promoCode, guestEmail: bk.guestEmail,
+    addOns: addOnLines(p).map((a) => ({ id: a.id, quantity: a.quantity })),
+    addOnsOnly: !!(p.addOnsOnly || p.golfCartOnly),
+    ...changes,
+  };
+}
+
+// Reprices a booking as of the day it was made, with the rate plan it was
+// booked under, so a change costs what the original stay did.
+function asBooked(bk) {
+  return { ref: bk.ref, rateSnapshot: bk.rateSnapshot, today: bk.createdAt ? dateIn(bk.createdAt, properties.timezone(propertyOf(bk))) : undefined };
+}
+
+// What a guest gets back for moving to a cheaper stay: what cancelling the old
+// stay would refund less what cancelling the new one would, both under the
+// policy tier of the original check-in, and never more than the price drop.
+function changeRefund(bk, b) {
+  const today = parseDate(todayAt(bk));
+  const before = cancellation.quoteRefund(bk.pricing, today).computed;
+  const after = cancellation.quoteRefund({ ...b, checkin: bk.checkin }, today).computed;
+  return Math.max(0, Math.min(round2(before - after), round2(bk.pricing.total - b.total)));
+}
+
+// Adds add-on lines to a booking's, combining repeats of the same item.
+function mergeAddOns(current, extra) {
+  const out = (current || []).map((a) => ({ ...a }));
+  for (const a of extra) {
+    const had = out.find((x) => x.id === a.id);
+    if (!had) { out.push({ ...a }); continue; }
+    had.quantity += a.quantity;
+    had.amount = round2(had.amount + a.amount);
+  }
+  return out;
+}
+
+function supplementForOrder(bk, orderId) {
+  return (orderId && (bk.supplements || []).find((x) => x.orderId === orderId)) || null;
+}
+
+function supplementView(x) {
+  return {
+    id: x.id, kind: x.kind, status: x.status, amount: x.amount, url: x.status === "pending" ? x.url : undefined,
+    addOns: x.addOns ? x.addOns.map((a) => ({ id: a.id, label: a.label, quantity: a.quantity })) : undefined,
+    checkin: x.pricing ? x.pricing.checkin : undefined, checkout: x.pricing ? x.pricing.checkout : undefined,
+    createdAt: x.createdAt,
+  };
+}
+
+function patchSupplement(ref, id, fields) {
+  const bk = bookings.get(ref);
+  return bookings.patch(ref, { supplements: (bk.supplements || []).map((x) => (x.id === id ? { ...x, ...fields } : x)) });
+}
+
+// A Square link for an extra charge on an existing booking. The order metadata
+// names the supplement so the webhook can apply it.
+async function createSupplementLink(bk, sup, lineItems, note) {
+  const prop = propertyOf(bk);
+  const metadata = {
+    bookingRef: bk.ref, propertyId: properties.of(bk), guestName: bk.guestName || "", guestEmail: bk.guestEmail || "",
+    checkin: bk.checkin, checkout: bk.checkout,
+    installment: "supplement", supplementId: sup.id,
+  };
+  const emailOk = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(metadata.guestEmail);
+  const pl = await provider.createPaymentLink({
+    idempotencyKey: crypto.randomUUID(),
+    order: {
+      locationId: squareLocation(prop),
+      lineItems,
+      pricingOptions: { autoApplyTaxes: false, autoApplyDiscounts: false },
+      referenceId: bk.ref,
+      metadata,
+    },
+    checkoutOptions: {
+      askForShippingAddress: false,
+      merchantSupportEmail: process.env.SQUARE_SUPPORT_EMAIL || "coastaltideescapesllc@gmail.com",
+      redirectUrl: process.env.MANAGE_BOOKING_URL ? guestLinks.url(bk.ref, bk.checkout) : stayRedirectUrl(prop),
+    },
+    prePopulatedData: emailOk ? { buyerEmail: metadata.guestEmail } : undefined,
+    paymentNote: ("Booking Ref: " + bk.ref + " | " + note).slice(0, 500),
+  });
+  if (!pl || !pl.url) throw new Error("Square did not return a checkout URL");
+  const saved = { ...sup, url: pl.url, linkId: pl.id || "", orderId: pl.orderId || "", status: "pending", createdAt: new Date().toISOString() };
+  bookings.patch(bk.ref, { supplements: (bookings.get(bk.ref).supplements || []).concat([saved]) });
+  return saved;
+}
+
+// Moves a paid stay to the dates priced in `b`: ledger, calendar and the
+// scheduled guest messages.
+function applyDateChange(bk, b, note) {
+  const change = {
+    at: new Date().toISOString(), note,
+    from: { checkin: bk.checkin, checkout: bk.checkout, total: bk.pricing.total },
+    to: { checkin: b.checkin, checkout: b.checkout, total: b.total },
+  };
+  const updated = bookings.patch(bk.ref, {
+    checkin: b.checkin, checkout: b.checkout, nights: b.nights, guests: b.guests,
+    pricing: b, changes: (bk.changes || []).concat([change]),
+  });
+  availability.recordBooking({ ref: bk.ref, checkin: b.checkin, checkout: b.checkout, paymentId: bk.paymentId, propertyId: properties.of(bk) });
+  messages.rescheduleForBooking(updated);
+  return updated;
+}
+
+async function sendGuestChangeEmail(bk, what) {
+  const mailer = getMailer();
+  const to = properties.notifyTo(propertyOf(bk));
+  if (!mailer || !to) return;
+  try {
+    await mailer.sendMail({
+      from: ownerFrom(propertyOf(bk)),
+      to,
+      subject: "Guest change: " + bk.ref + " | " + what,
+      html:
+        "<div style='font-family:Arial,sans-serif;font-size:14px;max-width:520px;color:#26333f'>" +
+        "<p>" + templates.escapeHtml(bk.guestName || "The guest") + " updated booking <strong>" + bk.ref + "</strong> (" + bk.checkin + " to " + bk.checkout + ") from their manage-booking link:</p>" +
+        "<p>" + templates.escapeHtml(what) + "</p></div>",
+    });
+  } catch (err) {
+    console.error("Guest change email failed:", err.message);
+  }
+}
+
+app.get("/guest/:token", (req, res) => {
+  const bk = guestBooking(req, res);
+  if (!bk) return;
+  const prop = propertyOf(bk);
+  res.json({
+    ok: true,
+    booking: { ...bookings.publicView(bk), propertyName: prop.name, guestName: bk.guestName || "", pets: (bk.pricing && bk.pricing.pets) || 0, arrivalTime: bk.arrivalTime || "" },
+    breakdown: breakdownLines(bk.pricing),
+    receipt: {
+      payments: bookings.payments(bk).map((p) => ({ installment: p.installment, amount: p.amount, paidAt: p.paidAt || "" })),
+      refunds: (bk.refunds || []).filter((r) => r.status !== "FAILED" && r.status !== "REJECTED").map((r) => ({ amount: r.amount, status: r.status, at: r.updatedAt })),
+    },
+    supplements: (bk.supplements || []).map(supplementView),
+    can: guestCan(bk),
+    limits: { maxGuests: prop.maxGuests },
+    addOns: addons.catalog(prop.id),
+  });
+});
+
+app.post("/guest/:token/details", handle(async (req, res) => {
+  const bk = guestBooking(req, res);
+  if (!bk) return;
+  if (!guestCan(bk).details) return fail(res, 409, "NOT_CHANGEABLE", "This booking can't be changed online any more." + GUEST_HELP);
+  if (!valid(req, res, "guestDetails")) return;
+  const i = req.body || {};
+  const fields = {}, changed = [];
+  if (i.arrivalTime != null) {
+    const t = safeString(i.arrivalTime);
+    fields.arrivalTime = t;
+    changed.push("arrival time " + (t || "cleared"));
+  }
+  if (i.guests != null && parseInt(i.guests, 10) !== bk.guests) {
+    if (bk.pricing.addOnsOnly || bk.pricing.golfCartOnly) return fail(res, 409, "NO_STAY", "This booking has no stay to change the guest count on.");
+    // priced as booked, so only the guest count differs
+    const r = computeBooking(bookingInputs(bk, { guests: i.guests }), asBooked(bk));
+    if (!r.ok) return bookingError(res, r);
+    if (toCents(r.booking.total) !== toCents(bk.pricing.total))
+      return fail(res, 409, "PRICE_CHANGES", "Changing to " + r.booking.guests + " guests changes the price to $" + r.booking.total.toFixed(2) + "." + GUEST_HELP, { total: r.booking.total });
+    fields.guests = r.booking.guests;
+    fields.pricing = { ...bk.pricing, guests: r.booking.guests };
+    changed.push("guests " + bk.guests + " to " + r.booking.guests);
+  }
+  if (!changed.length) return res.json({ ok: true, arrivalTime: bk.arrivalTime || "", guests: bk.guests });
+  const updated = bookings.patch(bk.ref, fields);
+  await sendGuestChangeEmail(updated, changed.join(", "));
+  res.json({ ok: true, arrivalTime: updated.arrivalTime || "", guests: updated.guests });
+}));
+
+app.post("/guest/:token/add-ons", handle(async (req, res) => {
+  const bk = guestBooking(req, res);
+  if (!bk) return;
+  if (!guestCan(bk).addOns) return fail(res, 409, "NOT_CHANGEABLE", "Add-ons can't be added to this booking online." + GUEST_HELP);
+  if (!valid(req, res, "guestAddOns")) return;
+  const p = bk.pricing;
+  const picks = addons.selection(req.body || {});
+  if (!picks.length) return fail(res, 400, "VALIDATION_FAILED", "Please choose an add-on.", { fields: [{ field: "addOns", code: "REQUIRED", message: "Please choose an add-on." }] });
+  const { key: planKey } = rates.getPlan(p.ratePlan, propertyOf(bk));
+  const priced = priceAddOns(picks, bk.nights, { checkin: bk.checkin, plan: planKey, property: properties.of(bk) }, !!p.addOnsOnly);
+  if (!priced.ok) return bookingError(res, { ...priced, code: "ADD_ON_INVALID", field: "addOns" });
+  // what the booking already has counts toward each item's limit
+  for (const a of mergeAddOns(p.addOns, priced.addOns)) {
+    const max = (addons.get(a.id) || {}).maxQuantity || 1;
+    if (a.quantity > max) return bookingError(res, { code: "ADD_ON_LIMIT", field: "addOns", error: a.label + ": up to " + max + " per booking." });
+  }
+  const short = shortageError(addons.shortages(priced.addOns, bk.checkin, bk.checkout, addOnHolders(properties.of(bk))));
+  if (short) return fail(res, 409, "ADD_ON_UNAVAILABLE", short);
+  try {
+    const amount = round2(priced.total + priced.tax);
+    const lineItems = buildLineItems({ propertyId: properties.of(bk), lodgingPreTaxTotal: 0, fees: [], addOns: priced.addOns, taxes: priced.taxes });
+    const sup = await createSupplementLink(bk, {
+      id: "sup_" + crypto.randomBytes(6).toString("hex"), kind: "add-ons",
+      addOns: priced.addOns, addOnsTotal: priced.total, addOnsTax: priced.tax, taxes: priced.taxes, amount,
+    }, lineItems, "Add-ons: " + priced.addOns.map(addOnLabel).join(", ") + ": $" + amount.toFixed(2));
+    res.json({ ok: true, supplement: supplementView(sup) });
+  } catch (err) {
+    console.error("Guest add-on link error:", JSON.stringify((err && err.result) || (err && err.message) || err, null, 2));
+    sendError(res, err);
+  }
+}));
+
+app.post("/guest/:token/date-change", handle(async (req, res) => {
+  const bk = guestBooking(req, res);
+  if (!bk) return;
+  if (!guestCan(bk).dates) return fail(res, 409, "NOT_CHANGEABLE", "Dates can only be changed online on stays paid in full, before check-in." + GUEST_HELP);
+  if (!valid(req, res, "guestDateChange")) return;
+  const i = req.body || {};
+  const r = computeBooking(bookingInputs(bk, { checkin: i.checkin, checkout: i.checkout }), asBooked(bk));
+  if (!r.ok) return bookingError(res, r);
+  const b = r.booking;
+  if (b.checkin === bk.checkin && b.checkout === bk.checkout) return fail(res, 400, "SAME_DATES", "Those are already your dates.");
+  if (b.checkin <= todayAt(bk)) return bookingError(res, { code: "OUT_OF_RANGE", field: "checkin", error: "Please choose a check-in date after today." });
+  const conflict = availabilityError(b, bk.ref);
+  if (conflict) return fail(res, 409, conflict.code, conflict.error);
+  const difference = round2(b.total - bk.pricing.total);
+  const refund = difference < 0 ? changeRefund(bk, b) : 0;
+  const quote = { checkin: b.checkin, checkout: b.checkout, nights: b.nights, total: b.total, difference, refund, breakdown: breakdownLines(b), promoError: b.promoError || "" };
+  if (!i.confirm) return res.json({ ok: true, quote });
+
+  try {
+    // a newer request replaces any unpaid one (paying the old link refunds it)
+    for (const x of bk.supplements || []) if (x.kind === "date-change" && x.status === "pending") patchSupplement(bk.ref, x.id, { status: "replaced" });
+    const what = "dates " + bk.checkin + "/" + bk.checkout + " to " + b.checkin + "/" + b.checkout;
+    if (difference > 0) {
+      const sup = await createSupplementLink(bookings.get(bk.ref), {
+        id: "sup_" + crypto.randomBytes(6).toString("hex"), kind: "date-change", pricing: b, amount: difference,
+      }, [{
+        name: "Date change - " + stayLabel(b) + " (" + b.checkin + " to " + b.checkout + ")",
+        quantity: "1",
+        basePriceMoney: money(toCents(difference)),
+      }], "Date change " + bk.checkin + " to " + bk.checkout + " -> " + b.checkin + " to " + b.checkout + ": $" + difference.toFixed(2));
+      return res.json({ ok: true, quote, supplement: supplementView(sup) });
+    }
+    if (refund > 0) {
+      const refunds = await refundPayments(bk, refund, "change-" + bk.ref + "-" + (bk.changes || []).length, "Date change " + bk.ref);
+      bookings.patch(bk.ref, { refunds });
     }
+    const updated = applyDateChange(bookings.get(bk.ref), b, "guest" + (refund > 0 ? ", refunded $" + refund.toFixed(2) : ""));
+    await sendGuestChangeEmail(updated, what + (refund > 0 ? ", refunded $" + refund.toFixed(2) : ""));
+    res.json({ ok: true, quote, refunded: refund, booking: bookings.publicView(updated) });
+  } catch (err) {
+    console.error("Guest date change error:", JSON.stringify((err && err.result) || (err && err.message) || err, null, 2));
+    sendError(res, err);
+  }
+}));
+
+// A paid supplement: record the payment and apply it. If it can no longer be
+// applied (a newer date change replaced it, or the dates or add-ons were taken
+// in the meantime) the payment is refunded instead.
+async function confirmSupplementPayment(bk, sup, paymentId, amountPaid) {
+  if (bookings.payments(bk).some((p) => p.paymentId === paymentId)) return { status: "ok", ref: bk.ref, supplement: sup.id, duplicate: true };
+  const payments = bookings.payments(bk).concat([{ installment: "supplement", supplementId: sup.id, paymentId, amount: amountPaid, paidAt: new Date().toISOString() }]);
+  const cur = bookings.patch(bk.ref, { payments, amountPaid: round2(payments.reduce((sum, p) => sum + p.amount, 0)) });
+  const p = cur.pricing;
+  const merged = sup.kind === "add-ons" ? mergeAddOns(p.addOns, sup.addOns) : null;
+
+  let problem = sup.status === "replaced" ? "a newer date change replaced it" : "";
+  if (!problem && !["deposit_paid", "paid"].includes(cur.state)) problem = "the booking is " + cur.state;
+  if (!problem && sup.kind === "date-change") problem = (availabilityError(sup.pricing, cur.ref) || {}).error;
+  if (!problem && sup.kind === "add-ons") problem = (availabilityError({ ...p, addOnsOnly: true, propertyId: properties.of(cur), addOns: merged }, cur.ref) || {}).error;
+
+  if (problem) {
+    // only this payment is refunded
+    const refunds = await refundPayments({ ...cur, payments: payments.slice(-1) }, amountPaid, "supplement-" + sup.id, "Could not apply change to " + cur.ref);
+    bookings.patch(cur.ref, { refunds });
+    patchSupplement(cur.ref, sup.id, { status: "refunded", paymentId, note: problem });
+    await sendGuestChangeEmail(cur, "payment for " + sup.kind + " refunded: " + problem);
+    return { status: "ok", ref: cur.ref, supplement: sup.id, refunded: amountPaid, reason: problem };
+  }
+
+  let updated;
+  if (sup.kind === "add-ons") {
+    updated = bookings.patch(cur.ref, {
+      pricing: {
+        ...p,
+        addOns: merged,
+        addOnsTotal: round2(p.addOnsTotal + sup.addOnsTotal),
+        addOnsTax: round2(p.addOnsTax + sup.addOnsTax),
+        taxes: feeModel.combine(p.taxes || [], sup.taxes),
+        total: round2(p.total + sup.amount),
+      },
+    });
+  } else {
+    updated = applyDateChange(cur, sup.pricing, "guest, paid $" + amountPaid.toFixed(2));
+  }
+  patchSupplement(cur.ref, sup.id, { status: "paid", paymentId, paidAt: new Date().toISOString() });
+  await sendGuestChangeEmail(updated, sup.kind === "add-ons"
+    ? "added " + sup.addOns.map(addOnLabel).join(", ") + " ($" + amountPaid.toFixed(2) + " paid)"
+    : "dates changed to " + updated.checkin + "/" + updated.checkout + " ($" + amountPaid.toFixed(2) + " paid)");
+
+  sinks.enqueue(paymentId, {
+    paymentId, bookingRef: cur.ref, propertyId: properties.of(cur),
+    checkin: updated.checkin, checkout: updated.checkout, guests: updated.guests, nights: updated.nights,
+    guestName: cur.guestName || "", guestEmail: cur.guestEmail || "", guestPhone: cur.guestPhone || "",
+    amountPaid, installment: "supplement", totalPaid: updated.amountPaid, state: updated.state,
+  });
+  runSinks();
+  return { status: "ok", ref: cur.ref, supplement: sup.id, state: updated.state };
+}
+
+/* ── BOOKING CONFIRMATION: a completed Square payment for a stay ──
+   Everything that matters happens here, in-process: the ledger, availability,
+   promo redemption and guest emails. The Apps Script, Sheets and any other
+   systems are told afterwards through lib/sinks.js, with retries, so a sink
+   being down never loses a paid booking. */
+
+// Booking details from the Square order. Order metadata has carried these since
+// the payment links were itemized; the note regexes cover older links.
+async function bookingFromOrder(orderId) {
+  const order = await provider.retrieveOrder(orderId);
+  if (!order) return null;
+  const m = order.metadata || {};
+  const note = order.note || "";
+  const propertyId = m.propertyId || "";
+  // dates as the property's calendar days, even if something upstream sent timestamps
+  const zone = properties.timezone(propertyOf({ propertyId }));
+  const o = {
+    bookingRef: order.referenceId || "",
+    guestName: m.guestName || m.guest_name || "",
+    guestEmail: m.guestEmail || m.guest_email || "",
+    guestPhone: m.guestPhone || m.guest_phone || "",
+    checkin: plainDate(m.checkin || m.check_in, zone),
+    checkout: plainDate(m.checkout || m.check_out, zone),
+    guests: Number(m.guests) || 0,
+    nights: Number(m.nights) || 0, // links made before the property id took its slot
+    addOnsOnly: m.addOnsOnly === "yes" || m.golfCartOnly === "yes", // golfCartOnly: links made before the add-on catalog
+    installment: m.installment || "",
+    supplementId: m.supplementId || "",
+    propertyId,
+  };
+  if (!o.checkin && note) {
+    o.checkin = (note.match(/Stay:\s*(\d{4}-\d{2}-\d{2})/i) || [])[1] || "";
+    o.checkout = (note.match(/to\s*(\d{4}-\d{2}-\d{2})/i) || [])[1] || "";
+  }
+  if (!o.nights) o.nights = stayNights(o.checkin, o.checkout).length;
+  if (!o.bookingRef && note) o.bookingRef = (note.match(/Ref:\s*(CTE-[^\s|]+)/i) || [])[1] || "";
+  if (!o.guestName && note) o.guestName = ((note.match(/Guest:\s*([^|]+)/i) || [])[1] || "").trim();
+  return o;
+}
+
+// Which installment an order paid, from the ledger's own record of its links.
+function installmentForOrder(bk, orderId) {
+  if (supplementForOrder(bk, orderId)) return "supplement";
+  if (bk.schedule && bk.schedule.balanceLink && bk.schedule.balanceLink.orderId === orderId) return "balance";
+  return bk.schedule ? "deposit" : "full";
+}
+
+async function confirmBookingPayment(payment) {
+  const orderId = payment.order_id || "";
+  const paymentId = payment.id || "";
+  const amountPaid = (payment.amount_money && payment.amount_money.amount) ? Number(payment.amount_money.amount) / 100 : 0;
 
-    if (!checkin || !checkout) {
-      console.log("Square webhook: missing dates. PaymentId:", paymentId);
-      return;
+  let o = null;
+  let orderErr = null;
+  if (orderId) {
+    try {
+      o = await bookingFromOrder(orderId);
+    } catch (err) {
+      // the ledger usually knows the order already, so this isn't fatal
+      console.error("Could not retrieve Square order:", err.message);
+      orderErr = err;
     }
+  }
+  o = o || {};
+  const known = (o.bookingRef && bookings.get(o.bookingRef))
+    || (orderId && bookings.find((b) => b.orderId === orderId || !!(b.schedule && b.schedule.balanceLink && b.schedule.balanceLink.orderId === orderId) || !!supplementForOrder(b, orderId)));
+  // ...unless it doesn't: throw so the webhook inbox tries again later
+  if (!known && orderErr) throw orderErr;
+  // extras and date changes bought from the guest's manage-booking page
+  const sup = known && ((o.supplementId && (known.supplements || []).find((x) => x.id === o.supplementId)) || supplementForOrder(known, orderId));
+  if (sup) return confirmSupplementPayment(known, sup, paymentId, amountPaid);
+  const ref = (known && known.ref) || o.bookingRef || paymentId;
+  const stay = {
+    checkin: (known && known.checkin) || o.checkin || "",
+    checkout: (known && known.checkout) || o.checkout || "",
+    guests: (known && known.guests) || o.guests || 0,
+    nights: (known && known.nights) || o.nights || 0,
+    guestName: (known && known.guestName) || o.guestName || "Guest",
+    guestEmail: (known && known.guestEmail) || o.guestEmail || "",
+    guestPhone: (known && known.guestPhone) || o.guestPhone || "",
+    propertyId: properties.of(known || o),
+  };
+  const addOnsOnly = known && known.pricing ? !!(known.pricing.addOnsOnly || known.pricing.golfCartOnly) : !!o.addOnsOnly;
+  const installment = o.installment || (known ? installmentForOrder(known, orderId) : "full");
 
-    const gasUrl = process.env.GOOGLE_APPS_SCRIPT_URL;
-    if (!gasUrl) { console.error("GOOGLE_APPS_SCRIPT_URL not set."); return; }
+  if (!stay.checkin || !stay.checkout) {
+    console.log("Square webhook: missing dates. PaymentId:", paymentId);
+    return { status: "skip", reason: "missing dates" };
+  }
 
-    const payload = {
-      action: "squarePaymentConfirmed",
-      secret: process.env.WEBHOOK_SECRET || "",
-      paymentId, bookingRef,
-      guestName, guestEmail, guestPhone,
-      checkin, checkout, guests, nights, amountPaid,
+  const cur = bookings.get(ref);
+  const target = installment === "deposit" ? "deposit_paid" : "paid";
+  const mine = cur && bookings.payments(cur).find((p) => p.paymentId === paymentId);
+  // A booking that has moved on (cancelled, or paid through another link) can't
+  // take this payment: it's recorded and given back, and holds nothing.
+  const refused = mine ? mine.refused : cur && !bookings.canTransition(cur.state, target) ? "the booking is already " + cur.state : "";
+  if (refused) return refuseBookingPayment(cur, { installment, paymentId, amount: amountPaid }, refused);
+  // Two guests can hold links for the same nights; the second to pay is given
+  // the money back. A balance is for nights the deposit already holds.
+  if (!mine && !addOnsOnly && installment !== "balance") {
+    const taken = availability.conflicts(stay.checkin, stay.checkout, { propertyId: stay.propertyId, ignoreRef: ref });
+    if (taken.length) {
+      const why = "its nights were booked in the meantime (" + taken.join(", ") + ")";
+      if (!cur || bookings.canTransition(cur.state, "cancelled"))
+        bookings.transition(ref, "cancelled", cur ? null : stay, "payment " + paymentId + " refused: " + why);
+      return refuseBookingPayment(bookings.get(ref), { installment, paymentId, amount: amountPaid }, why);
+    }
+  }
+  // a payment it took before it was cancelled, delivered again
+  if (mine && (cur.state === "cancelled" || cur.state === "refunded")) return { status: "skip", reason: "booking is " + cur.state };
+  if (!mine) {
+    const payments = (cur ? bookings.payments(cur) : []).concat([{ installment, paymentId, amount: amountPaid, paidAt: new Date().toISOString() }]);
+    const paidFields = {
+      paymentId: (cur && cur.paymentId) || paymentId, orderId: (cur && cur.orderId) || orderId,
+      payments, amountPaid: round2(payments.reduce((sum, p) => sum + p.amount, 0)),
     };
+    const r = bookings.transition(ref, target, cur ? paidFields : { ...paidFields, ...stay },
+      "payment.completed " + paymentId + (installment !== "full" ? " (" + installment + ")" : ""));
+    if (!r.ok) throw new Error(r.error);
+  }
+  // add-on-only rentals don't occupy the unit
+  if (!addOnsOnly) availability.recordBooking({ ref, checkin: stay.checkin, checkout: stay.checkout, paymentId, propertyId: stay.propertyId });
+  const rec = bookings.get(ref);
+  // a promo use only counts once money has actually come in
+  if (rec.pricing && rec.pricing.promoCode)
+    promos.recordRedemption(rec.pricing.promoCode, { ref, email: rec.guestEmail, paymentId });
+  // add-on-only rentals just get the confirmation
+  messages.scheduleForBooking(rec, addOnsOnly ? { only: ["confirmation"] } : null);
+
+  sinks.enqueue(paymentId, {
+    paymentId, bookingRef: ref, ...stay, amountPaid, installment,
+    totalPaid: rec.amountPaid, state: rec.state,
+  });
+  runGuestMessages();
+  runSinks();
+  return { status: "ok", ref, state: rec.state };
+}
 
-    const nodeFetch = await import("node-fetch");
-    const fetchFn = nodeFetch.default;
-    const scriptRes = await fetchFn(gasUrl, {
-      method: "POST",
-      headers: { "Content-Type": "text/plain;charset=utf-8" },
-      body: JSON.stringify(payload),
-    });
-    const scriptData = await scriptRes.json().catch(function () { return {}; });
-    console.log("Apps Script response:", JSON.stringify(scriptData));
+// Records a payment the booking can't take, refunds it and tells the owner.
+// Safe to run again for the same payment: the refund goes out once.
+async function refuseBookingPayment(bk, pay, reason) {
+  let cur = bk;
+  if (!bookings.payments(cur).some((p) => p.paymentId === pay.paymentId)) {
+    const payments = bookings.payments(cur).concat([{ ...pay, paidAt: new Date().toISOString(), refused: reason }]);
+    cur = bookings.patch(cur.ref, { payments, amountPaid: round2(payments.reduce((sum, p) => sum + p.amount, 0)) });
+  }
+  const paid = bookings.payments(cur).filter((p) => p.paymentId === pay.paymentId);
+  const refunds = await refundPayments({ ...cur, payments: paid }, pay.amount, "refused-" + pay.paymentId, "Payment for " + cur.ref + " refused: " + reason);
+  const fresh = refunds.length > (cur.refunds || []).length;
+  bookings.patch(cur.ref, { refunds });
+  console.error("Payment " + pay.paymentId + " for " + cur.ref + " refused (" + reason + "), refunded $" + pay.amount.toFixed(2));
+  if (fresh) await alertOwner(cur, "Payment refunded: " + cur.ref,
+    "A payment of $" + pay.amount.toFixed(2) + " (" + pay.paymentId + ") came in for booking " + cur.ref + " (" + cur.checkin + " to " + cur.checkout + ", " + (cur.guestName || "guest") + ") " +
+    "but " + reason + ". It has been refunded in full and the nights were not held. Please check with the guest.");
+  return { status: "refused", ref: cur.ref, refunded: pay.amount, reason };
+}
+
+/* ── BOOKING SINKS: downstream copies of each confirmed booking ──
+   appsScript     GOOGLE_APPS_SCRIPT_URL (the original handoff, now optional)
+   bookingsSheet  BOOKINGS_SHEET_TAB, a tab in SHEET_ID for one row per payment
+   webhook        CONFIRMATION_WEBHOOK_URL, JSON POST signed with WEBHOOK_SECRET */
+async function postJson(url, body, headers) {
+  const fetchFn = (await import("node-fetch")).default;
+  const r = await fetchFn(url, { method: "POST", headers, body });
+  const data = await r.json().catch(function () { return {}; });
+  if (!r.ok || data.ok === false) throw new Error("HTTP " + r.status + " " + JSON.stringify(data).slice(0, 200));
+  return data;
+}
+
+sinks.register("appsScript", {
+  enabled: () => !!process.env.GOOGLE_APPS_SCRIPT_URL,
+  async send(p) {
+    const data = await postJson(process.env.GOOGLE_APPS_SCRIPT_URL,
+      JSON.stringify({ action: "squarePaymentConfirmed", secret: process.env.WEBHOOK_SECRET || "", ...p }),
+      { "Content-Type": "text/plain;charset=utf-8" });
+    console.log("Apps Script response:", JSON.stringify(data));
+  },
+});
+
+sinks.register("bookingsSheet", {
+  enabled: () => !!(process.env.BOOKINGS_SHEET_TAB && process.env.SHEET_ID && process.env.GOOGLE_SERVICE_ACCOUNT_JSON),
+  async send(p) {
+    await gvAppend(process.env.BOOKINGS_SHEET_TAB + "!A:M", [[
+      new Date().toISOString(), p.bookingRef, p.guestName, p.guestEmail, p.guestPhone,
+      p.checkin, p.checkout, p.guests, p.nights, p.amountPaid, p.installment, p.state, p.paymentId,
+    ]]);
+  },
+});
+
+sinks.register("webhook", {
+  enabled: () => !!process.env.CONFIRMATION_WEBHOOK_URL,
+  async send(p) {
+    const body = JSON.stringify({ type: "booking.confirmed", data: p });
+    const sig = crypto.createHmac("sha256", process.env.WEBHOOK_SECRET || "").update(body).digest("hex");
+    await postJson(process.env.CONFIRMATION_WEBHOOK_URL, body, { "Content-Type": "application/json", "X-CTE-Signature": sig });
+  },
+});
+
+function runSinks() {
+  return sinks.processDue(new Date()).catch((err) => {
+    console.error("Sink run failed:", err.message);
+    return [];
+  });
+}
+
+/* ── BOOKING SINKS (admin) ──
+   GET  /sinks/deliveries?status=dead_letter
+   POST /sinks/deliveries/:id/retry */
+app.get("/sinks/deliveries", (req, res) => {
+  if (!requireAdmin(req, res, "read")) return;
+  res.json({ enabled: sinks.enabledSinks(), deliveries: sinks.list({ status: safeString(req.query.status), sink: safeString(req.query.sink) }) });
+});
+
+app.post("/sinks/deliveries/:id/retry", handle(async (req, res) => {
+  if (!requireAdmin(req, res, "bookings")) return;
+  if (!sinks.retry(req.params.id)) return fail(res, 404, "NOT_FOUND", "No delivery " + req.params.id + ".");
+  res.json({ results: await runSinks() });
+}));
+
+app.post("/square-webhook", handle(async (req, res) => {
+  // ── Signature verification by the payment provider. Square checks only once
+  //    SQUARE_WEBHOOK_SIGNATURE_KEY and SQUARE_WEBHOOK_URL are both set
+  //    (recommended); until then events are accepted as before.
+  const raw = req.rawBody ? req.rawBody.toString("utf8") : JSON.stringify(req.body || {});
+  const sig = provider.verifyWebhook(raw, req.header("x-square-hmacsha256-signature") || "");
+  if (!sig.valid) return fail(res, 403, "INVALID_SIGNATURE", "Webhook signature doesn't match.");
+
+  // Persist first, then acknowledge: if the event can't be stored, a non-2xx
+  // makes Square deliver it again.
+  const event = req.body;
+  if (!event || !event.type) return fail(res, 400, "NOT_A_SQUARE_EVENT", "Not a Square event.");
+  let rec;
+  try {
+    rec = inbox.record(event, req.rawBody ? req.rawBody.toString("utf8") : "");
   } catch (err) {
-    console.error("Square webhook handler error:", err.message);
+    console.error("Could not store webhook event:", err.message);
+    return fail(res, 500, "STORE_FAILED", "Could not store the event.");
+  }
+  res.status(200).json({ ok: true, duplicate: rec.duplicate });
+  if (!rec.duplicate) runWebhookInbox();
+}));
+
+// Runs one stored event. Throwing makes the inbox retry it with backoff, so
+// every branch here must be safe to run twice.
+async function processWebhookEvent(event) {
+  // ── GIVEAWAY branch: completed giveaway payments get ticket numbers ──
+  if (event.type === "payment.updated" || event.type === "payment.created") {
+    const gp = event.data && event.data.object && event.data.object.payment;
+    if (gp && gp.status === "COMPLETED" && gp.order_id) {
+      const handled = await handleGiveawayWebhook(gp);
+      if (handled) return { handledBy: "giveaway" }; // giveaway payment done; don't run booking logic
+    }
+  }
+
+  // ── REFUND branch: keep the booking ledger in step with Square refunds ──
+  if (event.type === "refund.created" || event.type === "refund.updated") {
+    const rf = event.data && event.data.object && event.data.object.refund;
+    if (rf && rf.payment_id) await applyRefundEvent(rf);
+    return { handledBy: "refund" };
   }
+
+  // ── BOOKING branch: confirm the stay in-process ──
+  if (event.type !== "payment.completed") return { handledBy: "none" };
+  const payment = event.data && event.data.object && event.data.object.payment;
+  if (!payment) return { handledBy: "none" };
+  return { handledBy: "booking", ...(await confirmBookingPayment(payment)) };
+}
+
+function runWebhookInbox() {
+  return inbox.processDue(new Date(), processWebhookEvent).catch((err) => {
+    console.error("Webhook inbox run failed:", err.message);
+    return [];
+  });
+}
+
+/* ── WEBHOOK INBOX (admin) ──
+   GET  /webhook-events?status=failed&type=payment.completed&from=&to=   (from/to: ISO times)
+   GET  /webhook-events/:id
+   POST /webhook-events/:id/replay
+   POST /webhook-events/replay  { from, to, status, type }  → replays every match */
+app.get("/webhook-events", (req, res) => {
+  if (!requireAdmin(req, res, "read")) return;
+  if (!valid(req, res, "webhookEvents")) return;
+  const q = req.query;
+  const events = inbox.list({ status: safeString(q.status), type: safeString(q.type), from: safeString(q.from), to: safeString(q.to) });
+  res.json({ count: events.length, events: events.map(({ event, ...summary }) => summary) });
+});
+
+app.get("/webhook-events/:id", (req, res) => {
+  if (!requireAdmin(req, res, "read")) return;
+  const e = inbox.get(req.params.id);
+  if (!e) return fail(res, 404, "NOT_FOUND", "No webhook event " + req.params.id + ".");
+  res.json({ event: e });
+});
+
+app.post("/webhook-events/replay", handle(async (req, res) => {
+  if (!requireAdmin(req, res, "bookings")) return;
+  if (!valid(req, res, "webhookReplay")) return;
+  const { from, to, status, type } = req.body || {};
+  const matches = inbox.list({
+    status: safeString(status), type: safeString(type),
+    from: new Date(from).toISOString(), to: to ? new Date(to).toISOString() : "",
+  });
+  const queued = inbox.replay(matches.map((e) => e.id));
+  res.json({ queued: queued.length, results: await runWebhookInbox() });
+}));
+
+app.post("/webhook-events/:id/replay", handle(async (req, res) => {
+  if (!requireAdmin(req, res, "bookings")) return;
+  if (!inbox.replay([req.params.id]).length) return fail(res, 409, "NOT_REPLAYABLE", "Webhook event " + req.params.id + " wasn't found or is still processing.");
+  res.json({ results: await runWebhookInbox() });
+}));
+
+/* ── ADMIN ACCESS: who am I (any role; the dashboard uses this to sign in) ── */
+app.get("/admin/me", (req, res) => {
+  const admin = requireAdmin(req, res, "read");
+  if (!admin) return;
+  res.json({ admin, permissions: admins.ROLES[admin.role], campaigns: campaigns.list().map((c) => campaigns.publicView(c)) });
+});
+
+/* ── ADMIN ACCESS: tokens + audit log (owner) ──
+   Roles: owner (everything), giveaway-operator (giveaway tools + reads), read-only.
+   POST   /admin/tokens { name, role }  → the token, shown only this once
+   GET    /admin/tokens
+   DELETE /admin/tokens/:id             → revoke
+   GET    /admin/audit?actor=&from=&to=&limit=200 */
+app.post("/admin/tokens", (req, res) => {
+  const admin = requireAdmin(req, res, "admins");
+  if (!admin) return;
+  if (!valid(req, res, "adminToken")) return;
+  const { name, role } = req.body || {};
+  const r = admins.create({ name: safeString(name), role: safeString(role), createdBy: admin.name });
+  if (!r.ok) return fail(res, 400, "TOKEN_INVALID", r.error);
+  res.status(201).json({ token: r.token, admin: r.admin });
+});
+
+app.get("/admin/tokens", (req, res) => {
+  if (!requireAdmin(req, res, "admins")) return;
+  res.json({ roles: admins.ROLES, admins: admins.list() });
+});
+
+app.delete("/admin/tokens/:id", (req, res) => {
+  if (!requireAdmin(req, res, "admins")) return;
+  const t = admins.revoke(req.params.id);
+  if (!t) return fail(res, 404, "NOT_FOUND", "No admin token " + req.params.id + ".");
+  res.json({ admin: t });
 });
 
-app.listen(PORT, function () {
+app.get("/admin/audit", (req, res) => {
+  if (!requireAdmin(req, res, "admins")) return;
+  if (!valid(req, res, "audit")) return;
+  const q = req.query;
+  res.json({ entries: admins.auditLog({ actor: safeString(q.actor), from: safeString(q.from), to: safeString(q.to), limit: Math.min(parseInt(q.limit, 10) || 200, 1000) }) });
+});
+
+/* ── FAKE PAYMENTS: the checkout page when PAYMENT_PROVIDER=fake (dev mode, tests) ──
+   GET  /fake-pay/:id   stands in for Square's hosted checkout page
+   POST /fake-pay/:id   pays the link, delivers the signed webhooks to
+                        /square-webhook, then redirects like Square would
+                        (JSON with the payment and deliveries for API clients) */
+if (provider.name === "fake") {
+  app.get("/fake-pay/:id", (req, res) => {
+    const link = provider.getLink(req.params.id);
+    if (!link) return fail(res, 404, "NOT_FOUND", "No payment link " + req.params.id + ".");
+    const o = link.order;
+    const rows = o.lineItems.map((li) => "<tr><td>" + templates.escapeHtml(li.name) + "</td><td>$" + (li.basePriceMoney.amount / 100).toFixed(2) + "</td></tr>")
+      .concat(o.discounts.map((d) => "<tr><td>" + templates.escapeHtml(d.name) + "</td><td>-$" + (d.amountMoney.amount / 100).toFixed(2) + "</td></tr>"));
+    res.type("html").send(
+      "<!doctype html><meta charset='utf-8'><title>Fake checkout</title>" +
+      "<div style='font-family:Arial,sans-serif;font-size:14px;max-width:520px;color:#26333f'>" +
+      "<h2>Fake checkout (no money moves)</h2><p>" + templates.escapeHtml(o.referenceId) + "</p>" +
+      "<table>" + rows.join("") + "<tr><td><b>Total</b></td><td><b>$" + (o.totalMoney.amount / 100).toFixed(2) + "</b></td></tr></table>" +
+      (link.status === "paid" ? "<p>Paid.</p>" : "<form method='post'><button type='submit'>Pay</button></form>") + "</div>");
+  });
+
+  app.post("/fake-pay/:id", handle(async (req, res) => {
+    const r = provider.pay(req.params.id);
+    if (!r) return fail(res, 404, "NOT_FOUND", "No payment link " + req.params.id + ".");
+    const deliveries = await provider.deliver(r.events);
+    if (req.accepts(["html", "json"]) === "json") return res.json({ ok: true, payment: r.payment, deliveries });
+    res.redirect(303, r.redirectUrl || "/fake-pay/" + req.params.id);
+  }));
+}
+
+/* ── ERRORS: unknown routes, bad JSON and anything a route threw ── */
+app.use((req, res) => fail(res, 404, "NOT_FOUND", "No route for " + req.method + " " + req.path + "."));
+
+// (four arguments is how Express tells an error handler apart)
+app.use((err, req, res, _next) => {
+  const e = errors.fromError(err);
+  if (e.status >= 500) console.error("Unhandled error on " + req.method + " " + req.path + ":", (err && err.stack) || err);
+  if (res.headersSent) return;
+  res.status(e.status).json(e.body);
+});
+
+// `node server.js` serves; require("./server") (the tests) just gets the app
+// and the pricing builders, with no port or timers.
+if (require.main === module) app.listen(PORT, function () {
   console.log("CTE backend listening on port " + PORT);
+  if (icalFeeds().length) {
+    const minutes = Math.max(parseInt(process.env.ICAL_SYNC_MINUTES, 10) || 30, 5);
+    const run = () => syncIcalFeeds().then((r) => console.log("iCal sync:", JSON.stringify(r)));
+    run();
+    setInterval(run, minutes * 60 * 1000);
+  }
+  runGuestMessages();
+  setInterval(runGuestMessages, 5 * 60 * 1000);
+  runSinks();
+  setInterval(runSinks, 60 * 1000);
+  const recovered = inbox.recoverInterrupted();
+  if (recovered) console.log("Webhook inbox: re-queued " + recovered + " interrupted event(s)");
+  runWebhookInbox();
+  setInterval(runWebhookInbox, 30 * 1000);
+  setInterval(gvMirrorAll, 5 * 60 * 1000);
+  // each booking's "today" is read in its own property's timezone
+  setInterval(() => {
+    const moved = bookings.advanceByDate(todayAt);
+    if (moved.length) console.log("Booking states advanced:", JSON.stringify(moved));
+    sendDueBalanceLinks(todayAt);
+  }, 60 * 60 * 1000);
 });
+
+module.exports = { app, computeBooking, buildLineItems, buildOrderNote, breakdownLines, sendDueBalanceLinks };
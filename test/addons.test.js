@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { load, until, json, paidStay } = require("./helpers");
+const { listen } = load();
+
+const addons = require("../lib/addons");
+const bookings = require("../lib/bookings");
+
+const ADMIN = { "x-admin-key": "test-admin-key" };
+
+let srv;
+test.before(async () => { srv = await listen(); });
+test.after(() => srv.close());
+
+const quote = (body) => json(srv.url + "/quote", { body: { guests: 2, ...body } });
+
+test("every stay holding an add-on counts against its inventory", () => {
+  const stays = [
+    { checkin: "2027-03-01", checkout: "2027-03-04", addOns: [{ id: "beach-setup", quantity: 3 }] },
+    { checkin: "2027-03-03", checkout: "2027-03-06", addOns: [{ id: "beach-setup", quantity: 2 }, { id: "bikes", quantity: 6 }] },
+  ];
+  // 6 setups: 3 + 2 are out on the 3rd, one is left
+  assert.deepStrictEqual(addons.shortages([{ id: "beach-setup", quantity: 1 }], "2027-03-03", "2027-03-04", stays), []);
+  assert.deepStrictEqual(addons.shortages([{ id: "beach-setup", quantity: 2 }], "2027-03-02", "2027-03-05", stays), [
+    { id: "beach-setup", label: "Beach Chairs & Umbrella Setup", date: "2027-03-03", left: 1 },
+  ]);
+  // the checkout day isn't a night
+  assert.deepStrictEqual(addons.shortages([{ id: "bikes", quantity: 1 }], "2027-03-06", "2027-03-08", stays), []);
+  assert.deepStrictEqual(addons.shortages([{ id: "bikes", quantity: 1 }], "2027-03-05", "2027-03-06", stays).map((s) => s.left), [0]);
+
+  // early check-in is held on the check-in day only
+  const early = [{ checkin: "2027-03-10", checkout: "2027-03-12", addOns: [{ id: "early-checkin", quantity: 1 }] }];
+  assert.deepStrictEqual(addons.shortages([{ id: "early-checkin", quantity: 1 }], "2027-03-11", "2027-03-13", early), []);
+  assert.strictEqual(addons.shortages([{ id: "early-checkin", quantity: 1 }], "2027-03-10", "2027-03-11", early).length, 1);
+});
+
+test("a sold-out add-on is refused until the stay holding it is cancelled", async () => {
+  const holder = await paidStay(srv.url, { checkin: "2027-08-09", checkout: "2027-08-12", addOns: { "golf-cart": 1 } });
+  const cart = { addOnsOnly: true, checkin: "2027-08-10", checkout: "2027-08-12", addOns: { "golf-cart": 1 } };
+
+  const sold = await quote(cart);
+  assert.strictEqual(sold.status, 409);
+  assert.strictEqual(sold.body.code, "ADD_ON_UNAVAILABLE");
+  assert.strictEqual(sold.body.error, "Sorry, 6-Seater Golf Cart Rental is unavailable on 2027-08-10, 2027-08-11.");
+  const co = await json(srv.url + "/create-checkout", { body: { guests: 2, guestEmail: "cart@example.com", ...cart } });
+  assert.strictEqual(co.status, 409);
+  // other add-ons on those dates are still there
+  assert.strictEqual((await quote({ ...cart, addOns: { bikes: 2 } })).status, 200);
+
+  const r = await json(srv.url + "/bookings/" + holder.ref + "/cancel", { headers: ADMIN, body: {} });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  assert.ok(await until(() => bookings.get(holder.ref).state === "refunded"));
+  const free = await quote(cart);
+  assert.strictEqual(free.status, 200, JSON.stringify(free.body));
+});
+
+test("an unpaid booking doesn't hold an add-on", async () => {
+  const first = await json(srv.url + "/create-checkout", { body: { guests: 2, guestEmail: "first@example.com", checkin: "2027-08-23", checkout: "2027-08-26", addOns: { "golf-cart": 1 } } });
+  assert.strictEqual(first.status, 200, JSON.stringify(first.body));
+  assert.strictEqual((await quote({ addOnsOnly: true, checkin: "2027-08-24", checkout: "2027-08-25", addOns: { "golf-cart": 1 } })).status, 200);
+});
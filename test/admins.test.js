@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { load, json } = require("./helpers");
+const { listen } = load();
+
+const admins = require("../lib/admins");
+const store = require("../lib/store");
+
+const OWNER = { "x-admin-key": "test-admin-key" };
+const bearer = (token) => ({ authorization: "Bearer " + token });
+
+let srv;
+test.before(async () => { srv = await listen(); });
+test.after(() => srv.close());
+
+async function token(name, role) {
+  const r = await json(srv.url + "/admin/tokens", { headers: OWNER, body: { name, role } });
+  assert.strictEqual(r.status, 201, JSON.stringify(r.body));
+  return r.body;
+}
+
+test("each role can do what it lists and nothing else", () => {
+  assert.ok(["read", "bookings", "giveaway", "settings", "admins"].every((p) => admins.can("owner", p)));
+  assert.ok(admins.can("giveaway-operator", "giveaway"));
+  assert.ok(admins.can("giveaway-operator", "read"));
+  assert.ok(!admins.can("giveaway-operator", "bookings"));
+  assert.ok(!admins.can("giveaway-operator", "admins"));
+  assert.ok(admins.can("read-only", "read"));
+  assert.ok(!admins.can("read-only", "giveaway"));
+  assert.ok(!admins.can("nobody", "read"), "an unknown role can do nothing");
+});
+
+test("tokens identify their admin until revoked", async () => {
+  const { token: t, admin } = await token("Gale Operator", "giveaway-operator");
+  assert.match(t, /^cte_[0-9a-f]+\./);
+  const req = (headers) => ({ header: (h) => headers[h] });
+  assert.deepStrictEqual(admins.identify(req({ authorization: "Bearer " + t })), { id: admin.id, name: "Gale Operator", role: "giveaway-operator" });
+  assert.deepStrictEqual(admins.identify(req({ "x-admin-key": "test-admin-key" })), { id: "env", name: "GIVEAWAY_ADMIN_KEY", role: "owner" });
+  assert.strictEqual(admins.identify(req({ "x-admin-key": "wrong" })), null);
+  assert.strictEqual(admins.identify(req({ authorization: "Bearer " + t.slice(0, -1) + (t.endsWith("A") ? "B" : "A") })), null);
+  assert.strictEqual(admins.identify(req({})), null);
+  assert.ok(!JSON.stringify(store.load("admin-tokens", {})).includes(t.split(".")[1]), "only a hash of the secret is stored");
+
+  assert.strictEqual((await json(srv.url + "/giveaway/tigers-2026/draws", { headers: bearer(t) })).status, 200);
+  const denied = await json(srv.url + "/availability/blocks", { headers: bearer(t), body: { start: "2027-03-01", end: "2027-03-02" } });
+  assert.strictEqual(denied.status, 403);
+  assert.deepStrictEqual([denied.body.code, denied.body.role, denied.body.needs], ["FORBIDDEN", "giveaway-operator", "bookings"]);
+
+  const gone = await json(srv.url + "/admin/tokens/" + admin.id, { method: "DELETE", headers: OWNER });
+  assert.strictEqual(gone.status, 200);
+  assert.ok(gone.body.admin.revokedAt);
+  assert.strictEqual(admins.identify(req({ authorization: "Bearer " + t })), null);
+  assert.strictEqual((await json(srv.url + "/giveaway/tigers-2026/draws", { headers: bearer(t) })).status, 401);
+});
+
+test("every admin request is audited, allowed or not, one line each", async () => {
+  const { token: t } = await token("Rhea Reader", "read-only");
+  const before = store.readLines("admin-audit").length;
+  assert.strictEqual((await json(srv.url + "/bookings", { headers: bearer(t) })).status, 200);
+  assert.strictEqual((await json(srv.url + "/availability/blocks", { headers: bearer(t), body: { start: "2027-03-01", end: "2027-03-02" } })).status, 403);
+  assert.strictEqual((await json(srv.url + "/promos")).status, 401);
+
+  const lines = fs.readFileSync(path.join(store.dataDir(), "admin-audit.jsonl"), "utf8").trim().split("\n");
+  assert.strictEqual(lines.length, before + 3);
+  const fresh = lines.slice(-3).map((l) => JSON.parse(l));
+  assert.deepStrictEqual(fresh.map((e) => [e.actor, e.role, e.action, e.permission, e.status]), [
+    ["Rhea Reader", "read-only", "GET /bookings", "read", 200],
+    ["Rhea Reader", "read-only", "POST /availability/blocks", "bookings", 403],
+    ["anonymous", "", "GET /promos", "read", 401],
+  ]);
+
+  const r = await json(srv.url + "/admin/audit?actor=" + encodeURIComponent("Rhea Reader"), { headers: OWNER });
+  assert.strictEqual(r.status, 200);
+  assert.deepStrictEqual(r.body.entries.map((e) => e.action), ["POST /availability/blocks", "GET /bookings"], "newest first");
+});
+
+test("the audit log still lists entries from before it was append-only", () => {
+  store.save("admin-audit", [{ at: "2020-01-01T00:00:00.000Z", actor: "Old Owner", action: "GET /bookings", status: 200 }]);
+  try {
+    const old = admins.auditLog({ actor: "Old Owner" });
+    assert.deepStrictEqual(old.map((e) => e.at), ["2020-01-01T00:00:00.000Z"]);
+    assert.strictEqual(admins.auditLog().at(-1).actor, "Old Owner", "oldest last");
+  } finally {
+    fs.rmSync(path.join(store.dataDir(), "admin-audit.json"));
+  }
+});
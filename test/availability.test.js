@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { load, until, json, paidStay } = require("./helpers");
+const { listen, mail } = load();
+
+const fake = require("../lib/fake-payments");
+const bookings = require("../lib/bookings");
+const availability = require("../lib/availability");
+
+const ADMIN = { "x-admin-key": "test-admin-key" };
+
+let srv;
+test.before(async () => { srv = await listen(); });
+test.after(() => srv.close());
+
+const checkout = (body) => json(srv.url + "/create-checkout", { body: { guests: 2, guestEmail: "guest@example.com", ...body } });
+const holder = (night) => availability.list().filter((e) => e.start <= night && night < e.end).map((e) => e.ref || e.id);
+
+test("when two guests pay for the same nights the second is refunded and the owner told", async () => {
+  const stay = { checkin: "2027-04-05", checkout: "2027-04-08" };
+  const first = await checkout({ ...stay, guestEmail: "first@example.com" });
+  const second = await checkout({ ...stay, guestEmail: "second@example.com" });
+  assert.strictEqual(first.status, 200, JSON.stringify(first.body));
+  assert.strictEqual(second.status, 200, "a link doesn't hold the nights");
+
+  await fake.deliver(fake.pay(first.body.paymentLinkId).events);
+  await until(() => bookings.get(first.body.bookingRef).state === "paid");
+  await fake.deliver(fake.pay(second.body.paymentLinkId).events);
+  const late = await until(() => { const b = bookings.get(second.body.bookingRef); return b.state === "refunded" && b; });
+
+  assert.ok(late, "second payment refunded");
+  assert.match(bookings.payments(late)[0].refused, /booked in the meantime \(2027-04-05, 2027-04-06, 2027-04-07\)/);
+  assert.deepStrictEqual(late.refunds.map((r) => r.amount), [late.pricing.total]);
+  assert.deepStrictEqual(holder("2027-04-06"), [first.body.bookingRef]);
+  assert.strictEqual(bookings.get(first.body.bookingRef).state, "paid");
+  assert.ok(mail.some((m) => m.to === "owner@example.com" && m.subject === "Payment refunded: " + late.ref));
+});
+
+test("a balance payment isn't refused over the nights its own deposit holds", async () => {
+  const bk = await paidStay(srv.url, { checkin: "2027-10-18", checkout: "2027-10-22", paymentSchedule: "deposit" }, "deposit_paid");
+  const link = await json(srv.url + "/bookings/" + bk.ref + "/balance-link", { headers: ADMIN, body: {} });
+  await fake.deliver(fake.pay(link.body.link.id).events);
+  const paid = await until(() => { const b = bookings.get(bk.ref); return b.state === "paid" && b; });
+  assert.ok(paid, "balance recorded");
+  assert.strictEqual(paid.amountPaid, paid.pricing.total);
+});
+
+test("only owner blocks can be deleted from the calendar", async () => {
+  const bk = await paidStay(srv.url, { checkin: "2027-04-19", checkout: "2027-04-22" });
+  const entry = availability.list().find((e) => e.ref === bk.ref);
+  const r = await json(srv.url + "/availability/blocks/" + entry.id, { method: "DELETE", headers: ADMIN });
+  assert.strictEqual(r.status, 409);
+  assert.strictEqual(r.body.code, "NOT_A_BLOCK");
+  assert.deepStrictEqual(holder("2027-04-20"), [bk.ref]);
+
+  availability.syncImported("airbnb", [{ uid: "abc@airbnb", start: "2027-05-01", end: "2027-05-03", summary: "Reserved" }]);
+  const imported = availability.list().find((e) => e.uid === "abc@airbnb");
+  assert.strictEqual((await json(srv.url + "/availability/blocks/" + imported.id, { method: "DELETE", headers: ADMIN })).status, 409);
+
+  const made = await json(srv.url + "/availability/blocks", { headers: ADMIN, body: { start: "2027-05-10", end: "2027-05-12", note: "painting" } });
+  assert.strictEqual(made.status, 200, JSON.stringify(made.body));
+  const gone = await json(srv.url + "/availability/blocks/" + made.body.block.id, { method: "DELETE", headers: ADMIN });
+  assert.strictEqual(gone.status, 200);
+  assert.strictEqual(gone.body.removed.id, made.body.block.id);
+  assert.deepStrictEqual(holder("2027-05-10"), []);
+});
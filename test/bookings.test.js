@@ -0,0 +1,127 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { load, until, json, paidStay } = require("./helpers");
+const { listen, mail } = load();
+
+const bookings = require("../lib/bookings");
+const messages = require("../lib/messages");
+const promos = require("../lib/promos");
+const availability = require("../lib/availability");
+const fake = require("../lib/fake-payments");
+
+const ADMIN = { "x-admin-key": "test-admin-key" };
+
+let srv;
+test.before(async () => { srv = await listen(); });
+test.after(() => srv.close());
+
+const admin = (path, body) => json(srv.url + path, { headers: ADMIN, body });
+const pending = (ref) => messages.list({ ref, status: "pending" });
+const holds = (ref) => availability.list().some((e) => e.kind === "booking" && e.ref === ref);
+const redeemed = (code, ref) => (promos.get(code).redemptions || []).some((r) => r.ref === ref);
+
+test("a paid stay can't be cancelled through the status route", async () => {
+  const bk = await paidStay(srv.url, { checkin: "2027-06-07", checkout: "2027-06-10" });
+  const r = await admin("/bookings/" + bk.ref + "/status", { state: "cancelled" });
+  assert.strictEqual(r.status, 409);
+  assert.strictEqual(r.body.code, "USE_CANCEL");
+  assert.strictEqual(bookings.get(bk.ref).state, "paid");
+  assert.ok(pending(bk.ref).length, "messages still queued");
+});
+
+test("cancelling a paid stay frees its nights, messages and promo use", async () => {
+  const bk = await paidStay(srv.url, { checkin: "2027-06-14", checkout: "2027-06-17", promoCode: "WELCOME25" });
+  assert.ok(redeemed("WELCOME25", bk.ref));
+  assert.ok(pending(bk.ref).length);
+  assert.ok(holds(bk.ref), "nights held");
+
+  const r = await admin("/bookings/" + bk.ref + "/cancel", { reason: "test", amount: 0 });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  assert.strictEqual(bookings.get(bk.ref).state, "cancelled");
+  assert.strictEqual(redeemed("WELCOME25", bk.ref), false);
+  assert.deepStrictEqual(pending(bk.ref), []);
+  assert.strictEqual(holds(bk.ref), false);
+});
+
+test("staff can still cancel an unpaid hold through the status route", async () => {
+  const co = await json(srv.url + "/create-checkout", { body: { checkin: "2027-06-21", checkout: "2027-06-24", guests: 2 } });
+  assert.strictEqual(co.status, 200, JSON.stringify(co.body));
+  const r = await admin("/bookings/" + co.body.bookingRef + "/status", { state: "cancelled", note: "never paid" });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  assert.strictEqual(r.body.booking.state, "cancelled");
+});
+
+test("the ledger follows a stay from quote to checkout", async () => {
+  const bk = await paidStay(srv.url, { checkin: "2027-07-05", checkout: "2027-07-08" });
+  assert.deepStrictEqual(bk.history.map((h) => h.to), ["quoted", "link_created", "paid"]);
+  assert.strictEqual(bk.amountPaid, bk.pricing.total);
+
+  assert.deepStrictEqual(bookings.advanceByDate("2027-07-04").filter((m) => m.ref === bk.ref), []);
+  assert.deepStrictEqual(bookings.advanceByDate("2027-07-05").filter((m) => m.ref === bk.ref), [{ ref: bk.ref, to: "checked_in" }]);
+  assert.deepStrictEqual(bookings.advanceByDate("2027-07-08").filter((m) => m.ref === bk.ref), [{ ref: bk.ref, to: "completed" }]);
+  assert.strictEqual(bookings.get(bk.ref).state, "completed");
+});
+
+test("a booking can't skip a state, move backwards or leave refunded", async () => {
+  const bk = await paidStay(srv.url, { checkin: "2027-07-12", checkout: "2027-07-15" });
+  const r = await admin("/bookings/" + bk.ref + "/status", { state: "completed" });
+  assert.strictEqual(r.status, 409);
+  assert.strictEqual(r.body.code, "BOOKING_STATE");
+  assert.strictEqual(bookings.get(bk.ref).state, "paid");
+  assert.strictEqual(bookings.transition(bk.ref, "quoted").ok, false);
+
+  assert.strictEqual(bookings.transition(bk.ref, "refunded", null, "test").ok, true);
+  for (const state of bookings.STATES) assert.strictEqual(bookings.canTransition("refunded", state), false);
+  assert.strictEqual(bookings.transition(bk.ref, "paid").ok, false);
+  assert.strictEqual(bookings.transition(bk.ref, "nowhere").ok, false);
+});
+
+test("a payment landing after the hold was cancelled is refunded and holds nothing", async () => {
+  const co = await json(srv.url + "/create-checkout", { body: { checkin: "2027-07-19", checkout: "2027-07-22", guests: 2, guestEmail: "late@example.com" } });
+  assert.strictEqual(co.status, 200, JSON.stringify(co.body));
+  // the guest pays just as staff cancel; Square's webhook arrives after
+  const paid = fake.pay(co.body.paymentLinkId);
+  const r = await admin("/bookings/" + co.body.bookingRef + "/status", { state: "cancelled", note: "no show" });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  assert.strictEqual(fake.getLink(co.body.paymentLinkId), null, "checkout link deactivated");
+  await fake.deliver(paid.events);
+
+  const bk = await until(() => { const b = bookings.get(co.body.bookingRef); return b.state === "refunded" && b; });
+  assert.ok(bk, "refund settled");
+  assert.deepStrictEqual(bookings.payments(bk).map((p) => [p.paymentId, p.amount]), [[paid.payment.id, bk.pricing.total]]);
+  assert.match(bookings.payments(bk)[0].refused, /cancelled/);
+  assert.deepStrictEqual(bk.refunds.map((x) => [x.amount, x.status]), [[bk.pricing.total, "COMPLETED"]]);
+  assert.strictEqual(holds(bk.ref), false);
+  assert.deepStrictEqual(pending(bk.ref), []);
+  assert.ok(mail.some((m) => m.to === "owner@example.com" && m.subject === "Payment refunded: " + bk.ref), "owner alerted");
+  const again = await json(srv.url + "/quote", { body: { checkin: "2027-07-19", checkout: "2027-07-22", guests: 2 } });
+  assert.strictEqual(again.status, 200, "the nights are free");
+});
+
+test("cancelling a deposit booking deactivates its balance link", async () => {
+  const bk = await paidStay(srv.url, { checkin: "2027-09-20", checkout: "2027-09-24", paymentSchedule: "deposit" }, "deposit_paid");
+  const link = await admin("/bookings/" + bk.ref + "/balance-link", {});
+  assert.strictEqual(link.status, 200, JSON.stringify(link.body));
+  assert.ok(fake.getLink(link.body.link.id));
+  const r = await admin("/bookings/" + bk.ref + "/cancel", { amount: 0 });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  assert.strictEqual(fake.getLink(link.body.link.id), null);
+});
+
+test("an unexpected error answers with a generic message, not its own", async () => {
+  const real = fake.createPaymentLink;
+  fake.createPaymentLink = async () => { throw new Error("ENOENT: /srv/cte/secrets/square.json"); };
+  const logged = [];
+  const log = console.error;
+  console.error = (...args) => logged.push(args.join(" "));
+  try {
+    const r = await json(srv.url + "/create-checkout", { body: { guests: 2, guestEmail: "oops@example.com", checkin: "2027-12-13", checkout: "2027-12-16" } });
+    assert.strictEqual(r.status, 500);
+    assert.strictEqual(r.body.code, "INTERNAL_ERROR");
+    assert.doesNotMatch(r.body.error, /ENOENT|secrets/);
+  } finally {
+    fake.createPaymentLink = real;
+    console.error = log;
+  }
+  assert.ok(logged.some((l) => l.includes("/srv/cte/secrets/square.json")), "the detail is logged");
+});
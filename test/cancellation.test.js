@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { load, until, json, paidStay } = require("./helpers");
+const { server, listen, mail } = load();
+
+const cancellation = require("../lib/cancellation");
+const bookings = require("../lib/bookings");
+const { parseDate } = require("../lib/dates");
+
+const ADMIN = { "x-admin-key": "test-admin-key" };
+
+let srv;
+test.before(async () => { srv = await listen(); });
+test.after(() => srv.close());
+
+const cancel = (ref, body) => json(srv.url + "/bookings/" + ref + "/cancel", { headers: ADMIN, body: body || {} });
+
+test("the cancellation email escapes what the guest typed and carries the property's name", async () => {
+  const bk = await paidStay(srv.url, { checkin: "2027-08-02", checkout: "2027-08-05", guestName: "<b>Pat</b> & Co", guestEmail: "escape@example.com" });
+  const r = await cancel(bk.ref, { amount: 0 });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  const m = mail.find((x) => x.to === "escape@example.com" && /cancelled/.test(x.subject));
+  assert.ok(m, "cancellation email sent");
+  assert.doesNotMatch(m.html, /<b>Pat/);
+  assert.match(m.html, /&lt;b&gt;Pat&lt;\/b&gt;/);
+  assert.match(m.from, /^Coastal Tide Escapes </);
+  assert.match(m.html, /Coastal Tide Escapes &middot; Panama City Beach, FL/);
+  assert.match(m.html, /not eligible for a refund/);
+});
+
+// A Monday-to-Thursday stay quoted well ahead; days out are counted to check-in.
+const stay = server.computeBooking({ checkin: "2027-03-01", checkout: "2027-03-04", guests: 2 }, { today: "2026-12-01" }).booking;
+const refundAt = (today, opts) => cancellation.quoteRefund(stay, parseDate(today), opts);
+const pct = (q, item) => q.lines.find((l) => l.item === item).pct;
+
+test("lodging is refunded by how far out the guest cancels; the cleaning fee in full", () => {
+  const cases = [
+    ["2027-01-29", 31, 100], ["2027-01-30", 30, 50],
+    ["2027-02-15", 14, 50], ["2027-02-16", 13, 0],
+  ];
+  for (const [today, daysOut, lodging] of cases) {
+    const q = refundAt(today);
+    assert.strictEqual(q.daysOut, daysOut, today);
+    assert.strictEqual(pct(q, "lodging"), lodging, today);
+    assert.strictEqual(pct(q, "cleaning"), 100, today);
+    const sum = q.lines.reduce((n, l) => n + l.refund, 0);
+    assert.strictEqual(q.refundable, Math.round(sum * 100) / 100);
+  }
+  assert.strictEqual(refundAt("2027-01-01").refundable, stay.total, "everything back, far out");
+  // once the stay has started the cleaning fee is spent too
+  assert.strictEqual(refundAt("2027-03-02").refundable, 0);
+});
+
+test("a refund never goes past what was paid less what's been given back", () => {
+  const full = refundAt("2027-01-01");
+  assert.strictEqual(refundAt("2027-01-01", { amountPaid: stay.total, alreadyRefunded: 100 }).refundable, Math.round((full.refundable - 100) * 100) / 100);
+  assert.strictEqual(refundAt("2027-01-01", { amountPaid: stay.total, alreadyRefunded: stay.total }).refundable, 0);
+  assert.strictEqual(refundAt("2027-01-01", { amountPaid: 50 }).refundable, 50);
+});
+
+test("cancelling far out refunds the policy amount and settles as refunded", async () => {
+  const bk = await paidStay(srv.url, { checkin: "2027-08-09", checkout: "2027-08-12" });
+  const dry = await cancel(bk.ref, { dryRun: true });
+  assert.strictEqual(dry.status, 200, JSON.stringify(dry.body));
+  assert.strictEqual(dry.body.refundAmount, bk.pricing.total);
+  assert.strictEqual(bookings.get(bk.ref).state, "paid", "a dry run changes nothing");
+
+  const r = await cancel(bk.ref, { reason: "plans changed" });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  assert.strictEqual(r.body.refundAmount, bk.pricing.total);
+  const done = await until(() => { const b = bookings.get(bk.ref); return b.state === "refunded" && b; });
+  assert.ok(done, "refund webhook settled the booking");
+  assert.strictEqual(done.refunds.reduce((n, x) => n + x.amount, 0), bk.pricing.total);
+  assert.ok(done.refunds.every((x) => x.status === "COMPLETED"));
+});
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { load, until } = require("./helpers");
+const { server, listen } = load();
+
+const dates = require("../lib/dates");
+const messages = require("../lib/messages");
+const feeModel = require("../lib/fees");
+const fake = require("../lib/fake-payments");
+const bookings = require("../lib/bookings");
+
+// The server's own TZ must not change a single answer: each check runs under
+// zones either side of the property's, including ones whose DST runs opposite.
+const ZONES = ["UTC", "America/Chicago", "America/Los_Angeles", "Europe/London", "Asia/Kolkata", "Pacific/Auckland", "Pacific/Kiritimati"];
+const SERVER_TZ = process.env.TZ;
+
+function eachZone(name, fn) {
+  for (const tz of ZONES) {
+    test(name + " (TZ=" + tz + ")", async () => {
+      process.env.TZ = tz;
+      try { await fn(tz); } finally { if (SERVER_TZ === undefined) delete process.env.TZ; else process.env.TZ = SERVER_TZ; }
+    });
+  }
+}
+
+const quote = (input) => server.computeBooking({ guests: 2, ...input }, { today: "2026-01-15" });
+
+// Stays across Chicago's DST changes and across other zones' changes.
+const STAYS = [
+  { checkin: "2026-03-06", checkout: "2026-03-10" },
+  { checkin: "2026-10-29", checkout: "2026-11-08" },
+  { checkin: "2026-03-27", checkout: "2026-04-01" },
+  { checkin: "2027-04-01", checkout: "2027-04-06", ratePlan: "floridarentals" },
+  { checkin: "2026-12-30", checkout: "2027-01-02", promoCode: "MILITARY10" },
+];
+process.env.TZ = "UTC";
+const expected = STAYS.map(quote);
+process.env.TZ = SERVER_TZ;
+
+eachZone("a stay across a DST change is every calendar night once", () => {
+  assert.deepStrictEqual(dates.stayNights("2026-03-07", "2026-03-10"), ["2026-03-07", "2026-03-08", "2026-03-09"]);
+  assert.deepStrictEqual(dates.stayNights("2026-10-31", "2026-11-03"), ["2026-10-31", "2026-11-01", "2026-11-02"]);
+  assert.strictEqual(dates.nightsBetween(dates.parseDate("2026-03-01"), dates.parseDate("2026-04-01")), 31);
+  assert.strictEqual(dates.weekday(dates.parseDate("2026-03-08")), 0); // a Sunday everywhere
+});
+
+eachZone("quotes come out the same", () => {
+  STAYS.forEach((s, i) => assert.deepStrictEqual(quote(s), expected[i], JSON.stringify(s)));
+});
+
+eachZone("today and timestamps are read on the property's calendar", () => {
+  // 9pm Jan 31 in Chicago is already Feb 1 in UTC
+  assert.strictEqual(dates.dateIn("2026-02-01T03:00:00Z", "America/Chicago"), "2026-01-31");
+  assert.strictEqual(dates.dateIn("2026-02-01T06:00:00Z", "America/Chicago"), "2026-02-01");
+  assert.strictEqual(dates.plainDate("2026-06-10T03:00:00Z", "America/Chicago"), "2026-06-09");
+  assert.strictEqual(dates.plainDate("2026-06-10T03:00:00-05:00", "America/Chicago"), "2026-06-10");
+  assert.strictEqual(dates.plainDate("2026-06-10", "America/Chicago"), "2026-06-10");
+  assert.strictEqual(dates.plainDate("2026-02-30", "America/Chicago"), "");
+  assert.strictEqual(dates.plainDate("next week", "America/Chicago"), "");
+});
+
+eachZone("send times are hours at the property", () => {
+  assert.strictEqual(dates.zonedTime("2026-03-07", 10, "America/Chicago").toISOString(), "2026-03-07T16:00:00.000Z"); // CST
+  assert.strictEqual(dates.zonedTime("2026-03-08", 10, "America/Chicago").toISOString(), "2026-03-08T15:00:00.000Z"); // CDT from 2am
+  assert.strictEqual(dates.zonedTime("2026-11-01", 10, "America/Chicago").toISOString(), "2026-11-01T16:00:00.000Z"); // CST from 2am
+  assert.strictEqual(dates.zonedTime("2026-07-01", 17, "America/Chicago").toISOString(), "2026-07-01T22:00:00.000Z");
+});
+
+eachZone("guest messages are queued for 10am and 5pm in Chicago", (tz) => {
+  const added = messages.scheduleForBooking({ ref: "CTE-TZ-" + tz, checkin: "2026-03-10", checkout: "2026-11-02" }, { now: new Date("2026-01-15T12:00:00Z") });
+  const at = Object.fromEntries(added.map((m) => [m.kind, m.sendAt]));
+  assert.strictEqual(at.pre_arrival, "2026-03-07T16:00:00.000Z");
+  assert.strictEqual(at.checkout_reminder, "2026-11-01T23:00:00.000Z");
+  assert.strictEqual(at.review_request, "2026-11-03T16:00:00.000Z");
+});
+
+eachZone("the tax report puts a late-evening payment in its local month", () => {
+  const p = quote(STAYS[0]).booking;
+  const stays = [{ ref: "CTE-TAX", timezone: "America/Chicago", pricing: p, payments: [{ amount: p.total, paidAt: "2026-02-01T03:00:00Z" }], refunds: [] }];
+  assert.strictEqual(feeModel.report(stays, "2026-01").details.length, 1);
+  assert.strictEqual(feeModel.report(stays, "2026-02").details.length, 0);
+});
+
+eachZone("the tax report reads each stay's month in its own property's timezone", () => {
+  const p = quote(STAYS[0]).booking;
+  const paidAt = "2026-02-01T07:00:00Z"; // 1am Feb 1 in Chicago, 11pm Jan 31 in Los Angeles
+  const stays = [
+    { ref: "CTE-TAX-CHI", timezone: "America/Chicago", pricing: p, payments: [{ amount: p.total, paidAt }], refunds: [] },
+    { ref: "CTE-TAX-LAX", timezone: "America/Los_Angeles", pricing: p, payments: [{ amount: p.total, paidAt }], refunds: [] },
+  ];
+  assert.deepStrictEqual(feeModel.report(stays, "2026-01").details.map((d) => d.ref), ["CTE-TAX-LAX"]);
+  assert.deepStrictEqual(feeModel.report(stays, "2026-02").details.map((d) => d.ref), ["CTE-TAX-CHI"]);
+});
+
+test("webhook stay dates sent as timestamps are stored as the property's dates", async () => {
+  const srv = await listen();
+  try {
+    process.env.TZ = "Asia/Kolkata";
+    const link = await fake.createPaymentLink({
+      order: {
+        referenceId: "CTE-TZWEBHOOK",
+        lineItems: [{ name: "Stay", quantity: "1", basePriceMoney: { amount: 100000, currency: "USD" } }],
+        // midnight CDT, which is already the next morning in Kolkata and 5am in UTC
+        metadata: { bookingRef: "CTE-TZWEBHOOK", checkin: "2027-05-10T05:00:00Z", checkout: "2027-05-14T05:00:00Z", guests: "2", nights: "4", installment: "full" },
+      },
+    });
+    await fake.deliver(fake.pay(link.id).events);
+    const b = await until(() => bookings.get("CTE-TZWEBHOOK"));
+    assert.ok(b, "booking recorded");
+    assert.strictEqual(b.checkin, "2027-05-10");
+    assert.strictEqual(b.checkout, "2027-05-14");
+  } finally {
+    process.env.TZ = SERVER_TZ;
+    await srv.close();
+  }
+});
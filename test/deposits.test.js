@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { load, until, json, paidStay } = require("./helpers");
+const { server, listen, mail } = load();
+
+const fake = require("../lib/fake-payments");
+const bookings = require("../lib/bookings");
+const { depositSchedule } = require("../lib/schedule");
+const { parseDate } = require("../lib/dates");
+
+const ADMIN = { "x-admin-key": "test-admin-key" };
+
+let srv;
+test.before(async () => { srv = await listen(); });
+test.after(() => srv.close());
+
+test("the balance email escapes what the guest typed and carries the property's name", async () => {
+  const bk = await paidStay(srv.url, {
+    checkin: "2027-09-06", checkout: "2027-09-10", paymentSchedule: "deposit",
+    guestName: "<i>Robin</i>", guestEmail: "balance@example.com",
+  }, "deposit_paid");
+  const r = await json(srv.url + "/bookings/" + bk.ref + "/balance-link", { headers: ADMIN, body: {} });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  const m = mail.find((x) => x.to === "balance@example.com" && /Balance due/.test(x.subject));
+  assert.ok(m, "balance email sent");
+  assert.doesNotMatch(m.html, /<i>Robin/);
+  assert.match(m.html, /&lt;i&gt;Robin/);
+  assert.match(m.html, new RegExp("\\$" + bk.schedule.balanceAmount.toFixed(2)));
+  assert.ok(m.html.includes(r.body.link.url), "pay link");
+  assert.match(m.subject, /Coastal Tide Escapes stay/);
+  assert.match(m.from, /^Coastal Tide Escapes </);
+});
+
+const PLAN = { depositPct: 30, balanceDueDays: 30, minDaysOut: 60, linkLeadDays: 7 };
+
+test("a deposit is offered from minDaysOut and the balance falls due balanceDueDays before check-in", () => {
+  const b = { checkin: "2027-09-06", total: 1000 };
+  assert.strictEqual(depositSchedule(b, PLAN, parseDate("2027-07-09")), null, "59 days out");
+  assert.deepStrictEqual(depositSchedule(b, PLAN, parseDate("2027-07-08")), {
+    depositPct: 30, depositAmount: 300, balanceAmount: 700,
+    balanceDueDate: "2027-08-07", linkSendDate: "2027-07-31",
+  });
+  // the balance can't be due before the deposit is paid, whatever minDaysOut says
+  const short = { ...PLAN, minDaysOut: 10 };
+  assert.strictEqual(depositSchedule(b, short, parseDate("2027-08-07")), null, "30 days out");
+  assert.ok(depositSchedule(b, short, parseDate("2027-08-06")), "31 days out");
+  assert.strictEqual(depositSchedule({ ...b, addOnsOnly: true }, PLAN, parseDate("2027-01-01")), null);
+});
+
+test("the sweep sends the balance link on its date, once, and paying it settles the stay", async () => {
+  const bk = await paidStay(srv.url, {
+    checkin: "2027-09-13", checkout: "2027-09-17", paymentSchedule: "deposit", guestEmail: "sweep@example.com",
+  }, "deposit_paid");
+  const s = bk.schedule;
+  assert.strictEqual(bk.amountPaid, s.depositAmount);
+  const dayBefore = new Date(Date.parse(s.linkSendDate) - 86400000).toISOString().slice(0, 10);
+
+  await server.sendDueBalanceLinks(dayBefore);
+  assert.strictEqual(bookings.get(bk.ref).schedule.balanceLink, undefined);
+  await server.sendDueBalanceLinks(s.linkSendDate);
+  const link = bookings.get(bk.ref).schedule.balanceLink;
+  assert.ok(link && link.url, "balance link made");
+  await server.sendDueBalanceLinks(s.linkSendDate);
+  assert.deepStrictEqual(bookings.get(bk.ref).schedule.balanceLink, link);
+  assert.strictEqual(mail.filter((m) => m.to === "sweep@example.com" && /Balance due/.test(m.subject)).length, 1);
+
+  await fake.deliver(fake.pay(link.id).events);
+  const paid = await until(() => { const b = bookings.get(bk.ref); return b.state === "paid" && b; });
+  assert.ok(paid, "balance payment recorded");
+  assert.deepStrictEqual(bookings.payments(paid).map((p) => p.installment), ["deposit", "balance"]);
+  assert.strictEqual(paid.amountPaid, paid.pricing.total);
+});
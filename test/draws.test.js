@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+require("./helpers").load();
+
+const draws = require("../lib/draws");
+const store = require("../lib/store");
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+const ledger = Array.from({ length: 40 }, (_, i) => ({ ticket: i + 1, createdAt: "2026-07-01T00:00:00Z" }))
+  .concat([{ ticket: 41, createdAt: "2026-08-04T00:00:00Z" }]);
+
+// The draw redone from nothing but the published record and draws.ALGORITHM.
+function recompute(rec) {
+  const seed = rec.beacon ? sha256(rec.seed + ":" + rec.beacon) : rec.seed;
+  let counter = 0, words = [];
+  const next = () => {
+    if (!words.length) {
+      const h = crypto.createHmac("sha256", Buffer.from(seed, "utf8")).update("cte-draw:" + counter++).digest();
+      for (let i = 0; i < 32; i += 4) words.push(h.readUInt32BE(i));
+    }
+    return words.shift();
+  };
+  const uniform = (bound) => {
+    for (;;) { const u = next(); if (u < 2 ** 32 - (2 ** 32 % bound)) return u % bound; }
+  };
+  const pool = rec.tickets.slice();
+  for (let i = 0; i < rec.prizes + rec.alternates; i++) {
+    const j = i + uniform(pool.length - i);
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, rec.prizes + rec.alternates);
+}
+
+test("a draw can be recomputed from its revealed seed", () => {
+  const made = draws.create("tigers-2026", ledger, { cutoff: "2026-08-03T23:00:00Z", prizes: 2, alternates: 3 });
+  assert.ok(made.ok, made.error);
+  const committed = draws.publicRecord(made.draw);
+  assert.strictEqual(committed.seed, undefined, "the seed stays hidden until the draw runs");
+  assert.strictEqual(committed.ticketCount, 40, "tickets after the cutoff are left out");
+  assert.strictEqual(committed.entriesHash, sha256(committed.tickets.join("\n")));
+
+  const ran = draws.run(made.draw.id, "beacon-2026-08-03");
+  assert.ok(ran.ok, ran.error);
+  const rec = draws.publicRecord(draws.get(made.draw.id));
+  assert.strictEqual(sha256(rec.seed), committed.seedCommitment);
+  assert.deepStrictEqual(rec.checks, { entriesHash: true, seedCommitment: true, results: true });
+  assert.deepStrictEqual(rec.results.map((r) => r.ticket), recompute(rec));
+  assert.deepStrictEqual(rec.results.map((r) => r.role + r.place), ["winner1", "winner2", "alternate1", "alternate2", "alternate3"]);
+
+  assert.strictEqual(draws.run(made.draw.id, "again").error, "already drawn");
+});
+
+test("a swapped seed or ticket list fails verification", () => {
+  const made = draws.create("tigers-2026", ledger, { cutoff: "2026-08-03T23:00:00Z", prizes: 1, alternates: 2 });
+  const id = made.draw.id;
+  draws.run(id, "");
+  const honest = draws.publicRecord(draws.get(id));
+
+  const other = "0".repeat(64);
+  store.update("giveaway-draws", {}, (all) => { all[id].seed = other; });
+  const tampered = draws.publicRecord(draws.get(id));
+  assert.strictEqual(tampered.checks.seedCommitment, false);
+  assert.strictEqual(tampered.checks.results, false);
+  assert.notDeepStrictEqual(recompute(tampered), honest.results.map((r) => r.ticket), "another seed picks other tickets");
+
+  store.update("giveaway-draws", {}, (all) => { all[id].seed = honest.seed; all[id].tickets = all[id].tickets.concat(99); });
+  assert.strictEqual(draws.publicRecord(draws.get(id)).checks.entriesHash, false);
+});
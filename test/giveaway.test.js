@@ -0,0 +1,149 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { load, until, json } = require("./helpers");
+const { listen, sheets, mail } = load();
+
+const payments = require("../lib/payments");
+const fake = require("../lib/fake-payments");
+const tickets = require("../lib/tickets");
+
+const CAMPAIGN = "tigers-2026";
+const ADMIN = { "x-admin-key": "test-admin-key" };
+
+let srv;
+test.before(async () => {
+  // the Sheet already holds tickets 1–12 from before the ledger existed
+  sheets.tabs.Entries = [["Ticket"]].concat(Array.from({ length: 12 }, (_, i) =>
+    [i + 1, "Earlier Buyer", "earlier@example.com", "", "PAID", "t1", "10.00", "EARLIER-" + i, "", "2026-02-01T00:00:00Z"]));
+  srv = await listen();
+});
+test.after(() => srv.close());
+
+// A paid giveaway order, as POST /giveaway/:campaign/create-checkout would make it.
+async function buyTickets(tier, count, name, email) {
+  const link = await fake.createPaymentLink({
+    order: {
+      lineItems: [{ name: tier, quantity: "1", basePriceMoney: { amount: 2500, currency: "USD" } }],
+      metadata: { type: "giveaway", campaign: CAMPAIGN, tier, count: String(count), gvName: name, gvEmail: email },
+    },
+  });
+  return fake.pay(link.id);
+}
+
+const entryFor = (paymentId) => tickets.findByPayment(CAMPAIGN, paymentId);
+
+test("a paid giveaway order gets ticket numbers continuing from the Sheet", async () => {
+  const paid = await buyTickets("t3", 3, "Sam Buyer", "sam@example.com");
+  await fake.deliver(paid.events);
+
+  const entry = await until(() => { const e = entryFor(paid.payment.id); return e && e.emailedAt && e; });
+  assert.ok(entry, "tickets issued");
+  assert.deepStrictEqual(entry.tickets, [13, 14, 15]);
+
+  assert.ok(await until(() => entryFor(paid.payment.id).mirroredAt), "mirrored to the Sheet");
+  const rows = sheets.tabs.Entries.filter((r) => r[7] === paid.payment.id);
+  assert.deepStrictEqual(rows.map((r) => r[0]), [13, 14, 15]);
+  assert.deepStrictEqual(rows.map((r) => r[4]), ["PAID", "PAID", "PAID"]);
+
+  const toBuyer = mail.filter((m) => m.to === "sam@example.com");
+  assert.strictEqual(toBuyer.length, 1);
+  assert.match(toBuyer[0].html, /#0013, #0014, #0015/);
+  assert.ok(mail.some((m) => m.to === "owner@example.com" && /New giveaway entry/.test(m.subject)), "owner notified");
+});
+
+test("a payment delivered again doesn't issue more tickets", async () => {
+  const paid = await buyTickets("t1", 1, "Lee Again", "lee@example.com");
+  await fake.deliver(paid.events);
+  await until(() => { const e = entryFor(paid.payment.id); return e && e.emailedAt; });
+
+  // Square retries with fresh event ids, so the inbox alone can't catch it
+  const again = JSON.parse(paid.events[0].body);
+  again.event_id = "retry-" + again.event_id;
+  const body = JSON.stringify(again);
+  const r = await json(srv.url + "/square-webhook", {
+    body, headers: { "x-square-hmacsha256-signature": payments.sign("fake-webhook-signature-key", process.env.FAKE_WEBHOOK_URL, body) },
+  });
+  assert.strictEqual(r.status, 200);
+  await new Promise((done) => setTimeout(done, 200));
+
+  assert.strictEqual(tickets.list(CAMPAIGN).filter((t) => t.paymentId === paid.payment.id).length, 1);
+  assert.strictEqual(sheets.tabs.Entries.filter((row) => row[7] === paid.payment.id).length, 1);
+  assert.strictEqual(mail.filter((m) => m.to === "lee@example.com").length, 1);
+});
+
+test("a mail-in entry gets the next number and is emailed", async () => {
+  const before = Math.max(...tickets.list(CAMPAIGN).map((t) => t.ticket));
+  const r = await json(srv.url + "/giveaway/" + CAMPAIGN + "/free-entry", {
+    headers: ADMIN, body: { name: "Mail In", email: "mailin@example.com" },
+  });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  assert.strictEqual(r.body.emailed, true);
+  assert.strictEqual(r.body.ticket, String(before + 1).padStart(4, "0"));
+  const issued = tickets.list(CAMPAIGN).filter((t) => t.email === "mailin@example.com");
+  assert.deepStrictEqual(issued.map((t) => [t.ticket, t.kind]), [[before + 1, "free"]]);
+  assert.ok(mail.some((m) => m.to === "mailin@example.com"), "entrant emailed");
+});
+
+test("free entries need an admin key", async () => {
+  const r = await json(srv.url + "/giveaway/" + CAMPAIGN + "/free-entry", { body: { name: "No Key" } });
+  assert.strictEqual(r.status, 401);
+  assert.strictEqual(r.body.code, "UNAUTHORIZED");
+});
+
+test("payments and mail-in entries arriving together get distinct, gap-free numbers", async () => {
+  const before = Math.max(...tickets.list(CAMPAIGN).map((t) => t.ticket));
+  const paid = await Promise.all([
+    buyTickets("t3", 3, "Ana Rush", "ana@example.com"),
+    buyTickets("t1", 1, "Ben Rush", "ben@example.com"),
+    buyTickets("t3", 3, "Cy Rush", "cy@example.com"),
+  ]);
+  await Promise.all([
+    ...paid.map((p) => fake.deliver(p.events)),
+    ...["Dee", "Eli"].map((name) => json(srv.url + "/giveaway/" + CAMPAIGN + "/free-entry", {
+      headers: ADMIN, body: { name: name + " Rush", email: name.toLowerCase() + "@example.com" },
+    })),
+  ]);
+  const entries = await until(() => { const e = paid.map((p) => entryFor(p.payment.id)); return e.every((x) => x && x.mirroredAt) && e; });
+  assert.ok(entries, "every payment got tickets");
+  assert.deepStrictEqual(entries.map((e) => e.tickets.length), [3, 1, 3]);
+
+  const issued = tickets.list(CAMPAIGN).map((t) => t.ticket).filter((n) => n > before);
+  assert.deepStrictEqual(issued, Array.from({ length: 9 }, (_, i) => before + 1 + i));
+  for (const e of entries) assert.deepStrictEqual(e.tickets, Array.from({ length: e.tickets.length }, (_, i) => e.tickets[0] + i), "an entry's numbers run together");
+
+  await until(() => sheets.tabs.Entries.filter((r) => r[0] > before).length === 9);
+  const inSheet = sheets.tabs.Entries.map((r) => r[0]).filter((n) => n > before);
+  assert.deepStrictEqual(inSheet.slice().sort((a, b) => a - b), issued, "the Sheet mirrors each number once");
+});
+
+test("the routes from before campaigns act on the default campaign", async () => {
+  // the default campaign has closed, so the old form gets the campaign's answer
+  const co = await json(srv.url + "/giveaway/create-checkout", { body: { name: "Old Form", email: "old@example.com", tier: "t1" } });
+  assert.strictEqual(co.status, 409);
+  assert.strictEqual(co.body.code, "GIVEAWAY_NOT_OPEN");
+
+  const made = await json(srv.url + "/giveaway/" + CAMPAIGN + "/draws", { headers: ADMIN, body: { label: "Old links" } });
+  assert.strictEqual(made.status, 200, JSON.stringify(made.body));
+  const id = made.body.id;
+  const old = await json(srv.url + "/giveaway/draw/" + id + "/verify");
+  assert.strictEqual(old.status, 200, JSON.stringify(old.body));
+  assert.deepStrictEqual(old.body, (await json(srv.url + "/giveaway/" + CAMPAIGN + "/draw/" + id + "/verify")).body);
+  assert.strictEqual((await json(srv.url + "/giveaway/draw/nope/verify")).status, 404);
+});
+
+test("a mirror run that throws doesn't stop the ones after it", async () => {
+  const real = tickets.unmirrored;
+  tickets.unmirrored = () => { tickets.unmirrored = real; throw new Error("ledger unreadable"); };
+  const entry = (email) => json(srv.url + "/giveaway/" + CAMPAIGN + "/free-entry", { headers: ADMIN, body: { name: "Mirror Test", email } });
+  try {
+    const first = await entry("mirror1@example.com");
+    assert.strictEqual(first.status, 200, JSON.stringify(first.body));
+  } finally {
+    tickets.unmirrored = real;
+  }
+  const second = await entry("mirror2@example.com");
+  assert.strictEqual(second.status, 200, JSON.stringify(second.body));
+  const rows = sheets.appends.flatMap((a) => a.rows);
+  for (const email of ["mirror1@example.com", "mirror2@example.com"])
+    assert.ok(rows.some((r) => r.includes(email)), email + " reached the Sheet");
+});
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { load, json, paidStay } = require("./helpers");
+const { listen } = load({ GUEST_LINK_SECRET: "test-guest-link-secret", MANAGE_BOOKING_URL: "https://example.com/manage/", GUEST_LINK_DAYS: "14" });
+
+const guestLinks = require("../lib/guest-links");
+const bookings = require("../lib/bookings");
+const rates = require("../lib/rates");
+const { today, parseDate, addDays, isoKey } = require("../lib/dates");
+
+let srv;
+test.before(async () => { srv = await listen(); });
+test.after(() => srv.close());
+
+const token = (url) => new URL(url).searchParams.get("t");
+
+test("the guest's link opens their booking and lets them set an arrival time", async () => {
+  const bk = await paidStay(srv.url, { checkin: "2027-05-03", checkout: "2027-05-06" });
+  const t = token(guestLinks.url(bk.ref, bk.checkout));
+  const r = await json(srv.url + "/guest/" + t);
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  assert.strictEqual(r.body.booking.ref, bk.ref);
+  assert.strictEqual(r.body.booking.state, "paid");
+  assert.deepStrictEqual(r.body.receipt.payments.map((p) => p.amount), [bk.pricing.total]);
+  assert.strictEqual(r.body.booking.guestEmail, undefined, "contact details stay off the page");
+
+  const d = await json(srv.url + "/guest/" + t + "/details", { body: { arrivalTime: "16:30" } });
+  assert.strictEqual(d.status, 200, JSON.stringify(d.body));
+  assert.strictEqual(bookings.get(bk.ref).arrivalTime, "16:30");
+});
+
+test("a link lasts until midnight UTC GUEST_LINK_DAYS after checkout", () => {
+  const t = guestLinks.create("CTE-EXPIRY", "2027-05-06");
+  const v = guestLinks.verify(t, new Date("2027-05-19T23:59:59Z"));
+  assert.strictEqual(v.ok, true);
+  assert.strictEqual(v.ref, "CTE-EXPIRY");
+  assert.strictEqual(v.expiresAt, "2027-05-20T00:00:00.000Z");
+  const late = guestLinks.verify(t, new Date("2027-05-20T00:00:00Z"));
+  assert.strictEqual(late.ok, false);
+  assert.strictEqual(late.expired, true);
+});
+
+test("an expired or edited link is refused", async () => {
+  const bk = await paidStay(srv.url, { checkin: "2027-05-10", checkout: "2027-05-13" });
+  const expired = await json(srv.url + "/guest/" + guestLinks.create(bk.ref, "2020-01-01"));
+  assert.strictEqual(expired.status, 403);
+  assert.strictEqual(expired.body.code, "LINK_EXPIRED");
+
+  // someone else's ref under this booking's signature
+  const [, exp, sig] = guestLinks.create(bk.ref, bk.checkout).split(".");
+  const edited = await json(srv.url + "/guest/" + Buffer.from("CTE-OTHER").toString("base64url") + "." + exp + "." + sig);
+  assert.strictEqual(edited.status, 403);
+  assert.strictEqual(edited.body.code, "LINK_INVALID");
+});
+
+const changeDates = (bk, body) => json(srv.url + "/guest/" + guestLinks.create(bk.ref, bk.checkout) + "/date-change", { body });
+const daysOut = (n) => isoKey(addDays(parseDate(today("America/Chicago")), n));
+
+test("shortening a stay inside the no-refund window refunds nothing", async () => {
+  const bk = await paidStay(srv.url, { checkin: daysOut(8), checkout: daysOut(12) });
+  const q = await changeDates(bk, { checkin: bk.checkin, checkout: daysOut(10) });
+  assert.strictEqual(q.status, 200, JSON.stringify(q.body));
+  assert.ok(q.body.quote.difference < 0, "the shorter stay costs less");
+  assert.strictEqual(q.body.quote.refund, 0);
+
+  const r = await changeDates(bk, { checkin: bk.checkin, checkout: daysOut(10), confirm: true });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  assert.strictEqual(r.body.refunded, 0);
+  const after = bookings.get(bk.ref);
+  assert.strictEqual(after.checkout, daysOut(10));
+  assert.deepStrictEqual(after.refunds || [], []);
+});
+
+test("shortening a stay far out refunds the whole price drop", async () => {
+  const bk = await paidStay(srv.url, { checkin: "2027-05-17", checkout: "2027-05-21" });
+  const r = await changeDates(bk, { checkin: "2027-05-17", checkout: "2027-05-20", confirm: true });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  assert.ok(r.body.quote.difference < 0);
+  assert.strictEqual(r.body.refunded, -r.body.quote.difference);
+  assert.deepStrictEqual(bookings.get(bk.ref).refunds.map((x) => x.amount), [r.body.refunded]);
+});
+
+test("a date change is priced at the rates the stay was booked under", async () => {
+  const bk = await paidStay(srv.url, { checkin: "2027-06-07", checkout: "2027-06-10" });
+  const cfg = JSON.parse(JSON.stringify(rates.load().config));
+  const std = cfg.plans.standard;
+  for (const x of [std.default, ...std.seasons]) { x.nightly *= 2; x.weekend *= 2; }
+  rates.save(cfg);
+  try {
+    const q = await changeDates(bk, { checkin: "2027-06-14", checkout: "2027-06-17" });
+    assert.strictEqual(q.status, 200, JSON.stringify(q.body));
+    assert.strictEqual(q.body.quote.total, bk.pricing.total);
+    assert.strictEqual(q.body.quote.difference, 0);
+  } finally {
+    rates.reset();
+  }
+});
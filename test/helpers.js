@@ -0,0 +1,108 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Loads server.js the way the tests need it: a throwaway DATA_DIR, the fake
+// payment provider instead of Square, and Google Sheets and SMTP replaced by
+// in-memory stand-ins that record what they were asked to do.
+//   const { server, sheets, mail, listen } = require("./helpers").load();
+// Call before anything else requires server.js (each test file runs in its
+// own process, so every file gets a fresh one).
+function load(env) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "cte-test-"));
+  process.on("exit", () => fs.rmSync(dataDir, { recursive: true, force: true }));
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    PAYMENT_PROVIDER: "fake",
+    GIVEAWAY_ADMIN_KEY: "test-admin-key",
+    SHEET_ID: "test-sheet",
+    GOOGLE_SERVICE_ACCOUNT_JSON: JSON.stringify({ client_email: "test@example.com", private_key: "test" }),
+    SMTP_HOST: "smtp.test",
+    NOTIFY_EMAIL_USER: "bookings@example.com",
+    NOTIFY_EMAIL_TO: "owner@example.com",
+  }, env || {});
+
+  // Sheets: a tab is a list of rows; get returns rows from row 2, append adds them
+  const sheets = { tabs: {}, appends: [] };
+  const tab = (range) => range.split("!")[0].replace(/^'|'$/g, "");
+  stub("googleapis", {
+    google: {
+      auth: { JWT: function JWT() {} },
+      sheets: () => ({
+        spreadsheets: {
+          get: async () => ({ data: { properties: { title: "Test" }, sheets: Object.keys(sheets.tabs).map((title) => ({ properties: { title } })) } }),
+          values: {
+            get: async ({ range }) => ({ data: { values: (sheets.tabs[tab(range)] || []).slice(1) } }),
+            append: async ({ range, requestBody }) => {
+              const t = tab(range);
+              sheets.tabs[t] = (sheets.tabs[t] || [["header"]]).concat(requestBody.values);
+              sheets.appends.push({ range, rows: requestBody.values });
+            },
+          },
+        },
+      }),
+    },
+  });
+
+  const mail = [];
+  stub("nodemailer", { createTransport: () => ({ sendMail: async (m) => { mail.push(m); return { messageId: String(mail.length) }; } }) });
+
+  const server = require("../server");
+  return { server, sheets, mail, listen: () => listen(server.app) };
+}
+
+function stub(name, exports) {
+  const file = require.resolve(name);
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+}
+
+// Starts the app on a free port and points the fake provider's links and
+// webhooks at it. Returns { url, close }.
+function listen(app) {
+  return new Promise((resolve) => {
+    const srv = app.listen(0, "127.0.0.1", () => {
+      const url = "http://127.0.0.1:" + srv.address().port;
+      process.env.FAKE_PAY_BASE_URL = url;
+      process.env.FAKE_WEBHOOK_URL = url + "/square-webhook";
+      resolve({ url, close: () => new Promise((done) => srv.close(done)) });
+    });
+  });
+}
+
+// Webhook events are processed after they're acknowledged; wait for the result.
+async function until(fn, ms) {
+  const end = Date.now() + (ms || 3000);
+  for (;;) {
+    const v = await fn();
+    if (v || Date.now() > end) return v;
+    await new Promise((r) => setTimeout(r, 25));
+  }
+}
+
+async function json(url, opts) {
+  const o = opts || {};
+  const res = await fetch(url, {
+    method: o.method || (o.body ? "POST" : "GET"),
+    headers: { "Content-Type": "application/json", Accept: "application/json", ...(o.headers || {}) },
+    body: o.body == null ? undefined : typeof o.body === "string" ? o.body : JSON.stringify(o.body),
+  });
+  return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+// Books and pays a stay through the routes and the fake provider's webhooks;
+// resolves with the booking once the ledger has it in `state` (default paid).
+async function paidStay(url, body, state) {
+  const fake = require("../lib/fake-payments");
+  const bookings = require("../lib/bookings");
+  const co = await json(url + "/create-checkout", {
+    body: { guests: 2, guestName: "Pat Tester", guestEmail: "pat@example.com", ...body },
+  });
+  if (co.status !== 200) throw new Error("checkout failed: " + JSON.stringify(co.body));
+  await fake.deliver(fake.pay(co.body.paymentLinkId).events);
+  const want = state || "paid";
+  const bk = await until(() => { const b = bookings.get(co.body.bookingRef); return b && b.state === want && b; });
+  if (!bk) throw new Error("booking " + co.body.bookingRef + " never reached " + want);
+  return bk;
+}
+
+module.exports = { load, until, json, paidStay };
@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { load, json } = require("./helpers");
+const { listen } = load();
+
+const ical = require("../lib/ical");
+const availability = require("../lib/availability");
+
+const ADMIN = { "x-admin-key": "test-admin-key" };
+
+// A channel's feed, rewritten between syncs.
+const feedDir = fs.mkdtempSync(path.join(os.tmpdir(), "cte-ical-"));
+process.on("exit", () => fs.rmSync(feedDir, { recursive: true, force: true }));
+const feedFile = path.join(feedDir, "airbnb.ics");
+
+let srv;
+test.before(async () => {
+  process.env.ICAL_FEEDS = JSON.stringify([{ source: "airbnb", file: feedFile }]);
+  srv = await listen();
+});
+test.after(() => { delete process.env.ICAL_FEEDS; return srv.close(); });
+
+const calendar = (...events) => ["BEGIN:VCALENDAR", "VERSION:2.0", ...events.flat(), "END:VCALENDAR", ""].join("\r\n");
+const event = (uid, start, end, summary) => ["BEGIN:VEVENT", "UID:" + uid, "DTSTART;VALUE=DATE:" + start, ...(end ? ["DTEND;VALUE=DATE:" + end] : []), "SUMMARY:" + (summary || "Reserved"), "END:VEVENT"];
+const imported = () => availability.list().filter((e) => e.kind === "import" && e.source === "airbnb")
+  .map((e) => [e.uid, e.start, e.end]).sort((a, b) => a[1].localeCompare(b[1]));
+
+test("folded lines are joined back before they're read", () => {
+  const text = [
+    "BEGIN:VCALENDAR",
+    "BEGIN:VEVENT",
+    "UID:1418fb94e984-1d0bd2a1a1e4a5c1d1ffc7a4ea",
+    " @airbnb.com",
+    "DTSTART;VALUE=DATE:20270610",
+    "DTEND;VALUE=DATE:2027061",
+    "\t3",
+    "SUMMARY:Airbnb (Not available)\\, held for",
+    "  the owner\\; see notes",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].join("\r\n");
+  assert.deepStrictEqual(ical.parseEvents(text), [{
+    uid: "1418fb94e984-1d0bd2a1a1e4a5c1d1ffc7a4ea@airbnb.com", start: "2027-06-10", end: "2027-06-13",
+    summary: "Airbnb (Not available), held for the owner; see notes",
+  }]);
+
+  // what we write folds at 75 octets and reads back the same
+  const long = "Reserved for a family reunion, with a note long enough to need folding; twice over, in fact.";
+  const out = ical.serialize([{ uid: "x@cte", start: "2027-06-10", end: "2027-06-13", summary: long }], { name: "Test" });
+  assert.ok(out.split("\r\n").every((l) => l.length <= 75));
+  assert.match(out, /\r\n [^\r\n]/);
+  assert.deepStrictEqual(ical.parseEvents(out).map((e) => e.summary), [long]);
+});
+
+test("all-day DTEND is exclusive, and an event without a usable one is a single day", () => {
+  const text = calendar(
+    event("stay", "20270701", "20270704"),
+    event("no-end", "20270710"),
+    event("same-day", "20270715", "20270715"),
+    event("timed", "20270720T150000Z", "20270722T100000Z"),
+    event("no-start", "", "20270730"),
+  );
+  assert.deepStrictEqual(ical.parseEvents(text).map((e) => [e.uid, e.start, e.end]), [
+    ["stay", "2027-07-01", "2027-07-04"],
+    ["no-end", "2027-07-10", "2027-07-11"],
+    ["same-day", "2027-07-15", "2027-07-16"],
+    ["timed", "2027-07-20", "2027-07-22"],
+  ]);
+});
+
+test("a re-sync replaces the feed's entries: moved, added and dropped events follow the channel", async () => {
+  const sync = () => json(srv.url + "/calendar/sync", { headers: ADMIN, body: {} });
+  const block = await json(srv.url + "/availability/blocks", { headers: ADMIN, body: { start: "2027-09-20", end: "2027-09-22", note: "owner" } });
+  assert.strictEqual(block.status, 200, JSON.stringify(block.body));
+
+  fs.writeFileSync(feedFile, calendar(event("a@airbnb", "20270901", "20270904"), event("b@airbnb", "20270910", "20270912")));
+  let r = await sync();
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  assert.deepStrictEqual(r.body.results.map((x) => [x.added, x.updated, x.removed]), [[2, 0, 0]]);
+  assert.deepStrictEqual(imported(), [["a@airbnb", "2027-09-01", "2027-09-04"], ["b@airbnb", "2027-09-10", "2027-09-12"]]);
+  const idOfA = availability.list().find((e) => e.uid === "a@airbnb").id;
+
+  // a moved, b cancelled on the channel, c new
+  fs.writeFileSync(feedFile, calendar(event("a@airbnb", "20270902", "20270905"), event("c@airbnb", "20270915", "20270917")));
+  r = await sync();
+  assert.deepStrictEqual(r.body.results.map((x) => [x.added, x.updated, x.removed]), [[1, 1, 1]]);
+  assert.deepStrictEqual(imported(), [["a@airbnb", "2027-09-02", "2027-09-05"], ["c@airbnb", "2027-09-15", "2027-09-17"]]);
+  assert.strictEqual(availability.list().find((e) => e.uid === "a@airbnb").id, idOfA, "a moved event keeps its entry");
+
+  // the same feed again changes nothing; the owner's block was never touched
+  r = await sync();
+  assert.deepStrictEqual(r.body.results.map((x) => [x.added, x.updated, x.removed]), [[0, 0, 0]]);
+  assert.ok(availability.list().some((e) => e.id === block.body.block.id));
+
+  // a feed that can't be read leaves the last import in place
+  fs.rmSync(feedFile);
+  r = await sync();
+  assert.ok(r.body.results[0].error);
+  assert.strictEqual(imported().length, 2);
+});
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { load, json, paidStay } = require("./helpers");
+const { listen } = load();
+
+const inbox = require("../lib/inbox");
+const bookings = require("../lib/bookings");
+
+const ADMIN = { "x-admin-key": "test-admin-key" };
+
+let srv;
+test.before(async () => { srv = await listen(); });
+test.after(() => srv.close());
+
+// Events for the handlers below only; the server's own handler never sees them.
+const local = (id) => ({ type: "test.event", event_id: id });
+
+test("the same event id is recorded once", async () => {
+  assert.strictEqual(inbox.record(local("dup-1")).duplicate, false);
+  assert.strictEqual(inbox.record(local("dup-1")).duplicate, true);
+  // no event_id: the body is the id
+  assert.strictEqual(inbox.record({ type: "x" }, "{\"type\":\"x\"}").duplicate, false);
+  assert.strictEqual(inbox.record({ type: "x" }, "{\"type\":\"x\"}").duplicate, true);
+  await inbox.processDue(new Date(), async () => ({})); // out of the later tests' way
+});
+
+test("an event recorded while a run is going is handled before that run ends", async () => {
+  const seen = [];
+  const handler = async (event) => {
+    seen.push(event.event_id);
+    if (event.event_id === "mid-1") {
+      inbox.record(local("mid-2"));
+      assert.deepStrictEqual(await inbox.processDue(new Date(), handler), [], "the run already going picks it up");
+    }
+    return {};
+  };
+  inbox.record(local("mid-1"));
+  const results = await inbox.processDue(new Date(), handler);
+  assert.deepStrictEqual(seen.filter((id) => id.startsWith("mid-")), ["mid-1", "mid-2"]);
+  assert.ok(results.some((r) => r.id === "mid-2" && r.status === "done"));
+  assert.strictEqual(inbox.get("mid-2").status, "done");
+});
+
+test("a failing event backs off, gives up after six attempts and can be replayed", async () => {
+  inbox.record(local("fail-1"));
+  const boom = async (event) => { if (event.event_id === "fail-1") throw new Error("boom"); return {}; };
+  let now = new Date();
+  await inbox.processDue(now, boom);
+  let e = inbox.get("fail-1");
+  assert.strictEqual(e.status, "pending");
+  assert.strictEqual(e.attempts, 1);
+  assert.strictEqual(Date.parse(e.nextAttemptAt), now.getTime() + 60 * 1000);
+
+  // not due again until the backoff has passed
+  await inbox.processDue(now, boom);
+  assert.strictEqual(inbox.get("fail-1").attempts, 1);
+
+  for (let i = 0; i < 5; i++) {
+    now = new Date(Date.parse(inbox.get("fail-1").nextAttemptAt));
+    await inbox.processDue(now, boom);
+  }
+  e = inbox.get("fail-1");
+  assert.strictEqual(e.status, "failed");
+  assert.strictEqual(e.attempts, 6);
+  assert.strictEqual(e.lastError, "boom");
+
+  assert.deepStrictEqual(inbox.replay(["fail-1"]), ["fail-1"]);
+  await inbox.processDue(new Date(), async () => ({ ok: true }));
+  e = inbox.get("fail-1");
+  assert.strictEqual(e.status, "done");
+  assert.deepStrictEqual(e.result, { ok: true });
+});
+
+test("replaying a booking's payment doesn't record it twice", async () => {
+  const bk = await paidStay(srv.url, { checkin: "2027-12-06", checkout: "2027-12-09" });
+  const evt = inbox.list({ type: "payment.completed" }).find((e) => e.event.data.object.payment.id === bk.paymentId);
+  assert.ok(evt, "payment event in the inbox");
+  const r = await json(srv.url + "/webhook-events/" + evt.id + "/replay", { headers: ADMIN, body: {} });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  assert.strictEqual(inbox.get(evt.id).status, "done");
+  const after = bookings.get(bk.ref);
+  assert.strictEqual(after.state, "paid");
+  assert.strictEqual(bookings.payments(after).length, 1);
+  assert.strictEqual(after.amountPaid, bk.amountPaid);
+});
@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert");
+require("./helpers").load();
+
+const messages = require("../lib/messages");
+
+const confirm = (ref) => messages.scheduleForBooking({ ref, checkin: "2027-06-07", checkout: "2027-06-10" }, { only: ["confirmation"] });
+
+test("a message queued while a run is going goes out before that run ends", async () => {
+  const seen = [];
+  const deliver = async (m) => {
+    seen.push(m.ref);
+    if (m.ref === "CTE-MID-1") {
+      confirm("CTE-MID-2");
+      assert.deepStrictEqual(await messages.processDue(new Date(), deliver), [], "the run already going picks it up");
+    }
+    return true;
+  };
+  confirm("CTE-MID-1");
+  const results = await messages.processDue(new Date(), deliver);
+  assert.deepStrictEqual(seen, ["CTE-MID-1", "CTE-MID-2"]);
+  assert.deepStrictEqual(results.map((r) => [r.id, r.status]), [["CTE-MID-1:confirmation", "sent"], ["CTE-MID-2:confirmation", "sent"]]);
+  assert.deepStrictEqual(messages.list({ status: "pending" }), []);
+});
+
+test("a failed send backs off and isn't retried in the same run", async () => {
+  confirm("CTE-FAIL-1");
+  const now = new Date();
+  const results = await messages.processDue(now, async () => { throw new Error("smtp down"); });
+  assert.deepStrictEqual(results, [{ id: "CTE-FAIL-1:confirmation", status: "error", error: "smtp down" }]);
+  const m = messages.list({ ref: "CTE-FAIL-1" })[0];
+  assert.strictEqual(m.attempts, 1);
+  assert.strictEqual(Date.parse(m.sendAt), now.getTime() + 15 * 60 * 1000);
+});
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const pricingRules = require("../lib/pricing-rules");
+
+const TODAY = "2027-01-04";
+const RULES = [
+  { id: "orphan-gap", type: "orphanGap", label: "Gap-Night Discount", maxNights: 2, pct: -15 },
+  { id: "last-minute", type: "lastMinute", label: "Last-Minute Discount", withinDays: 7, pct: -10 },
+  { id: "early-bird", type: "earlyBird", label: "Early-Bird Discount", minDaysOut: 180, pct: -5 },
+  { id: "length-of-stay", type: "lengthOfStay", label: "Extended Stay Discount", tiers: [{ minNights: 7, pct: -5 }, { minNights: 14, pct: -10 }] },
+];
+const apply = (base, ctx, rules) => pricingRules.apply(base, { today: TODAY, plan: "standard", property: "main", ...ctx }, rules || RULES);
+const ids = (adj) => adj.map((a) => a.id);
+
+test("an orphan gap applies only when the stay exactly fills a short hole", () => {
+  const taken = new Set(["2027-03-09", "2027-03-12"]);
+  const gap = apply(600, { checkin: "2027-03-10", checkout: "2027-03-12", nights: 2, taken });
+  assert.deepStrictEqual(gap, [{ id: "orphan-gap", label: "Gap-Night Discount (15%)", pct: -15, amount: -90 }]);
+  // one side open
+  assert.deepStrictEqual(apply(300, { checkin: "2027-03-10", checkout: "2027-03-11", nights: 1, taken }), []);
+  // a hole longer than maxNights
+  const wide = new Set(["2027-03-09", "2027-03-13"]);
+  assert.deepStrictEqual(apply(900, { checkin: "2027-03-10", checkout: "2027-03-13", nights: 3, taken: wide }), []);
+});
+
+test("last-minute counts days from the given today, inclusive of withinDays", () => {
+  assert.deepStrictEqual(ids(apply(300, { checkin: "2027-01-04", checkout: "2027-01-05", nights: 1 })), ["last-minute"]);
+  assert.deepStrictEqual(ids(apply(300, { checkin: "2027-01-11", checkout: "2027-01-12", nights: 1 })), ["last-minute"]);
+  assert.deepStrictEqual(apply(300, { checkin: "2027-01-12", checkout: "2027-01-13", nights: 1 }), []);
+  // a check-in already past isn't last-minute
+  assert.deepStrictEqual(apply(300, { checkin: "2027-01-03", checkout: "2027-01-04", nights: 1 }), []);
+});
+
+test("early-bird starts at minDaysOut", () => {
+  // 2027-07-03 is 180 days after TODAY
+  assert.deepStrictEqual(apply(300, { checkin: "2027-07-03", checkout: "2027-07-04", nights: 1 }), [{ id: "early-bird", label: "Early-Bird Discount (5%)", pct: -5, amount: -15 }]);
+  assert.deepStrictEqual(apply(300, { checkin: "2027-07-02", checkout: "2027-07-03", nights: 1 }), []);
+});
+
+test("length of stay takes the highest tier reached", () => {
+  const stay = (nights) => apply(100 * nights, { checkin: "2027-03-01", checkout: "2027-03-01", nights });
+  assert.deepStrictEqual(stay(6), []);
+  assert.deepStrictEqual(stay(7), [{ id: "length-of-stay", label: "Extended Stay Discount (5%)", pct: -5, amount: -35 }]);
+  assert.deepStrictEqual(stay(13).map((a) => a.pct), [-5]);
+  assert.deepStrictEqual(stay(14).map((a) => a.pct), [-10]);
+  assert.deepStrictEqual(stay(30).map((a) => a.pct), [-10]);
+});
+
+test("rules that apply together each work off the same base, in any order", () => {
+  // a week booked three days out filling a hole between two stays
+  const ctx = { checkin: "2027-01-07", checkout: "2027-01-14", nights: 7, taken: new Set(["2027-01-06", "2027-01-14"]) };
+  const gapOfSeven = [{ ...RULES[0], maxNights: 7 }, ...RULES.slice(1)];
+  const adj = apply(2000, ctx, gapOfSeven);
+  assert.deepStrictEqual(adj.map((a) => [a.id, a.amount]), [["orphan-gap", -300], ["last-minute", -200], ["length-of-stay", -100]]);
+  const reversed = apply(2000, ctx, gapOfSeven.slice().reverse());
+  assert.deepStrictEqual(reversed.map((a) => a.amount).reduce((s, n) => s + n, 0), -600);
+
+  // a surcharge is signed and labelled as one
+  const peak = [{ id: "late", type: "lastMinute", label: "Short-Notice Surcharge", withinDays: 3, pct: 10 }];
+  assert.deepStrictEqual(apply(500, ctx, [...peak, ...RULES.slice(1)]).map((a) => [a.label, a.amount]),
+    [["Short-Notice Surcharge (10% surcharge)", 50], ["Last-Minute Discount (10%)", -50], ["Extended Stay Discount (5%)", -25]]);
+});
+
+test("disabled rules and rules for other plans or properties are skipped", () => {
+  const ctx = { checkin: "2027-01-05", checkout: "2027-01-06", nights: 1 };
+  assert.deepStrictEqual(apply(300, ctx, [{ ...RULES[1], enabled: false }]), []);
+  assert.deepStrictEqual(apply(300, ctx, [{ ...RULES[1], plans: ["floridarentals"] }]), []);
+  assert.deepStrictEqual(apply(300, ctx, [{ ...RULES[1], properties: ["other"] }]), []);
+  assert.deepStrictEqual(ids(apply(300, ctx, [{ ...RULES[1], plans: ["standard"], properties: ["main"] }])), ["last-minute"]);
+
+  // the shipped config: early-bird is off, and nothing applies to other plans
+  const far = { today: TODAY, checkin: "2027-09-01", checkout: "2027-09-02", nights: 1, plan: "standard" };
+  assert.deepStrictEqual(pricingRules.apply(300, far), []);
+  assert.deepStrictEqual(pricingRules.apply(300, { ...far, checkin: "2027-01-05", plan: "floridarentals" }), []);
+});
+
+test("validate names each broken rule", () => {
+  assert.deepStrictEqual(pricingRules.validate({ rules: RULES }), []);
+  const errors = pricingRules.validate({ rules: [{ id: "x", type: "weekly", label: "X", pct: -5 }, { id: "x", type: "orphanGap", label: "", pct: -5 }] });
+  assert.deepStrictEqual(errors, [
+    "rules[0]: type must be one of orphanGap, lastMinute, earlyBird, lengthOfStay",
+    "rules[1]: id missing or repeated",
+    "rules[1]: label required",
+    "rules[1]: maxNights must be at least 1",
+  ]);
+});
@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { server } = require("./helpers").load();
+
+const { computeBooking, buildLineItems, buildOrderNote } = server;
+const TODAY = "2026-01-15";
+const quote = (input) => computeBooking({ guests: 2, ...input }, { today: TODAY });
+const cents = (m) => Number(m.amount);
+
+// What Square will charge for the line items: pricing-rule discounts go on
+// the order as Square discounts, so they come off here.
+function lineItemCents(b) {
+  const items = buildLineItems(b).reduce((sum, li) => sum + cents(li.basePriceMoney) * Number(li.quantity), 0);
+  const ruleDiscounts = (b.adjustments || []).filter((a) => a.amount < 0).reduce((sum, a) => sum + Math.round(-a.amount * 100), 0);
+  return items - ruleDiscounts;
+}
+
+// The nightly loop must land on each calendar date whatever TZ the server runs
+// in; the US zones all change clocks inside these stays.
+const ZONES = ["America/Chicago", "America/New_York", "America/Los_Angeles", "UTC"];
+const SERVER_TZ = process.env.TZ;
+function inZone(tz, fn) {
+  process.env.TZ = tz;
+  try { return fn(); } finally { if (SERVER_TZ === undefined) delete process.env.TZ; else process.env.TZ = SERVER_TZ; }
+}
+
+for (const tz of ZONES) {
+  test("a stay across the fall DST change prices every night on its own date (TZ=" + tz + ")", () => inZone(tz, () => {
+    // Nov 1 2026 is 25 hours long in the US zones; Nov 6 and 7 are the weekend nights
+    const r = quote({ checkin: "2026-10-29", checkout: "2026-11-08" });
+    assert.ok(r.ok, r.error);
+    assert.strictEqual(r.booking.nights, 10);
+    // Fall: Thu 250, Fri/Sat 275; November default: five weeknights 225, Fri/Sat 250
+    assert.strictEqual(r.booking.lodging, 250 + 275 * 2 + 225 * 5 + 250 * 2);
+  }));
+
+  test("a stay across the spring DST change keeps its night count (TZ=" + tz + ")", () => inZone(tz, () => {
+    const r = quote({ checkin: "2027-03-12", checkout: "2027-03-16" });
+    assert.ok(r.ok, r.error);
+    assert.strictEqual(r.booking.nights, 4);
+    assert.strictEqual(r.booking.lodging, 275 * 2 + 250 * 2); // March: Fri/Sat 275, Sun/Mon 250
+  }));
+}
+
+test("a stay across New Year's Eve prices both years", () => {
+  const r = quote({ checkin: "2026-12-30", checkout: "2027-01-02" });
+  assert.ok(r.ok, r.error);
+  assert.strictEqual(r.booking.nights, 3);
+  assert.strictEqual(r.booking.lodging, 225 + 225 + 250); // Wed, Thu, Fri
+  assert.strictEqual(r.booking.checkout, "2027-01-02");
+});
+
+test("the FloridaRentals plan quotes stays past its last configured year", () => {
+  for (const [checkin, checkout] of [["2027-12-29", "2028-01-03"], ["2028-02-07", "2028-02-14"]]) {
+    const r = quote({ ratePlan: "floridarentals", checkin, checkout });
+    assert.ok(r.ok, checkin + ": " + r.error);
+    assert.ok(r.booking.lodging > 0);
+  }
+});
+
+test("a stay shorter than the season's minimum is refused", () => {
+  const r = quote({ ratePlan: "floridarentals", checkin: "2026-06-08", checkout: "2026-06-11" });
+  assert.strictEqual(r.ok, false);
+  assert.strictEqual(r.code, "MIN_STAY");
+  assert.match(r.error, /7 nights/);
+  assert.ok(quote({ ratePlan: "floridarentals", checkin: "2026-06-08", checkout: "2026-06-15" }).ok);
+});
+
+test("a percent promo is taken from the full stay, not what's left after the direct discount", () => {
+  const r = quote({ checkin: "2026-06-10", checkout: "2026-06-15", promoCode: "MILITARY10" });
+  assert.ok(r.ok, r.error);
+  const b = r.booking;
+  const gross = b.lodging + b.cleaning;
+  assert.strictEqual(b.discountAmount, 185);
+  assert.strictEqual(b.promoDiscount, gross * 0.1);
+  assert.strictEqual(b.lodgingPreTaxTotal, gross - b.discountAmount - b.promoDiscount);
+  assert.strictEqual(lineItemCents(b), Math.round(b.total * 100));
+});
+
+test("the FIXED1000 special rate still charges add-ons on top", () => {
+  const plain = quote({ checkin: "2026-06-10", checkout: "2026-06-15", promoCode: "FIXED1000" }).booking;
+  const r = quote({ checkin: "2026-06-10", checkout: "2026-06-15", promoCode: "FIXED1000", golfCart: true });
+  assert.ok(r.ok, r.error);
+  const b = r.booking;
+  assert.strictEqual(plain.total, 1000);
+  assert.ok(b.addOnsTotal > 0, "golf cart priced");
+  assert.strictEqual(b.total, Math.round((1000 + b.addOnsTotal + b.addOnsTax) * 100) / 100);
+  assert.strictEqual(lineItemCents(b), Math.round(b.total * 100));
+  assert.match(buildOrderNote(b), /Golf Cart/i);
+});
+
+test("line items match the total for an ordinary stay with fees and pets", () => {
+  const r = quote({ checkin: "2026-07-01", checkout: "2026-07-08", pets: 1, promoCode: "WELCOME25" });
+  assert.ok(r.ok, r.error);
+  assert.strictEqual(lineItemCents(r.booking), Math.round(r.booking.total * 100));
+});
+
+test("the order note carries the stay, guests and promo", () => {
+  const r = quote({ checkin: "2026-07-01", checkout: "2026-07-04", guests: 4, promoCode: "WELCOME25" });
+  const note = buildOrderNote(r.booking);
+  assert.match(note, /Stay: 2026-07-01 to 2026-07-04/);
+  assert.match(note, /Guests: 4/);
+  assert.match(note, /Promo WELCOME25: -\$25/);
+});
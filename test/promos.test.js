@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { server } = require("./helpers").load();
+
+const promos = require("../lib/promos");
+
+const TODAY = "2027-01-04";
+const STAY = { checkin: "2027-06-07", checkout: "2027-06-10", nights: 3, plan: "standard", today: TODAY };
+const define = (code, def) => promos.upsert({ code, type: "fixed", amount: 50, label: code + " ($50 off)", ...def });
+const quote = (promoCode) => server.computeBooking({ guests: 2, checkin: STAY.checkin, checkout: STAY.checkout, promoCode }, { today: TODAY }).booking;
+
+test("a code stops working once it's been used maxRedemptions times, and a cancellation gives the use back", () => {
+  define("LIMIT2", { maxRedemptions: 2 });
+  assert.ok(promos.recordRedemption("limit2", { ref: "CTE-L1", email: "a@example.com" }));
+  assert.ok(!promos.recordRedemption("LIMIT2", { ref: "CTE-L1", email: "a@example.com" }), "the same booking counts once");
+  assert.ok(promos.check("LIMIT2", STAY).ok);
+  promos.recordRedemption("LIMIT2", { ref: "CTE-L2", email: "b@example.com" });
+  assert.strictEqual(promos.check("LIMIT2", STAY).reason, "That promo code has already been fully redeemed.");
+  // repricing one of the bookings that used it doesn't count its own use
+  assert.ok(promos.check("LIMIT2", { ...STAY, ref: "CTE-L2" }).ok);
+
+  assert.ok(promos.releaseRedemption("LIMIT2", "CTE-L1"));
+  assert.ok(promos.check("LIMIT2", STAY).ok);
+  assert.ok(!promos.releaseRedemption("LIMIT2", "CTE-L1"));
+});
+
+test("a per-guest limit counts uses by email, whatever its case", () => {
+  define("ONCEEACH", { perEmailLimit: 1 });
+  promos.recordRedemption("ONCEEACH", { ref: "CTE-E1", email: " Pat@Example.com " });
+  assert.strictEqual(promos.check("ONCEEACH", { ...STAY, email: "pat@example.com" }).reason, "You've already used this promo code.");
+  assert.strictEqual(promos.checkEmail("ONCEEACH", "PAT@example.com").reason, "You've already used this promo code.");
+  assert.ok(promos.check("ONCEEACH", { ...STAY, email: "sam@example.com" }).ok);
+  // a quote may not know the email yet; checkout must
+  assert.ok(promos.check("ONCEEACH", STAY).ok);
+  assert.strictEqual(promos.check("ONCEEACH", { ...STAY, requireEmail: true }).reason, "Enter your email address to use this promo code.");
+});
+
+test("booking and stay windows, minimum nights and rate plans limit where a code applies", () => {
+  define("SPRING", { bookingWindow: { start: "2027-01-01", end: "2027-01-31" }, stayWindow: { start: "2027-06-01", end: "2027-06-09" } });
+  assert.ok(promos.check("SPRING", STAY).ok, "the stay's last night is the 9th");
+  assert.strictEqual(promos.check("SPRING", { ...STAY, today: "2027-02-01" }).reason, "That promo code isn't available right now.");
+  assert.strictEqual(promos.check("SPRING", { ...STAY, today: "2026-12-31" }).reason, "That promo code isn't available right now.");
+  assert.strictEqual(promos.check("SPRING", { ...STAY, checkout: "2027-06-11", nights: 4 }).reason, "That promo code is only valid for stays 2027-06-01 to 2027-06-09.");
+
+  define("LONG", { minNights: 4 });
+  assert.strictEqual(promos.check("LONG", STAY).reason, "That promo code requires at least 4 nights.");
+  define("DIRECTONLY", { plans: ["standard"] });
+  assert.strictEqual(promos.check("DIRECTONLY", { ...STAY, plan: "floridarentals" }).reason, "That promo code can't be used with this rate.");
+  define("NOTFR", { excludePlans: ["floridarentals"] });
+  assert.ok(promos.check("NOTFR", STAY).ok);
+  assert.ok(!promos.check("NOTFR", { ...STAY, plan: "floridarentals" }).ok);
+
+  define("OFF", { active: false });
+  assert.strictEqual(promos.check("OFF", STAY).reason, "That promo code isn't valid.");
+  assert.strictEqual(promos.check("NOSUCH", STAY).reason, "That promo code isn't valid.");
+});
+
+test("stacking decides whether a code rides on the direct-booking discount", () => {
+  const plain = quote("");
+  assert.ok(plain.discountApplied, "the stay gets the direct-booking discount");
+
+  define("STACKED", { stacking: "stack" });
+  const stacked = quote("STACKED");
+  assert.ok(stacked.discountApplied);
+  assert.strictEqual(stacked.promoDiscount, 50);
+  assert.ok(stacked.total < plain.total);
+
+  define("ALONE", { stacking: "exclusive" });
+  const alone = quote("ALONE");
+  assert.ok(!alone.discountApplied);
+  assert.strictEqual(alone.discountAmount, 0);
+  assert.strictEqual(alone.promoDiscount, 50);
+
+  define("BESTSMALL", { stacking: "best", amount: 5 });
+  const small = quote("BESTSMALL");
+  assert.ok(small.discountApplied);
+  assert.strictEqual(small.promoCode, "");
+  assert.strictEqual(small.promoNote, "The direct booking discount saves you more, so it was applied instead.");
+  assert.strictEqual(small.total, plain.total);
+
+  define("BESTBIG", { stacking: "best", type: "percent", amount: 30, label: "30% off" });
+  const big = quote("BESTBIG");
+  assert.ok(!big.discountApplied);
+  assert.strictEqual(big.promoCode, "BESTBIG");
+  assert.ok(big.total < plain.total);
+});
+
+test("validate names each bad field", () => {
+  assert.deepStrictEqual(promos.validate({ code: "GOOD1", type: "percent", amount: 10, label: "Ten" }), []);
+  assert.deepStrictEqual(promos.validate({ code: "x", type: "percent", amount: 120, label: "", perEmailLimit: 0, stayWindow: { start: "2027-06-09", end: "2027-06-01" }, stacking: "both" }), [
+    "code: 3-32 letters, digits, - or _",
+    "amount: a percent code can't exceed 100",
+    "label: required",
+    "perEmailLimit: must be a positive whole number",
+    "stayWindow: end is before start",
+    "stacking: one of stack, exclusive, best",
+  ]);
+});
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { load, until, json, paidStay } = require("./helpers");
+
+// Two rentals, so a booking landing on the default one by mistake shows.
+const propertiesDir = fs.mkdtempSync(path.join(os.tmpdir(), "cte-props-"));
+process.on("exit", () => fs.rmSync(propertiesDir, { recursive: true, force: true }));
+const propertiesFile = path.join(propertiesDir, "properties.json");
+fs.writeFileSync(propertiesFile, JSON.stringify({
+  defaultProperty: "coastal-tide",
+  properties: {
+    "coastal-tide": { name: "Coastal Tide Escapes", maxGuests: 9, defaultPlan: "standard", ratePlans: ["standard"] },
+    "bay-view": { name: "Bay View Cottage", maxGuests: 4, defaultPlan: "standard", ratePlans: ["standard"], messages: { propertyLocation: "Destin, FL" } },
+  },
+}));
+const { listen, mail } = load({ PROPERTIES_FILE: propertiesFile });
+
+const store = require("../lib/store");
+const fake = require("../lib/fake-payments");
+const bookings = require("../lib/bookings");
+const availability = require("../lib/availability");
+
+let srv;
+test.before(async () => { srv = await listen(); });
+test.after(() => srv.close());
+
+test("a payment the ledger doesn't know yet is booked on its own property", async () => {
+  const co = await json(srv.url + "/create-checkout", {
+    body: { propertyId: "bay-view", checkin: "2027-10-04", checkout: "2027-10-07", guests: 2, guestEmail: "bay@example.com" },
+  });
+  assert.strictEqual(co.status, 200, JSON.stringify(co.body));
+  const order = await fake.retrieveOrder(co.body.orderId);
+  assert.strictEqual(order.metadata.propertyId, "bay-view");
+  assert.ok(Object.keys(order.metadata).length <= 10, "within Square's metadata limit");
+  assert.strictEqual(order.note, undefined, "the payment note stays on the payment");
+
+  // as if the ledger write had been lost: the webhook rebuilds the booking from the order
+  store.update("bookings", {}, (all) => { delete all[co.body.bookingRef]; });
+  await fake.deliver(fake.pay(co.body.paymentLinkId).events);
+  const bk = await until(() => { const b = bookings.get(co.body.bookingRef); return b && b.state === "paid" && b; });
+  assert.ok(bk, "booking recorded");
+  assert.strictEqual(bk.propertyId, "bay-view");
+  assert.strictEqual(bk.nights, 3);
+  const held = availability.list().find((e) => e.kind === "booking" && e.ref === bk.ref);
+  assert.strictEqual(held.propertyId, "bay-view");
+});
+
+test("guest emails carry the booked property's name and location", async () => {
+  const bk = await paidStay(srv.url, { propertyId: "bay-view", checkin: "2027-10-11", checkout: "2027-10-14", guestEmail: "names@example.com" });
+  const m = await until(() => mail.find((x) => x.to === "names@example.com" && x.subject === "Your Bay View Cottage stay is confirmed (" + bk.ref + ")"));
+  assert.ok(m, "confirmation sent");
+  assert.match(m.from, /^Bay View Cottage </);
+  assert.match(m.html, /booking direct with Bay View Cottage\./);
+  assert.match(m.html, /Bay View Cottage &middot; Destin, FL/);
+  assert.doesNotMatch(m.html, /Coastal Tide|Panama City/);
+  const note = mail.find((x) => x.subject.startsWith("New Booking: ") && x.subject.endsWith(bk.ref));
+  assert.match(note.from, /^Bay View Cottage Bookings </);
+});
+
+test("stays move along on their own property's date", async () => {
+  const here = await paidStay(srv.url, { checkin: "2027-10-18", checkout: "2027-10-20" });
+  const there = await paidStay(srv.url, { propertyId: "bay-view", checkin: "2027-10-18", checkout: "2027-10-20" });
+  // already the 18th at the bay, still the 17th here
+  const todayFor = (b) => (b.propertyId === "bay-view" ? "2027-10-18" : "2027-10-17");
+  const moved = bookings.advanceByDate(todayFor).filter((m) => m.ref === here.ref || m.ref === there.ref);
+  assert.deepStrictEqual(moved, [{ ref: there.ref, to: "checked_in" }]);
+  assert.strictEqual(bookings.get(here.ref).state, "paid");
+});
@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { load, json } = require("./helpers");
+const { listen } = load();
+
+const bookings = require("../lib/bookings");
+const promos = require("../lib/promos");
+const quotes = require("../lib/quotes");
+const fake = require("../lib/fake-payments");
+
+let srv;
+test.before(async () => { srv = await listen(); });
+test.after(() => srv.close());
+
+const quote = (body) => json(srv.url + "/quote", { body: { guests: 2, ...body } });
+const checkout = (body) => json(srv.url + "/create-checkout", { body: { guestName: "Pat Tester", guestEmail: "pat@example.com", ...body } });
+
+test("a quote that already has a payment link can't make another", async () => {
+  const q = await quote({ checkin: "2027-11-01", checkout: "2027-11-04" });
+  assert.strictEqual(q.status, 200, JSON.stringify(q.body));
+  const first = await checkout({ quoteId: q.body.quoteId, guestEmail: "first@example.com" });
+  assert.strictEqual(first.status, 200, JSON.stringify(first.body));
+
+  const second = await checkout({ quoteId: q.body.quoteId, guestName: "Someone Else", guestEmail: "second@example.com" });
+  assert.strictEqual(second.status, 409);
+  assert.strictEqual(second.body.code, "QUOTE_USED");
+  const bk = bookings.get(first.body.bookingRef);
+  assert.strictEqual(bk.guestEmail, "first@example.com");
+  assert.strictEqual(bk.paymentLinkId, first.body.paymentLinkId);
+});
+
+test("two checkouts racing with one quote make one link", async () => {
+  const q = await quote({ checkin: "2027-12-13", checkout: "2027-12-16" });
+  const real = fake.createPaymentLink;
+  let made = 0;
+  // slow enough that the second checkout arrives while the first waits on Square
+  fake.createPaymentLink = async (body) => { made++; await new Promise((r) => setTimeout(r, 50)); return real(body); };
+  try {
+    const [a, b] = await Promise.all([
+      checkout({ quoteId: q.body.quoteId, guestEmail: "a@example.com" }),
+      checkout({ quoteId: q.body.quoteId, guestEmail: "b@example.com" }),
+    ]);
+    assert.deepStrictEqual([a.status, b.status].sort(), [200, 409]);
+    assert.strictEqual((a.status === 409 ? a : b).body.code, "QUOTE_USED");
+    assert.strictEqual(made, 1);
+    const won = a.status === 200 ? a : b;
+    assert.strictEqual(bookings.list().filter((x) => x.checkin === "2027-12-13").map((x) => x.ref).join(), won.body.bookingRef);
+  } finally {
+    fake.createPaymentLink = real;
+  }
+});
+
+test("a checkout that fails before its link is made gives the quote back", async () => {
+  const q = await quote({ checkin: "2027-12-20", checkout: "2027-12-23" });
+  const real = fake.createPaymentLink;
+  fake.createPaymentLink = async () => { throw new Error("square is down"); };
+  let failed;
+  try {
+    failed = await checkout({ quoteId: q.body.quoteId });
+  } finally {
+    fake.createPaymentLink = real;
+  }
+  assert.strictEqual(failed.status, 500);
+  const retry = await checkout({ quoteId: q.body.quoteId });
+  assert.strictEqual(retry.status, 200, JSON.stringify(retry.body));
+  assert.strictEqual(bookings.list().filter((x) => x.checkin === "2027-12-20").length, 1, "the retry reuses the booking");
+});
+
+test("a locked quote keeps a promo that was switched off after quoting", async () => {
+  const q = await quote({ checkin: "2027-11-08", checkout: "2027-11-11", promoCode: "WELCOME25" });
+  assert.strictEqual(q.status, 200, JSON.stringify(q.body));
+  assert.strictEqual(q.body.booking.promoDiscount, 25);
+  promos.upsert({ ...promos.get("WELCOME25"), active: false });
+  try {
+    const co = await checkout({ quoteId: q.body.quoteId, guestEmail: "promo@example.com" });
+    assert.strictEqual(co.status, 200, JSON.stringify(co.body));
+    assert.strictEqual(co.body.finalPrice, q.body.booking.total);
+    // without the quote the code is refused
+    const fresh = await checkout({ checkin: "2027-11-15", checkout: "2027-11-18", guests: 2, promoCode: "WELCOME25" });
+    assert.strictEqual(fresh.status, 400);
+  } finally {
+    promos.upsert({ ...promos.get("WELCOME25"), active: true });
+  }
+});
+
+test("a locked quote can't be checked out for other dates", async () => {
+  const q = await quote({ checkin: "2027-11-22", checkout: "2027-11-25" });
+  const co = await checkout({ quoteId: q.body.quoteId, checkin: "2027-11-22", checkout: "2027-11-26" });
+  assert.strictEqual(co.status, 400);
+  assert.strictEqual(co.body.code, "QUOTE_MISMATCH");
+});
+
+test("an edited or expired quote id is refused", async () => {
+  const q = await quote({ checkin: "2027-11-29", checkout: "2027-12-02" });
+  const id = q.body.quoteId;
+  const edited = id.slice(0, -2) + (id.endsWith("AA") ? "BB" : "AA");
+  const bad = await checkout({ quoteId: edited });
+  assert.strictEqual(bad.status, 400);
+  assert.strictEqual(bad.body.code, "QUOTE_INVALID");
+
+  const later = new Date(Date.parse(q.body.quoteExpiresAt) + 1000);
+  assert.strictEqual(quotes.verify(id, later).expired, true);
+  assert.strictEqual(quotes.verify(id).ok, true);
+});
@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { load, until, json, paidStay } = require("./helpers");
+const { listen } = load();
+
+const bookings = require("../lib/bookings");
+const { today } = require("../lib/dates");
+
+const ADMIN = { "x-admin-key": "test-admin-key" };
+
+let srv;
+test.before(async () => { srv = await listen(); });
+test.after(() => srv.close());
+
+const r2 = (n) => Math.round(n * 100) / 100;
+const cancel = (ref, body) => json(srv.url + "/bookings/" + ref + "/cancel", { headers: ADMIN, body });
+const refunded = (ref) => until(() => { const b = bookings.get(ref); return (b.refunds || []).length && b.refunds.every((r) => r.status === "COMPLETED") && b; });
+
+test("the tax report nets each jurisdiction's tax across kept, refunded and part-refunded stays", async () => {
+  const kept = await paidStay(srv.url, { checkin: "2027-09-06", checkout: "2027-09-09" });
+  const full = await paidStay(srv.url, { checkin: "2027-09-13", checkout: "2027-09-17" });
+  const part = await paidStay(srv.url, { checkin: "2027-09-20", checkout: "2027-09-22", pets: 1 });
+
+  assert.strictEqual((await cancel(full.ref, {})).status, 200);
+  const half = r2(part.pricing.total / 2);
+  assert.strictEqual((await cancel(part.ref, { amount: half })).status, 200);
+  assert.ok(await refunded(full.ref), "full refund completed");
+  assert.ok(await refunded(part.ref), "part refund completed");
+  assert.deepStrictEqual(bookings.get(full.ref).refunds.map((r) => r.amount), [full.pricing.total], "31+ days out refunds everything");
+
+  const month = today("America/Chicago").slice(0, 7);
+  const r = await json(srv.url + "/reports/taxes?month=" + month, { headers: ADMIN });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+
+  const taxOf = (bk, id) => bk.pricing.taxes.find((t) => t.id === id).amount;
+  const ids = kept.pricing.taxes.map((t) => t.id);
+  assert.deepStrictEqual(ids, ["fl-sales", "bay-surtax"], "the state tax and the county surtax; the disabled TDT isn't charged");
+  assert.deepStrictEqual(r.body.taxes.map((t) => t.id), ids);
+  for (const t of r.body.taxes) {
+    const collected = r2(taxOf(kept, t.id) + taxOf(full, t.id) + taxOf(part, t.id));
+    const back = r2(taxOf(full, t.id) + r2(taxOf(part, t.id) * (half / part.pricing.total)));
+    assert.strictEqual(t.collected, collected, t.id + " collected");
+    assert.strictEqual(t.refunded, back, t.id + " refunded");
+    assert.strictEqual(t.net, r2(collected - back), t.id + " net");
+  }
+  assert.strictEqual(r.body.totals.net, r2(r.body.taxes.reduce((n, t) => n + t.net, 0)));
+  assert.deepStrictEqual(r.body.details.filter((d) => d.kind === "refunded").map((d) => d.ref).sort(), [full.ref, part.ref].sort());
+
+  // nothing was paid or refunded the month before
+  const [y, m] = month.split("-").map(Number);
+  const prev = m === 1 ? (y - 1) + "-12" : y + "-" + String(m - 1).padStart(2, "0");
+  const empty = await json(srv.url + "/reports/taxes?month=" + prev, { headers: ADMIN });
+  assert.deepStrictEqual(empty.body.totals, { collected: 0, refunded: 0, net: 0 });
+});
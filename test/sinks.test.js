@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const crypto = require("crypto");
+const { load, until, json, paidStay } = require("./helpers");
+
+// A stand-in for the downstream confirmation webhook; it records what it's sent.
+const received = [];
+const hook = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (c) => { body += c; });
+  req.on("end", () => {
+    received.push({ body, signature: req.headers["x-cte-signature"] });
+    res.setHeader("Content-Type", "application/json");
+    res.end("{\"ok\":true}");
+  });
+});
+
+const { sheets, listen } = load({ BOOKINGS_SHEET_TAB: "Bookings", WEBHOOK_SECRET: "test-webhook-secret" });
+
+const sinks = require("../lib/sinks");
+
+const ADMIN = { "x-admin-key": "test-admin-key" };
+
+let srv;
+test.before(async () => {
+  await new Promise((resolve) => hook.listen(0, "127.0.0.1", resolve));
+  process.env.CONFIRMATION_WEBHOOK_URL = "http://127.0.0.1:" + hook.address().port + "/confirmed";
+  srv = await listen();
+});
+test.after(async () => {
+  await srv.close();
+  await new Promise((resolve) => hook.close(resolve));
+});
+
+test("a paid booking is confirmed in-process and copied to every enabled sink", async () => {
+  assert.deepStrictEqual(sinks.enabledSinks().sort(), ["bookingsSheet", "webhook"], "no Apps Script without its URL");
+  const bk = await paidStay(srv.url, { checkin: "2027-10-11", checkout: "2027-10-14", guestName: "Sam Sink" });
+  assert.strictEqual(bk.state, "paid");
+
+  const delivered = await until(() => {
+    const d = sinks.list().filter((x) => x.key === bk.paymentId);
+    return d.length === 2 && d.every((x) => x.status === "delivered") && d;
+  });
+  assert.ok(delivered, "both sinks delivered");
+
+  const row = sheets.appends.find((a) => a.range.startsWith("Bookings!") && a.rows[0][1] === bk.ref);
+  assert.ok(row, "bookings sheet row");
+  assert.strictEqual(row.rows[0][2], "Sam Sink");
+
+  const sent = received.find((r) => JSON.parse(r.body).data.bookingRef === bk.ref);
+  assert.ok(sent, "confirmation webhook called");
+  assert.strictEqual(JSON.parse(sent.body).type, "booking.confirmed");
+  assert.strictEqual(sent.signature, crypto.createHmac("sha256", "test-webhook-secret").update(sent.body).digest("hex"));
+
+  // the same payment again queues nothing new
+  assert.deepStrictEqual(sinks.enqueue(bk.paymentId, {}), []);
+});
+
+test("a sink that keeps failing is dead-lettered and can be retried", async () => {
+  let up = false;
+  const sent = [];
+  sinks.register("flaky", {
+    enabled: () => true,
+    async send(p) { if (!up) throw new Error("flaky is down"); sent.push(p); },
+  });
+  assert.strictEqual(sinks.enqueue("PAY-FLAKY", { bookingRef: "CTE-FLAKY" }).filter((d) => d.sink === "flaky").length, 1);
+  const id = "flaky:PAY-FLAKY";
+  let now = new Date();
+  for (let i = 0; i < 8; i++) {
+    await sinks.processDue(now);
+    const d = sinks.list({ sink: "flaky" }).find((x) => x.id === id);
+    if (d.status === "pending") now = new Date(d.nextAttemptAt);
+  }
+  const dead = sinks.list({ status: "dead_letter" }).find((x) => x.id === id);
+  assert.ok(dead, "dead-lettered");
+  assert.strictEqual(dead.attempts, 8);
+  assert.strictEqual(dead.lastError, "flaky is down");
+
+  const listed = await json(srv.url + "/sinks/deliveries?status=dead_letter", { headers: ADMIN });
+  assert.deepStrictEqual(listed.body.deliveries.map((x) => x.id), [id]);
+
+  up = true;
+  const r = await json(srv.url + "/sinks/deliveries/" + encodeURIComponent(id) + "/retry", { headers: ADMIN, body: {} });
+  assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  assert.strictEqual(sinks.list({ sink: "flaky" })[0].status, "delivered");
+  assert.deepStrictEqual(sent, [{ bookingRef: "CTE-FLAKY" }]);
+});
+
+test("a delivery queued while a run is going is sent before that run ends", async () => {
+  const sent = [];
+  sinks.register("chain", {
+    enabled: () => true,
+    async send(p) {
+      sent.push(p.bookingRef);
+      if (p.bookingRef === "CTE-MID-1") {
+        sinks.enqueue("PAY-MID-2", { bookingRef: "CTE-MID-2" });
+        assert.deepStrictEqual(await sinks.processDue(new Date()), [], "the run already going picks it up");
+      }
+    },
+  });
+  sinks.enqueue("PAY-MID-1", { bookingRef: "CTE-MID-1" });
+  const results = await sinks.processDue(new Date());
+  assert.deepStrictEqual(sent, ["CTE-MID-1", "CTE-MID-2"]);
+  assert.ok(results.some((r) => r.id === "chain:PAY-MID-2" && r.status === "delivered"));
+  assert.ok(sinks.list({ sink: "chain" }).every((d) => d.status === "delivered"));
+});
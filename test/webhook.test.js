@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { load, until, json } = require("./helpers");
+const { listen, mail } = load();
+
+const payments = require("../lib/payments");
+const fake = require("../lib/fake-payments");
+const bookings = require("../lib/bookings");
+
+let srv;
+test.before(async () => { srv = await listen(); });
+test.after(() => srv.close());
+
+const paymentEvent = (id) => JSON.stringify({
+  type: "payment.updated", event_id: id,
+  data: { type: "payment", id: "P-" + id, object: { payment: { id: "P-" + id, status: "APPROVED" } } },
+});
+const post = (body, signature) => json(srv.url + "/square-webhook", {
+  body, headers: signature == null ? {} : { "x-square-hmacsha256-signature": signature },
+});
+
+test("an event signed for this URL is accepted, once", async () => {
+  const body = paymentEvent("evt-good");
+  const signature = payments.sign("fake-webhook-signature-key", process.env.FAKE_WEBHOOK_URL, body);
+  const first = await post(body, signature);
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.body.duplicate, false);
+  const again = await post(body, signature);
+  assert.strictEqual(again.status, 200);
+  assert.strictEqual(again.body.duplicate, true);
+});
+
+test("a missing, wrong or tampered signature is refused", async () => {
+  const body = paymentEvent("evt-bad");
+  const signature = payments.sign("fake-webhook-signature-key", process.env.FAKE_WEBHOOK_URL, body);
+  for (const [b, s] of [[body, null], [body, "not-a-signature"], [body.replace("APPROVED", "COMPLETED"), signature],
+    [body, payments.sign("another-key", process.env.FAKE_WEBHOOK_URL, body)],
+    [body, payments.sign("fake-webhook-signature-key", "http://elsewhere/square-webhook", body)]]) {
+    const r = await post(b, s);
+    assert.strictEqual(r.status, 403);
+    assert.strictEqual(r.body.code, "INVALID_SIGNATURE");
+  }
+});
+
+test("Square checks signatures only once its key and URL are both set", () => {
+  const square = require("../lib/square-payments");
+  const body = paymentEvent("evt-square");
+  delete process.env.SQUARE_WEBHOOK_SIGNATURE_KEY;
+  process.env.SQUARE_WEBHOOK_URL = "https://example.com/square-webhook";
+  assert.deepStrictEqual(square.verifyWebhook(body, ""), { checked: false, valid: true });
+
+  process.env.SQUARE_WEBHOOK_SIGNATURE_KEY = "sq-key";
+  const good = payments.sign("sq-key", "https://example.com/square-webhook", body);
+  assert.deepStrictEqual(square.verifyWebhook(body, good), { checked: true, valid: true });
+  assert.deepStrictEqual(square.verifyWebhook(body + " ", good), { checked: true, valid: false });
+  assert.deepStrictEqual(square.verifyWebhook(body, good.slice(0, -2)), { checked: true, valid: false });
+});
+
+test("a paid checkout marks the booking paid and emails the guest", async () => {
+  const co = await json(srv.url + "/create-checkout", {
+    body: { checkin: "2027-05-10", checkout: "2027-05-14", guests: 2, guestName: "Pat Tester", guestEmail: "pat@example.com" },
+  });
+  assert.strictEqual(co.status, 200, JSON.stringify(co.body));
+  const paid = fake.pay(co.body.paymentLinkId);
+  const delivered = await fake.deliver(paid.events);
+  assert.deepStrictEqual(delivered.map((d) => d.status), [200, 200]);
+
+  const b = await until(() => { const x = bookings.get(co.body.bookingRef); return x && x.state === "paid" && x; });
+  assert.ok(b, "booking paid");
+  assert.strictEqual(b.pricing.total, co.body.finalPrice);
+  assert.strictEqual(bookings.payments(b)[0].paymentId, paid.payment.id);
+  assert.ok(await until(() => mail.some((m) => m.to === "pat@example.com")), "guest emailed");
+});